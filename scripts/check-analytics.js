@@ -0,0 +1,37 @@
+// Sanity check for the analytics charts and statistics on the stored history shape (HistoryEntry objects, see
+// src/engine/resources.js) and on legacy plain-number histories.
+//
+//   npm run check:analytics
+
+import assert from 'node:assert/strict'
+import { chartPath, resourceStats, timeAtFloor } from '../src/engine/index.js'
+
+const prices = [100, 120, 90, 90, 140, 80]
+const entries = prices.map((value, i) => ({ value, at: 1000 + i * 500, source: i ? 'noise' : 'start' }))
+
+for (const [shape, history] of [['HistoryEntry', entries], ['number', prices]]) {
+  const chart = chartPath(history, 80)
+  assert.ok(chart, `${shape} history: no chart`)
+  assert.doesNotMatch(chart.line, /NaN/, `${shape} history: NaN in the chart line`)
+  assert.equal(chart.line.split(' ').length, prices.length, `${shape} history: one point per price`)
+  assert.equal(chart.floor, '100.00', `${shape} history: floor at the bottom`)
+
+  const stats = resourceStats(history)
+  assert.deepEqual([stats.points, stats.first, stats.last, stats.min, stats.max], [6, 100, 80, 80, 140], `${shape} history: stats`)
+}
+
+assert.equal(chartPath(entries.slice(0, 1), 80), null, 'a single price has no chart')
+assert.match(chartPath(entries.concat(entries), 80, 4).line, /^M0\.00,[\d.]+( L[\d.]+,[\d.]+){3,4}$/, 'charts thin out to the point limit')
+
+// time at the floor follows the floor of the time: steel (floor = iron + coal) sits at 30 while the floor is 30, then
+// the components drop and it is above the floor until it falls back onto it
+const steel = { name: 'steel', components: ['iron', 'coal'], min: 20 }
+const histories = {
+  iron: [{ value: 10, at: 0 }, { value: 5, at: 4000 }],
+  coal: [{ value: 20, at: 0 }, { value: 15, at: 4000 }],
+  steel: [{ value: 30, at: 0 }, { value: 25, at: 8000 }, { value: 20, at: 9000 }],
+}
+assert.deepEqual(timeAtFloor(steel, histories, 10000), { ms: 5000, spanMs: 10000, share: 0.5 }, 'time at floor of a made resource')
+assert.equal(timeAtFloor({ name: 'iron', min: 5 }, { iron: prices }, 10000), null, 'no time without timestamps')
+
+console.log('analytics: ok')
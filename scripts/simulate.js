@@ -0,0 +1,77 @@
+// Batch balancing simulator from the command line (same engine as the in-app Simulate tool).
+//
+//   npm run simulate -- --policy best-margin --turns 2000 --runs 10 --contractDifficulty 1.5
+//   npm run simulate -- --scenario ./my-scenario.json --json
+//
+// Flags: --policy, --turns, --runs, --seed, --no-noise, --scenario <file>, --json, plus any setting key
+// from src/constants/settings.js (e.g. --contractRewardMax 1.2 --decayTimeMs 20000).
+
+import { readFile } from 'node:fs/promises'
+import { simulate, simulationPolicies } from '../src/engine/index.js'
+import { settingsSchema, validateSetting } from '../src/constants/settings.js'
+import { validateScenario } from '../src/lib/scenario.js'
+import { resolveResources } from '../src/constants/resources.js'
+
+function parseArgs(argv) {
+  const args = { settings: {} }
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '')
+    if (flag === 'no-noise') { args.noise = false; continue }
+    if (flag === 'json') { args.json = true; continue }
+    const value = argv[++i]
+    if (value === undefined) throw new Error(`--${flag} needs a value`)
+    if (flag in settingsSchema) {
+      const v = settingsSchema[flag].type === 'boolean' ? value === 'true' : Number(value)
+      const error = validateSetting(flag, v)
+      if (error) throw new Error(`--${flag}: ${error}`)
+      args.settings[flag] = v
+    } else if (['turns', 'runs'].includes(flag)) {
+      args[flag] = Math.max(1, Math.round(Number(value)) || 1)
+    } else if (['policy', 'seed', 'scenario'].includes(flag)) {
+      args[flag] = value
+    } else {
+      throw new Error(`unknown flag --${flag}`)
+    }
+  }
+  if (args.policy && !simulationPolicies[args.policy]) {
+    throw new Error(`--policy must be one of ${Object.keys(simulationPolicies).join(', ')}`)
+  }
+  return args
+}
+
+const fmt = (v, digits = 0) => Number.isFinite(v) ? v.toFixed(digits) : '-'
+const pad = (v, n) => String(v).padStart(n)
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  let resources, contractLabels, settings = args.settings
+  if (args.scenario) {
+    const { scenario, errors } = validateScenario(JSON.parse(await readFile(args.scenario, 'utf8')))
+    if (errors.length) throw new Error(`invalid scenario:\n  ${errors.join('\n  ')}`)
+    resources = resolveResources(scenario.resources).resources
+    contractLabels = scenario.contractLabels
+    settings = { ...scenario.settings, ...args.settings }
+  }
+  const report = simulate({ ...args, resources, contractLabels, settings })
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2))
+    return
+  }
+
+  const { contracts, targetValue, runaway } = report
+  console.log(`${report.policy}: ${report.playedTurns} turns over ${report.runs} run(s)`)
+  if (runaway.runs) console.log(`  ${runaway.runs} run(s) hit the inflation cap (median turn ${runaway.turn.median})`)
+  console.log(`  contracts: ${contracts.completed} completed, ${contracts.decayed} decayed${contracts.penalties ? ` (${contracts.penalties} in penalties)` : ''}`)
+  console.log(`  avg value ${fmt(contracts.value.mean)} -> reward ${fmt(contracts.reward.mean)} (ratio ${fmt(contracts.rewardRatio.mean, 2)})`)
+  console.log(`  target value ${fmt(targetValue.start)} -> ${fmt(targetValue.end.median)} (${fmt(targetValue.growthPerTurn * 100, 2)}% / turn)`)
+  console.log('')
+  console.log(`  ${'resource'.padEnd(16)}${pad('min', 8)}${pad('p10', 8)}${pad('median', 8)}${pad('p90', 8)}${pad('max', 8)}${pad('at min', 9)}`)
+  for (const [name, p] of Object.entries(report.prices)) {
+    console.log(`  ${name.padEnd(16)}${pad(p.min, 8)}${pad(p.p10, 8)}${pad(p.median, 8)}${pad(p.p90, 8)}${pad(p.max, 8)}${pad(fmt(report.atMin[name] * 100, 1) + '%', 9)}`)
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,113 @@
+// Shared session relay: a tiny WebSocket hub for playing one game across devices on the LAN.
+//
+//   npm run relay                 # listens on ws://0.0.0.0:8787
+//   PORT=9000 npm run relay
+//
+// Devices join a room as host or viewer (one host per room). The relay keeps no game state: it forwards the
+// host's messages to the viewers and the viewers' messages to the host, stamping the sender id on each one
+// (protocol in src/lib/syncProtocol.js).
+
+import { randomUUID } from 'node:crypto'
+import { networkInterfaces } from 'node:os'
+import { WebSocketServer } from 'ws'
+import { DEFAULT_RELAY_PORT, SYNC_PROTOCOL, decodeMessage, encodeMessage, isValidRoom, syncRoles } from '../src/lib/syncProtocol.js'
+
+const PORT = Number(process.env.PORT) || DEFAULT_RELAY_PORT
+const MAX_PAYLOAD = 5 * 1024 * 1024
+const HEARTBEAT_MS = 15000
+
+const rooms = new Map() // room -> Set of clients
+const log = (...args) => console.log(new Date().toISOString(), ...args)
+
+const peersOf = (room) => [...(rooms.get(room) || [])].map(c => ({ id: c.id, name: c.name, role: c.role }))
+const hostOf = (room) => [...(rooms.get(room) || [])].find(c => c.role === 'host') || null
+
+function send(client, message) {
+  if (client.socket.readyState === client.socket.OPEN) client.socket.send(encodeMessage(message))
+}
+
+function announcePeers(room) {
+  const peers = peersOf(room)
+  const host = hostOf(room)
+  for (const client of rooms.get(room) || []) send(client, { type: 'peers', peers, hostId: host ? host.id : null })
+}
+
+function join(client, message) {
+  if (message.protocol !== SYNC_PROTOCOL) return { code: 'protocol', message: `Protocol ${message.protocol} is not supported (relay speaks ${SYNC_PROTOCOL})` }
+  if (!isValidRoom(message.room)) return { code: 'room', message: 'Room names use 1-32 letters, digits, - or _' }
+  if (!syncRoles.includes(message.role)) return { code: 'role', message: `Role must be one of ${syncRoles.join(', ')}` }
+  if (message.role === 'host' && hostOf(message.room)) return { code: 'host-taken', message: 'This room already has a host' }
+  client.room = message.room
+  client.role = message.role
+  client.name = String(message.name || '').slice(0, 32) || message.role
+  if (!rooms.has(client.room)) rooms.set(client.room, new Set())
+  rooms.get(client.room).add(client)
+  return null
+}
+
+function leave(client) {
+  const members = rooms.get(client.room)
+  if (!members) return
+  members.delete(client)
+  if (members.size === 0) rooms.delete(client.room)
+  else announcePeers(client.room)
+  log(`${client.name} (${client.role}) left ${client.room}`)
+}
+
+// host -> every viewer (or only `to`), viewer -> host
+function forward(client, message) {
+  const members = rooms.get(client.room) || new Set()
+  const stamped = { ...message, from: client.id }
+  if (client.role === 'host') {
+    for (const other of members) {
+      if (other === client || other.role === 'host') continue
+      if (message.to && other.id !== message.to) continue
+      send(other, stamped)
+    }
+  } else {
+    const host = hostOf(client.room)
+    if (host) send(host, stamped)
+  }
+}
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_PAYLOAD })
+
+server.on('connection', (socket) => {
+  const client = { id: randomUUID().slice(0, 8), socket, room: null, role: null, name: null, alive: true }
+  socket.on('pong', () => { client.alive = true })
+  socket.on('message', (data) => {
+    const message = decodeMessage(String(data))
+    if (!message) return
+    if (!client.room) {
+      if (message.type !== 'join') return
+      const error = join(client, message)
+      if (error) {
+        send(client, { type: 'error', ...error })
+        socket.close()
+        return
+      }
+      log(`${client.name} (${client.role}) joined ${client.room}`)
+      send(client, { type: 'welcome', id: client.id, role: client.role, peers: peersOf(client.room) })
+      announcePeers(client.room)
+      return
+    }
+    forward(client, message)
+  })
+  socket.on('close', () => { if (client.room) leave(client) })
+})
+
+// drop devices that vanished without closing (phones going to sleep)
+const heartbeat = setInterval(() => {
+  for (const members of rooms.values()) {
+    for (const client of members) {
+      if (!client.alive) { client.socket.terminate(); continue }
+      client.alive = false
+      client.socket.ping()
+    }
+  }
+}, HEARTBEAT_MS)
+server.on('close', () => clearInterval(heartbeat))
+
+const addresses = Object.values(networkInterfaces()).flat().filter(a => a && a.family === 'IPv4' && !a.internal).map(a => a.address)
+log(`relay listening on port ${PORT}`)
+for (const address of addresses) log(`  devices on this network can use ws://${address}:${PORT}`)
@@ -1,24 +1,83 @@
 import styled from "styled-components";
 import { ResourceBox } from './components/ResourceBox.jsx'
 import useResources from "./hooks/useResources.js";
-import { resources as resourceList } from './constants/resources'
-import { useState } from 'react'
+import useResourceCatalog from "./hooks/useResourceCatalog.js";
+import useSeededRandom from "./hooks/useSeededRandom.js";
+import useSharedSession from "./hooks/useSharedSession.js";
+import usePlayers from "./hooks/usePlayers.js";
+import useRounds from "./hooks/useRounds.js";
+import useReputation from "./hooks/useReputation.js";
+import useBreakEvenAlerts from "./hooks/useBreakEvenAlerts.js";
+import useMarketEvents from "./hooks/useMarketEvents.js";
+import useContractArchive from "./hooks/useContractArchive.js";
+import { useCallback, useEffect, useMemo, useState } from 'react'
 import {useContracts} from "./hooks/useContracts.js";
 import {Contract} from "./components/Contract.jsx";
+import {ContractToolbar} from "./components/ContractToolbar.jsx";
 import {AnimatePresence, LayoutGroup} from 'framer-motion'
 import {SettingsPanel} from './components/SettingsPanel.jsx'
+import {ResourceEditor} from './components/ResourceEditor.jsx'
+import {Simulator} from './components/Simulator.jsx'
+import {Scoreboard} from './components/Scoreboard.jsx'
+import {ContractArchive} from './components/ContractArchive.jsx'
+import {AnalyticsPanel} from './components/AnalyticsPanel.jsx'
+import {PriceChangeLog} from './components/PriceChangeLog.jsx'
+import {RoundControl} from './components/RoundControl.jsx'
+import {StorageWarnings} from './components/StorageWarnings.jsx'
+import {BreakEvenAlerts} from './components/BreakEvenAlerts.jsx'
+import {MarketEventBanner} from './components/MarketEventBanner.jsx'
 import {useLocalStorage} from "./hooks/useWebStorage.js";
 import { useResourceConnections } from './hooks/useResourceConnections.js'
+import { settingDefaults } from './constants/settings.js'
+import { ContractLabels } from './constants/contract-labels.js'
+import { contractRounds } from './engine/contracts.js'
+import { resourceTiers } from './engine/contractTypes.js'
+import { arrangeContracts, contractTimeLeft, defaultContractView } from './engine/contractBoard.js'
+import { bundledScenarios } from './scenarios/index.js'
 
-function App() {
+function App({ saveSlots }) {
     // timing & settings state (persisted)
-    const [decayTimeMs, setDecayTimeMs] = useLocalStorage('setting:decayTimeMs', 10000);
-    const [noiseIntervalMs, setNoiseIntervalMs] = useLocalStorage('setting:noiseIntervalMs', 5000);
-    const [contractCount, setContractCount] = useLocalStorage('setting:contractCount', 3);
-    const [paused, setPaused] = useLocalStorage('setting:paused', true);
-    const [minPayoutMult, setMinPayoutMult] = useLocalStorage('setting:contractRewardMin', 1);
-    const [maxPayoutMult, setMaxPayoutMult] = useLocalStorage('setting:contractRewardMax', 1.4);
-    const [maxContractResources, setMaxContractResources] = useLocalStorage('setting:maxContractResources', 6);
+    const [decayTimeMs, setDecayTimeMs] = useLocalStorage('setting:decayTimeMs', settingDefaults.decayTimeMs);
+    const [noiseIntervalMs, setNoiseIntervalMs] = useLocalStorage('setting:noiseIntervalMs', settingDefaults.noiseIntervalMs);
+    const [contractCount, setContractCount] = useLocalStorage('setting:contractCount', settingDefaults.contractCount);
+    const [paused, setPaused] = useLocalStorage('setting:paused', settingDefaults.paused);
+    const [minPayoutMult, setMinPayoutMult] = useLocalStorage('setting:contractRewardMin', settingDefaults.contractRewardMin);
+    const [maxPayoutMult, setMaxPayoutMult] = useLocalStorage('setting:contractRewardMax', settingDefaults.contractRewardMax);
+    const [maxContractResources, setMaxContractResources] = useLocalStorage('setting:maxContractResources', settingDefaults.maxContractResources);
+    const [marketImpact, setMarketImpact] = useLocalStorage('setting:marketImpact', settingDefaults.marketImpact);
+    const [noiseModel, setNoiseModel] = useLocalStorage('setting:noiseModel', settingDefaults.noiseModel);
+    const [marketEvents, setMarketEvents] = useLocalStorage('setting:marketEvents', settingDefaults.marketEvents);
+    const [contractTypeWeights, setContractTypeWeights] = useLocalStorage('setting:contractTypeWeights', settingDefaults.contractTypeWeights);
+    const [targetGrowth, setTargetGrowth] = useLocalStorage('setting:targetGrowth', settingDefaults.targetGrowth);
+    const [allContractsDecay, setAllContractsDecay] = useLocalStorage('setting:allContractsDecay', settingDefaults.allContractsDecay);
+    const [decayScalesWithDifficulty, setDecayScalesWithDifficulty] = useLocalStorage('setting:decayScalesWithDifficulty', settingDefaults.decayScalesWithDifficulty);
+    const [roundMode, setRoundMode] = useLocalStorage('setting:roundMode', settingDefaults.roundMode);
+    const [roundsBeforeDecay, setRoundsBeforeDecay] = useLocalStorage('setting:roundsBeforeDecay', settingDefaults.roundsBeforeDecay);
+    const [proRateDecayReward, setProRateDecayReward] = useLocalStorage('setting:proRateDecayReward', settingDefaults.proRateDecayReward);
+    const [penaltyChance, setPenaltyChance] = useLocalStorage('setting:penaltyChance', settingDefaults.penaltyChance);
+    const [reputationEnabled, setReputationEnabled] = useLocalStorage('setting:reputationEnabled', settingDefaults.reputationEnabled);
+    const [breakEvenAlerts, setBreakEvenAlerts] = useLocalStorage('setting:breakEvenAlerts', settingDefaults.breakEvenAlerts);
+
+    // user-editable resource catalog (persisted, validated)
+    const { catalog, resources: resourceList, errors: catalogErrors, tierLabels, setTierLabels, saveCatalog } = useResourceCatalog();
+    const [resourceEditorOpen, setResourceEditorOpen] = useState(false);
+    const [simulatorOpen, setSimulatorOpen] = useState(false);
+    const [scoreboardOpen, setScoreboardOpen] = useState(false);
+    const [archiveOpen, setArchiveOpen] = useState(false);
+    const [analyticsOpen, setAnalyticsOpen] = useState(false);
+    const [changeLogOpen, setChangeLogOpen] = useState(false);
+
+    // scenario-provided company names and the name of the scenario last loaded
+    const [contractLabels, setContractLabels] = useLocalStorage('contractLabels', ContractLabels);
+    const [scenarioName, setScenarioName] = useLocalStorage('scenario', bundledScenarios[0].name);
+    const [reseedPending, setReseedPending] = useState(false);
+
+    // seeded randomness: every random decision (noise, contract generation) draws from a named stream
+    const { seed, setSeed, stream } = useSeededRandom();
+
+    // shared session: a connected viewer mirrors the host, which alone runs noise, generation and decay
+    const sharedSession = useSharedSession();
+    const driving = sharedSession.isDriver;
 
     const {
         byTier,
@@ -29,33 +88,229 @@ function App() {
         ignoringMin,
         isNoiseActive ,
         toggleIgnoreMin,
+        tickNoise,
         values,
+        histories,
         setResourceValue,
         resourceBases,
-    } = useResources({ noiseIntervalMs, paused });
+        dependentsMap,
+        noiseShock,
+    } = useResources({ noiseIntervalMs, paused: paused || !driving || roundMode, resources: resourceList, tierLabels, random: stream('noise'), noiseModel });
     const tierOrder = Object.keys(byTier).map(Number).sort((a,b)=>a-b)
 
-    const { contracts, completeContract, resetContracts, onContractDecay, contractDifficulty, setContractDifficulty } = useContracts(values, setResourceValue, 50, contractCount, minPayoutMult, maxPayoutMult, paused, maxContractResources || Infinity);
+    // market events: deck draws and scheduled shocks on top of the noise (host only; rounds move them in round mode)
+    const { events: activeEvents, clockMs: eventClockMs, round: eventRound, advanceRound, triggerEvent, resetEvents } = useMarketEvents({
+        settings: marketEvents,
+        running: !paused && !roundMode,
+        roundMode,
+        driving,
+        values,
+        resources: resourceList,
+        ignoreMin: ignoringMin,
+        setResourceValue,
+        random: stream('events'),
+    });
+
+    // players and their ledgers; the confirm bar preselects whoever fulfilled or delivered last
+    const players = usePlayers();
+    const { resetLedgers, recordPayouts } = players;
+    const playerIds = useMemo(() => players.players.map(p => p.id), [players.players]);
+    const [lastPlayerId, setLastPlayerId] = useState(null);
+
+    // reputation: contract outcomes move it, and it shapes rewards and types of new contracts
+    const reputation = useReputation({ enabled: reputationEnabled, typeWeights: contractTypeWeights });
+    const { recordOutcome, resetReputation } = reputation;
+
+    // every contract leaving the board is archived with its payouts and price effects
+    const { archive, recordContract, resetArchive } = useContractArchive();
+    const handleSettle = useCallback((contract, payouts, outcome, details) => {
+        recordPayouts(contract, payouts);
+        recordOutcome(contract, outcome);
+        recordContract(contract, payouts, outcome, details);
+    }, [recordPayouts, recordOutcome, recordContract]);
+
+    const { contracts, completeContract, deliverResource, resetContracts, onContractDecay, requestRefill, pinContract, contractDifficulty, setContractDifficulty, targetValue, setTargetValue, targetHistory, growTargetForRound } = useContracts(values, setResourceValue, {
+        startValue: 50,
+        contractCount,
+        rewardMinMultiplier: minPayoutMult,
+        rewardMaxMultiplier: maxPayoutMult,
+        paused,
+        driving,
+        clocksRunning: !paused && !roundMode,
+        decayTimeMs,
+        allDecay: allContractsDecay,
+        scaleDecayWithDifficulty: decayScalesWithDifficulty,
+        autoRefill: !roundMode,
+        proRateDecayReward,
+        onSettle: handleSettle,
+        maxResources: maxContractResources || Infinity,
+        contractTypeWeights: reputation.typeWeights,
+        targetGrowth,
+        rewardMultiplier: reputation.rewardMultiplier,
+        penaltyChance,
+        playerIds,
+        resourceList,
+        contractLabels,
+        marketImpact,
+        dependentsMap,
+        ignoreMin: ignoringMin,
+        random: stream('contracts'),
+    });
+
+    // round mode: noise, decay and refills happen when the host ends a round instead of on timers
+    const { round, endRound, roundsLeft, resetRounds } = useRounds({
+        enabled: roundMode,
+        roundsBeforeDecay,
+        allDecay: allContractsDecay,
+        contracts,
+        onDecay: onContractDecay,
+        requestRefill,
+        growTarget: growTargetForRound,
+        tickNoise,
+        noiseActive: isNoiseActive,
+        advanceEvents: advanceRound,
+    });
+
+    // contracts row: sorted and filtered for display only, pinned contracts first (the board keeps its order)
+    const [contractView, setContractView] = useLocalStorage('contractView', defaultContractView);
+    const tiersByName = useMemo(() => resourceTiers(resourceList), [resourceList]);
+    const shownContracts = useMemo(() => {
+        const now = Date.now();
+        const timeLeft = roundMode ? (c) => roundsLeft(c.id) ?? Infinity : (c) => contractTimeLeft(c, now);
+        return arrangeContracts(contracts, contractView, { values, tiers: tiersByName, timeLeft });
+    }, [contracts, contractView, values, tiersByName, roundMode, roundsLeft]);
+
+    // names for the contracts and resources price changes are attributed to (sparkline tooltips, change log)
+    const contractNames = useMemo(() => Object.fromEntries([
+        ...archive.map(e => [e.contractId, e.label]),
+        ...contracts.map(c => [c.id, c.label]),
+    ]), [archive, contracts]);
+    const resourceLabels = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r.label])), [resourceList]);
+
+    // pinned contracts crossing break-even (reward vs live market value) raise an alert
+    const { alerts: profitAlerts, dismissAlert } = useBreakEvenAlerts({ enabled: breakEvenAlerts, contracts, values });
+
+    // ledgers record the market value of each delivery before it moves prices (see settleContract)
+    const handleCompleteContract = (contract, playerId) => {
+        if (playerId) setLastPlayerId(playerId);
+        completeContract(contract.id, playerId);
+    };
+    const handleDeliver = (contract, name, qty, playerId) => {
+        if (playerId) setLastPlayerId(playerId);
+        deliverResource(contract.id, name, qty, playerId);
+    };
+
+    // Load a validated scenario: replace catalog, labels and settings, then re-seed resources & contracts
+    const applyScenario = (scenario) => {
+        const errors = saveCatalog(scenario.resources);
+        if (errors.length) return errors;
+        setTierLabels(scenario.resourceTiers);
+        setContractLabels(scenario.contractLabels);
+        const { settings } = scenario;
+        setDecayTimeMs(settings.decayTimeMs);
+        setNoiseIntervalMs(settings.noiseIntervalMs);
+        setContractCount(settings.contractCount);
+        setPaused(settings.paused);
+        setMinPayoutMult(settings.contractRewardMin);
+        setMaxPayoutMult(settings.contractRewardMax);
+        setMaxContractResources(settings.maxContractResources);
+        setContractDifficulty(settings.contractDifficulty);
+        setMarketImpact(settings.marketImpact);
+        setNoiseModel(settings.noiseModel);
+        setMarketEvents(settings.marketEvents);
+        setContractTypeWeights(settings.contractTypeWeights);
+        setTargetGrowth(settings.targetGrowth);
+        setAllContractsDecay(settings.allContractsDecay);
+        setDecayScalesWithDifficulty(settings.decayScalesWithDifficulty);
+        setRoundMode(settings.roundMode);
+        setRoundsBeforeDecay(settings.roundsBeforeDecay);
+        setProRateDecayReward(settings.proRateDecayReward);
+        setPenaltyChance(settings.penaltyChance);
+        setReputationEnabled(settings.reputationEnabled);
+        setBreakEvenAlerts(settings.breakEvenAlerts);
+        setScenarioName(scenario.name);
+        setReseedPending(true);
+        return [];
+    };
+
+    // Restart the game from another seed so every table using it sees the same sequence
+    const applySeed = (nextSeed) => {
+        setSeed(nextSeed);
+        setReseedPending(true);
+    };
+
+    // Re-seed once the new catalog has rendered so initial values are computed from it
+    useEffect(() => {
+        if (!reseedPending) return;
+        setReseedPending(false);
+        resetResources();
+        resetContracts();
+        resetLedgers();
+        resetReputation();
+        resetArchive();
+        resetEvents();
+        resetRounds();
+    }, [reseedPending, resetResources, resetContracts, resetLedgers, resetReputation, resetArchive, resetEvents, resetRounds]);
 
     // Resource connection paths (encapsulated in hook for clarity)
     const { containerRef, getResourceRef, connections } = useResourceConnections(resourceList)
+    // connections a correlated noise shock just travelled along (highlighted for a moment)
+    const shockedConnections = useMemo(
+        () => Object.fromEntries((noiseShock?.paths || []).map(p => [p.from + '->' + p.to, p.direction])),
+        [noiseShock]
+    );
 
     // Settings panel trigger (increments to force open via effect in SettingsPanel)
     const [settingsTrigger, setSettingsTrigger] = useState(0)
 
     return (
         <AppShell>
+            <StorageWarnings />
+            <BreakEvenAlerts alerts={profitAlerts} onDismiss={dismissAlert} />
+            <MarketEventBanner events={activeEvents} clockMs={eventClockMs} round={eventRound} resourceList={resourceList} />
             <OpenSettingsButton
                 type="button"
                 aria-label="Open settings panel"
                 onClick={() => setSettingsTrigger(t => t + 1)}
             >⚙️</OpenSettingsButton>
+            {roundMode && (
+                <RoundControl
+                    round={round}
+                    onEndRound={endRound}
+                    disabled={paused || !driving}
+                    disabledReason={paused ? 'Unpause to play rounds' : 'Only the host ends rounds'}
+                />
+            )}
+            <OpenScoreboardButton
+                type="button"
+                aria-label="Open scoreboard"
+                title={reputationEnabled ? `Scoreboard · reputation ${Math.round(reputation.score)}` : 'Scoreboard'}
+                onClick={() => setScoreboardOpen(true)}
+            >🏆</OpenScoreboardButton>
+            <OpenArchiveButton
+                type="button"
+                aria-label="Open contract archive"
+                title={`Contract archive · ${archive.length} closed`}
+                onClick={() => setArchiveOpen(true)}
+            >📜</OpenArchiveButton>
+            <OpenAnalyticsButton
+                type="button"
+                aria-label="Open analytics"
+                title="Analytics · price history and contract metrics"
+                onClick={() => setAnalyticsOpen(true)}
+            >📈</OpenAnalyticsButton>
+            <OpenChangeLogButton
+                type="button"
+                aria-label="Open price change log"
+                title="Price change log · when and why every price moved"
+                onClick={() => setChangeLogOpen(true)}
+            >🧾</OpenChangeLogButton>
             <SettingsPanel
                 toggleNoise={toggleNoise}
                 isNoiseActive={isNoiseActive}
                 ignoringMin={ignoringMin}
                 toggleIgnoreMin={toggleIgnoreMin}
-                resetResources={() => { resetResources(); resetContracts(); }}
+                resetResources={() => { resetResources(); resetContracts(); resetLedgers(); resetReputation(); resetArchive(); resetEvents(); resetRounds(); }}
                 undoLastChange={undoLastChange}
                 canUndoLastChange={canUndoLastChange}
                 contractsCount={contracts.length}
@@ -84,7 +339,120 @@ function App() {
                 }}
                 maxContractResources={maxContractResources}
                 onChangeMaxContractResources={setMaxContractResources}
+                onOpenResourceEditor={() => setResourceEditorOpen(true)}
+                onOpenSimulator={() => setSimulatorOpen(true)}
+                scenarios={bundledScenarios}
+                scenarioName={scenarioName}
+                onApplyScenario={applyScenario}
+                saveSlots={saveSlots}
+                sharedSession={sharedSession}
+                players={players}
+                marketImpact={marketImpact}
+                onChangeMarketImpact={setMarketImpact}
+                noiseModel={noiseModel}
+                onChangeNoiseModel={setNoiseModel}
+                marketEvents={marketEvents}
+                onChangeMarketEvents={setMarketEvents}
+                onTriggerMarketEvent={triggerEvent}
+                contractTypeWeights={contractTypeWeights}
+                onChangeContractTypeWeights={setContractTypeWeights}
+                targetGrowth={targetGrowth}
+                onChangeTargetGrowth={setTargetGrowth}
+                targetValue={targetValue}
+                onChangeTargetValue={setTargetValue}
+                targetHistory={targetHistory}
+                allContractsDecay={allContractsDecay}
+                onToggleAllContractsDecay={() => setAllContractsDecay(a => !a)}
+                decayScalesWithDifficulty={decayScalesWithDifficulty}
+                onToggleDecayScalesWithDifficulty={() => setDecayScalesWithDifficulty(d => !d)}
+                roundMode={roundMode}
+                onToggleRoundMode={() => setRoundMode(m => !m)}
+                roundsBeforeDecay={roundsBeforeDecay}
+                onChangeRoundsBeforeDecay={setRoundsBeforeDecay}
+                proRateDecayReward={proRateDecayReward}
+                onToggleProRateDecayReward={() => setProRateDecayReward(p => !p)}
+                penaltyChance={penaltyChance}
+                onChangePenaltyChance={setPenaltyChance}
+                reputationEnabled={reputationEnabled}
+                onToggleReputation={() => setReputationEnabled(r => !r)}
+                breakEvenAlerts={breakEvenAlerts}
+                onToggleBreakEvenAlerts={() => setBreakEvenAlerts(b => !b)}
+                tiers={tierOrder.map(tier => ({ tier, label: byTier[tier].label }))}
+                seed={seed}
+                onApplySeed={applySeed}
+                resourceCount={resourceList.length}
+                catalogErrors={catalogErrors}
             />
+            {resourceEditorOpen && (
+                <ResourceEditor
+                    catalog={catalog}
+                    errors={catalogErrors}
+                    onSave={saveCatalog}
+                    onClose={() => setResourceEditorOpen(false)}
+                />
+            )}
+            {scoreboardOpen && (
+                <Scoreboard
+                    standings={players.standings}
+                    ledgers={players.ledgers}
+                    reputation={reputationEnabled ? reputation : null}
+                    onClose={() => setScoreboardOpen(false)}
+                />
+            )}
+            {archiveOpen && (
+                <ContractArchive
+                    archive={archive}
+                    players={players.players}
+                    resourceList={resourceList}
+                    onClose={() => setArchiveOpen(false)}
+                />
+            )}
+            {analyticsOpen && (
+                <AnalyticsPanel
+                    resources={tierOrder.flatMap(tier => byTier[tier].resources)}
+                    archive={archive}
+                    onClose={() => setAnalyticsOpen(false)}
+                />
+            )}
+            {changeLogOpen && (
+                <PriceChangeLog
+                    histories={histories}
+                    resourceList={resourceList}
+                    contractNames={contractNames}
+                    onClose={() => setChangeLogOpen(false)}
+                />
+            )}
+            {simulatorOpen && (
+                <Simulator
+                    resources={resourceList}
+                    settings={{
+                        decayTimeMs,
+                        noiseIntervalMs,
+                        contractCount,
+                        paused,
+                        contractRewardMin: minPayoutMult,
+                        contractRewardMax: maxPayoutMult,
+                        maxContractResources,
+                        contractDifficulty,
+                        marketImpact,
+                        noiseModel,
+                        marketEvents,
+                        contractTypeWeights,
+                        targetGrowth,
+                        allContractsDecay,
+                        decayScalesWithDifficulty,
+                        roundMode,
+                        roundsBeforeDecay,
+                        proRateDecayReward,
+                        penaltyChance,
+                        reputationEnabled,
+                        breakEvenAlerts,
+                    }}
+                    contractLabels={contractLabels}
+                    seed={seed}
+                    onClose={() => setSimulatorOpen(false)}
+                />
+            )}
             <ResourceStage ref={containerRef}>
                 <SvgOverlay aria-hidden="true">
                     <defs>
@@ -93,9 +461,21 @@ function App() {
                             <stop offset="100%" stopColor="#0f172a"/>
                         </linearGradient>
                     </defs>
-                    {connections.map(c => (
-                        <path key={c.from + '->' + c.to} d={c.path} fill="none" stroke="url(#resource-conn)" strokeWidth={2.5} strokeLinecap="round" opacity={0.5} />
-                    ))}
+                    {connections.map(c => {
+                        const shocked = shockedConnections[c.from + '->' + c.to]
+                        return (
+                            <path
+                                key={c.from + '->' + c.to}
+                                d={c.path}
+                                fill="none"
+                                stroke={shocked ? (shocked === 'upstream' ? '#8b5cf6' : '#f59e0b') : 'url(#resource-conn)'}
+                                strokeWidth={shocked ? 4 : 2.5}
+                                strokeLinecap="round"
+                                opacity={shocked ? 0.9 : 0.5}
+                                data-shock={shocked || undefined}
+                            />
+                        )
+                    })}
                 </SvgOverlay>
                 {tierOrder.map(tier => {
                     const tierGroup = byTier[tier]
@@ -111,6 +491,8 @@ function App() {
                                         min={r.min}
                                         step={1}
                                         history={r.history}
+                                        contractNames={contractNames}
+                                        resourceLabels={resourceLabels}
                                         ignoreMin={ignoringMin}
                                         resourceBase={resourceBases[r.name]}
                                     />
@@ -121,23 +503,41 @@ function App() {
                 })}
             </ResourceStage>
             <ContractsWrapper>
+                <ContractToolbar
+                    view={contractView}
+                    onChange={setContractView}
+                    resources={resourceList}
+                    tiers={tierOrder.map(tier => ({ tier, label: byTier[tier].label }))}
+                    players={players.players}
+                    shown={shownContracts.length}
+                    total={contracts.length}
+                />
                 <LayoutGroup>
                     <ContractsRow>
                         <AnimatePresence>
-                            {contracts.map((contract, idx) => (
+                            {shownContracts.map(contract => (
                                 <Contract
                                     key={contract.id}
                                     id={contract.id}
                                     {...contract}
-                                    paused={paused}
-                                    decay={idx === contracts.length - 1}
-                                    decayTime={decayTimeMs}
-                                    onDecay={() => onContractDecay(contract.id)}
-                                    onComplete={() => completeContract(contract.id)}
+                                    deadline={roundMode ? null : contract.deadline}
+                                    remainingMs={roundMode ? null : contract.remainingMs}
+                                    roundsLeft={roundMode ? roundsLeft(contract.id) : null}
+                                    roundsTotal={contractRounds(contract, roundsBeforeDecay)}
+                                    onComplete={(_, playerId) => handleCompleteContract(contract, playerId)}
+                                    onDeliver={(_, name, qty, playerId) => handleDeliver(contract, name, qty, playerId)}
+                                    onPin={pinContract}
+                                    players={players.players}
+                                    defaultPlayerId={lastPlayerId}
                                     currentValues={values}
+                                    histories={histories}
+                                    resourceList={resourceList}
                                 />
                             ))}
                         </AnimatePresence>
+                        {shownContracts.length === 0 && contracts.length > 0 && (
+                            <NoMatch>No contracts match the filters.</NoMatch>
+                        )}
                     </ContractsRow>
                 </LayoutGroup>
             </ContractsWrapper>
@@ -185,6 +585,22 @@ const OpenSettingsButton = styled.button`
   &:focus-visible { outline:2px solid #1d4ed8; outline-offset:3px; }
 `;
 
+const OpenScoreboardButton = styled(OpenSettingsButton)`
+  right:58px;
+`;
+
+const OpenArchiveButton = styled(OpenSettingsButton)`
+  right:104px;
+`;
+
+const OpenAnalyticsButton = styled(OpenSettingsButton)`
+  right:150px;
+`;
+
+const OpenChangeLogButton = styled(OpenSettingsButton)`
+  right:196px;
+`;
+
 const ResourceStage = styled.main`
   flex:1;
   position:relative;
@@ -203,12 +619,15 @@ const SvgOverlay = styled.svg`
   height:100%;
   pointer-events:none;
   overflow:visible;
+  path { transition:stroke-width .3s ease, opacity .3s ease; }
 `;
 
 const ContractsWrapper = styled.section`
-  height:200px;
+  height:230px;
   border-top:1px solid #ccc;
   display:flex;
+  flex-direction:column;
+  gap:6px;
   padding:10px;
   overflow-y:auto;
   background-color:#f9fafb;
@@ -219,9 +638,17 @@ const ContractsRow = styled.div`
   flex:1;
   gap:10px;
   width:100%;
-  height:100%;
+  min-height:0;
   align-items:stretch;
   & > * { flex:1 1 0; min-width:0; display:flex; }
 `;
 
+const NoMatch = styled.p`
+  margin:0;
+  align-items:center;
+  justify-content:center;
+  font-size:.8rem;
+  color:#64748b;
+`;
+
 export default App;
@@ -0,0 +1,15 @@
+import App from './App.jsx'
+import { useSaveSlots } from './hooks/useSaveSlots.js'
+import { StorageScopeContext } from './hooks/useWebStorage.js'
+
+// Scopes every persisted key of App to the active save slot; switching slots remounts App from that slot's storage
+export function SlottedApp() {
+    const saveSlots = useSaveSlots()
+    return (
+        <StorageScopeContext.Provider value={saveSlots.activeSlot.id}>
+            <App key={saveSlots.activeSlot.id} saveSlots={saveSlots} />
+        </StorageScopeContext.Provider>
+    )
+}
+
+export default SlottedApp
@@ -0,0 +1,182 @@
+import { useMemo, useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { chartPath, defaultAnalyticsOptions, resourceStats, sessionStats, timeAtFloor } from '../engine/analytics.js'
+
+// AnalyticsPanel: full-session price charts and statistics per resource, plus contract metrics (see engine/analytics.js)
+// Props expected:
+//  - resources: [{ name, label, icon, min, components?, history }] resources in tier order (min: current floor)
+//  - archive: ArchiveEntry[] (for the session metrics)
+//  - onClose(): void
+const CHART_POINTS = 240
+const money = (v) => `${v < 0 ? '−' : ''}$${Math.abs(Math.round(v)).toLocaleString()}`
+const percent = (v, digits = 1) => v == null ? '–' : `${v > 0 ? '+' : v < 0 ? '−' : ''}${Math.abs(v).toFixed(digits)}%`
+const duration = (ms) => {
+  if (ms == null) return '–'
+  const s = Math.round(ms / 1000)
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`
+}
+
+export const AnalyticsPanel = ({ resources = [], archive = [], onClose }) => {
+  const [volatilityWindow, setVolatilityWindow] = useState(defaultAnalyticsOptions.window)
+  const [changeTicks, setChangeTicks] = useState(defaultAnalyticsOptions.changeTicks)
+  const session = useMemo(() => sessionStats(archive), [archive])
+  const rows = useMemo(() => {
+    const histories = Object.fromEntries(resources.map(r => [r.name, r.history]))
+    const now = Date.now()
+    return resources.map(r => ({
+      resource: r,
+      stats: resourceStats(r.history, { window: volatilityWindow, changeTicks }),
+      floorTime: timeAtFloor(r, histories, now),
+      chart: chartPath(r.history || [], r.min, CHART_POINTS),
+    }))
+  }, [resources, volatilityWindow, changeTicks])
+
+
+  return (
+    <Modal title="Analytics" onClose={onClose} width="720px">
+      <Session aria-label="Session metrics">
+        <Metric><dt>Completed</dt><dd>{session.completed}</dd></Metric>
+        <Metric><dt>Decayed</dt><dd>{session.decayed}</dd></Metric>
+        <Metric><dt>Completion rate</dt><dd>{session.completionRate == null ? '–' : `${Math.round(session.completionRate * 100)}%`}</dd></Metric>
+        <Metric><dt>Avg time to fulfil</dt><dd>{duration(session.avgFulfilMs)}</dd></Metric>
+        <Metric><dt>Rewards paid</dt><dd>{money(session.rewardsPaid)}</dd></Metric>
+        {session.penalties > 0 && <Metric><dt>Penalties</dt><dd>{money(-session.penalties)}</dd></Metric>}
+      </Session>
+      <Options>
+        <label>
+          Volatility over
+          <NumInput
+            type="number" min={2} max={500} step={1}
+            value={volatilityWindow}
+            onChange={e => setVolatilityWindow(Math.min(500, Math.max(2, Math.round(+e.target.value) || 2)))}
+            aria-label="Volatility window (changes)"
+          />
+          changes
+        </label>
+        <label>
+          Change over
+          <NumInput
+            type="number" min={1} max={500} step={1}
+            value={changeTicks}
+            onChange={e => setChangeTicks(Math.min(500, Math.max(1, Math.round(+e.target.value) || 1)))}
+            aria-label="Change window (ticks)"
+          />
+          ticks
+        </label>
+      </Options>
+      <List>
+        {rows.map(({ resource: r, stats, floorTime, chart }) => (
+          <Card key={r.name} aria-label={`${r.label || r.name} analytics`}>
+            <CardTitle>{r.icon ? `${r.icon} ` : ''}{r.label || r.name}</CardTitle>
+            {chart ? (
+              <Chart viewBox="0 0 100 100" preserveAspectRatio="none" role="img" aria-label={`${r.label || r.name} price over the session`}>
+                <line x1="0" x2="100" y1={chart.floor} y2={chart.floor} stroke="#f87171" strokeDasharray="3 3" vectorEffect="non-scaling-stroke" />
+                <path d={chart.line} fill="none" stroke="#2563eb" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+              </Chart>
+            ) : (
+              <Empty>No price changes yet.</Empty>
+            )}
+            {stats && (
+              <Stats>
+                <dt>Min / Max</dt><dd>{money(stats.min)} / {money(stats.max)}</dd>
+                <dt>Mean</dt><dd>{money(stats.mean)}</dd>
+                <dt title={`Standard deviation of the last ${volatilityWindow} price changes`}>Volatility</dt><dd>{stats.volatility == null ? '–' : `${stats.volatility.toFixed(1)}%`}</dd>
+                <dt title={`Over the last ${changeTicks} recorded prices`}>Change</dt><dd>{percent(stats.change)}</dd>
+                <dt title="Time the price sat at or below the floor that applied then">Time at floor</dt><dd>{floorTime?.share == null ? '–' : `${duration(floorTime.ms)} (${Math.round(floorTime.share * 100)}%)`}</dd>
+              </Stats>
+            )}
+          </Card>
+        ))}
+      </List>
+    </Modal>
+  )
+}
+
+// Styled Components
+const Session = styled.dl`
+  display:flex;
+  flex-wrap:wrap;
+  gap:.5rem;
+  margin:0 0 .6rem;
+`;
+
+const Metric = styled.div`
+  flex:1;
+  min-width:6.5rem;
+  padding:.4rem .55rem;
+  border:1px solid #e2e8f0;
+  border-radius:.5rem;
+  background:#f8fafc;
+  dt { font-size:.55rem; font-weight:700; letter-spacing:.5px; text-transform:uppercase; color:#64748b; }
+  dd { margin:.15rem 0 0; font-size:.85rem; font-weight:700; color:#0f172a; font-variant-numeric:tabular-nums; }
+`;
+
+const Options = styled.div`
+  display:flex;
+  flex-wrap:wrap;
+  gap:1rem;
+  margin-bottom:.6rem;
+  label { display:flex; align-items:center; gap:.4rem; font-size:.65rem; font-weight:600; color:#334155; }
+`;
+
+const NumInput = styled.input`
+  width:3.6rem;
+  padding:.3rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  text-align:right;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const List = styled.div`
+  display:grid;
+  grid-template-columns:repeat(auto-fill, minmax(200px, 1fr));
+  gap:.5rem;
+  max-height:60vh;
+  overflow-y:auto;
+`;
+
+const Card = styled.section`
+  display:flex;
+  flex-direction:column;
+  gap:.35rem;
+  padding:.5rem .6rem;
+  border:1px solid #e2e8f0;
+  border-radius:.5rem;
+  background:#fff;
+`;
+
+const CardTitle = styled.h3`
+  margin:0;
+  font-size:.75rem;
+  font-weight:700;
+  color:#0f172a;
+`;
+
+const Chart = styled.svg`
+  width:100%;
+  height:60px;
+  background:#f8fafc;
+  border-radius:.35rem;
+`;
+
+const Empty = styled.p`
+  margin:0;
+  font-size:.65rem;
+  color:#64748b;
+`;
+
+const Stats = styled.dl`
+  display:grid;
+  grid-template-columns:max-content 1fr;
+  gap:.15rem .6rem;
+  margin:0;
+  font-size:.65rem;
+  color:#334155;
+  font-variant-numeric:tabular-nums;
+  dt { font-weight:700; color:#475569; text-transform:uppercase; font-size:.55rem; letter-spacing:.5px; padding-top:.1rem; }
+  dd { margin:0; }
+`;
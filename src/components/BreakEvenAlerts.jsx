@@ -0,0 +1,62 @@
+import styled from 'styled-components'
+
+// BreakEvenAlerts: notices for pinned contracts crossing break-even (see hooks/useBreakEvenAlerts.js)
+// Props expected:
+//  - alerts: [{ id, label, profitable, margin }]
+//  - onDismiss(id): void
+const money = (v) => `${v < 0 ? '−' : '+'}$${Math.abs(Math.round(v))}`
+
+export const BreakEvenAlerts = ({ alerts, onDismiss }) => {
+  if (!alerts.length) return null
+  return (
+    <Stack role="status" aria-label="Break-even alerts">
+      {alerts.map(a => (
+        <Item key={a.id} data-profitable={a.profitable}>
+          <span>
+            📌 <strong>{a.label}</strong> {a.profitable ? 'is profitable again' : 'went underwater'} ({money(a.margin)})
+          </span>
+          <Dismiss type="button" onClick={() => onDismiss(a.id)} aria-label="Dismiss alert">×</Dismiss>
+        </Item>
+      ))}
+    </Stack>
+  )
+}
+
+// Styled Components
+const Stack = styled.div`
+  position:absolute;
+  right:12px;
+  bottom:240px;
+  z-index:40;
+  display:flex;
+  flex-direction:column;
+  gap:.35rem;
+  max-width:min(360px, 90vw);
+  font-family:system-ui, sans-serif;
+`;
+
+const Item = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.6rem;
+  padding:.45rem .6rem .45rem .75rem;
+  border-radius:.65rem;
+  box-shadow:0 2px 8px rgba(0,0,0,.12);
+  font-size:.75rem;
+  font-weight:600;
+  background:#fef2f2;
+  border:1px solid #fca5a5;
+  color:#991b1b;
+  &[data-profitable='true'] { background:#f0fdf4; border-color:#86efac; color:#166534; }
+`;
+
+const Dismiss = styled.button`
+  margin-left:auto;
+  border:none;
+  background:none;
+  font-size:1rem;
+  line-height:1;
+  cursor:pointer;
+  color:inherit;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
@@ -1,10 +1,13 @@
-import React, {useMemo, useState, useEffect, useRef} from 'react'
+import React, {useMemo, useState, useEffect} from 'react'
 import { motion } from 'framer-motion'
 import styled from 'styled-components'
-import { resources as allResources } from '../constants/resources'
+import { resources as defaultResources } from '../constants/resources'
 import { CircularProgressbar, buildStyles } from 'react-circular-progressbar';
 import 'react-circular-progressbar/dist/styles.css';
 import NumberFlow from "@number-flow/react";
+import { deliveredQuantities, deliveryProgress } from '../engine/contracts.js'
+import { CONTRACT_TYPES } from '../engine/contractTypes.js'
+import { contractProfitability, contractTrend, TREND_WINDOW } from '../engine/profitability.js'
 
 /*
 Contract Component
@@ -12,61 +15,93 @@ Props:
     - value: The (internal) value / difficulty score of the contract
     - reward: The reward for completing the contract
     - resources: A dictionary of resources required { resourceName: quantity }
+    - deliveries: Partial deliveries so far [{ name, qty, playerId, value, at }]
+    - penalty: Penalty clause, charged when the contract decays (optional)
     - id: Unique identifier for the contract
+    - label: Company name
+    - type: Contract type key (see engine/contractTypes.js), shown as a badge; contracts without one have none
+    - resourceList: The live resource catalog used for labels, icons and tiers
+    - histories: Resource price histories { name: HistoryEntry[] } (see engine/resources.js) for the margin trend arrow (optional)
+    - players: Roster [{ id, name }]; when not empty the confirm bar asks who fulfilled the contract
+    - defaultPlayerId: Player preselected in the confirm bar
+    - deadline: Epoch ms when the contract decays (its clock is running), or null
+    - remainingMs: Time left on a stopped clock (paused), or null
+    - lifetimeMs: Full length of the contract's clock
+    - roundsLeft / roundsTotal: Round mode countdown (rounds until the contract decays); replaces the timer when set
+    - onComplete(id, playerId): playerId is null when nobody is assigned
+    - onDeliver(id, resourceName, qty, playerId): partial delivery (clicking a pill); pills are static without it
+    - pinned: Pinned contracts survive the board shrinking and are shown first
+    - onPin(id, pinned): toggles the pin; no pin button without it
  */
-export const Contract = ({ reward, resources, id, label, onComplete, decay, onDecay, decayTime = 15000, paused = false, currentValues }) => {
+export const Contract = ({ reward, penalty, resources, deliveries, id, label, type, pinned = false, onComplete, onDeliver, onPin, deadline = null, remainingMs = null, lifetimeMs = null, currentValues, histories, resourceList = defaultResources, players = [], defaultPlayerId = null, roundsLeft = null, roundsTotal = 1 }) => {
     const [confirming, setConfirming] = useState(false)
+    const [delivering, setDelivering] = useState(null) // { name, qty } while the confirm bar offers a delivery
+    const contractType = CONTRACT_TYPES[type]
+    const [assignee, setAssignee] = useState('')
     const [completed, setCompleted] = useState(false)
-    const [decayed, setDecayed] = useState(false)
-    const [progress, setProgress] = useState(0) // 0..1
-    const decayCalledRef = useRef(false)
+    const [remaining, setRemaining] = useState(() => deadline != null ? Math.max(0, deadline - Date.now()) : remainingMs)
 
-    const metaMap = useMemo(() => Object.fromEntries(allResources.map(r => [r.name, r])), [])
+    const metaMap = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r])), [resourceList])
     const resourceEntries = useMemo(() => {
         if (!resources) return []
-        return Object.entries(resources).map(([name, qty]) => ({ name, qty, meta: metaMap[name] }))
+        const delivered = deliveredQuantities({ deliveries })
+        return Object.entries(resources).map(([name, qty]) => ({ name, qty, delivered: Math.min(qty, delivered[name] || 0), meta: metaMap[name] }))
             .sort((a,b) => (a.meta?.tier||0) - (b.meta?.tier||0) || a.name.localeCompare(b.name))
-    }, [resources, metaMap])
+    }, [resources, deliveries, metaMap])
+    const delivery = deliveryProgress({ resources, deliveries })
 
+    // market value of what is still to be delivered
     const currentMarketValue = useMemo(() => {
         if (!currentValues) return 0
-        return resourceEntries.reduce((sum, r) => sum + (currentValues[r.name] || 0) * r.qty, 0)
+        return resourceEntries.reduce((sum, r) => sum + (currentValues[r.name] || 0) * (r.qty - r.delivered), 0)
     }, [currentValues, resourceEntries])
 
-    // Start / advance decay progress
+    // margin / ROI against the live market value, and where the required resources' prices are heading
+    const profit = useMemo(() => contractProfitability({ reward, resources, deliveries }, currentValues || {}), [reward, resources, deliveries, currentValues])
+    const trend = useMemo(() => contractTrend({ resources, deliveries }, histories), [resources, deliveries, histories])
+
+    // Countdown display; the deadline itself is persisted with the contract and enforced by useContracts
     useEffect(() => {
-        if (paused) return // freeze progress
-        if (!decay || completed || decayed || !onDecay) return
-        // Recompute decayStart so that progress resumes smoothly after pause
-        const effectiveStart = performance.now() - progress * decayTime
+        if (deadline == null) {
+            setRemaining(remainingMs)
+            return
+        }
         let frame
-        const loop = (now) => {
-            const elapsed = now - effectiveStart
-            const p = Math.min(1, elapsed / decayTime)
-            setProgress(p)
-            if (p >= 1) {
-                if (!decayCalledRef.current) {
-                    decayCalledRef.current = true
-                    setDecayed(true)
-                    onDecay(id)
-                }
-                return
-            }
-            frame = requestAnimationFrame(loop)
+        const loop = () => {
+            const left = Math.max(0, deadline - Date.now())
+            setRemaining(left)
+            if (left > 0) frame = requestAnimationFrame(loop)
         }
         frame = requestAnimationFrame(loop)
         return () => cancelAnimationFrame(frame)
-    }, [decay, decayTime, completed, decayed, onDecay, id, paused])
+    }, [deadline, remainingMs])
+    const hasClock = (deadline != null || remainingMs != null) && remaining != null
+    const clockLength = lifetimeMs || remaining || 1
+    const progress = hasClock ? Math.min(1, Math.max(0, 1 - remaining / clockLength)) : 0
 
-    const handleActivate = () => {
-        if (!onComplete) return
-        if (!confirming) {
-            setConfirming(true)
+    const openConfirm = () => {
+        setAssignee(players.some(p => p.id === defaultPlayerId) ? defaultPlayerId : '')
+        setConfirming(true)
+    }
+    const confirm = () => {
+        if (delivering) {
+            onDeliver(id, delivering.name, delivering.qty, assignee || null)
         } else {
-            onComplete(id)
-            setConfirming(false)
+            onComplete(id, assignee || null)
             setCompleted(true)
         }
+        setConfirming(false)
+        setDelivering(null)
+    }
+    const handleActivate = () => {
+        if (!onComplete) return
+        if (!confirming) openConfirm()
+        else confirm()
+    }
+    const startDelivery = (e, r) => {
+        e.stopPropagation()
+        if (!confirming) openConfirm()
+        setDelivering({ name: r.name, qty: 1, max: r.qty - r.delivered, meta: r.meta })
     }
     const handleKey = (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
@@ -74,9 +109,10 @@ export const Contract = ({ reward, resources, id, label, onComplete, decay, onDe
             handleActivate()
         } else if (e.key === 'Escape') {
             setConfirming(false)
+            setDelivering(null)
         }
     }
-    const cancel = (e) => { e.stopPropagation(); setConfirming(false) }
+    const cancel = (e) => { e.stopPropagation(); setConfirming(false); setDelivering(null) }
 
     return (
         <Card
@@ -89,11 +125,28 @@ export const Contract = ({ reward, resources, id, label, onComplete, decay, onDe
             onClick={handleActivate}
             onKeyDown={handleKey}
             data-confirm={confirming || undefined}
+            data-pinned={pinned || undefined}
+            data-profit={currentValues ? (profit.profitable ? 'profitable' : 'underwater') : undefined}
             transition={{ duration: 1, type: 'spring', stiffness: 100, damping: 20 }}
         >
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'start', justifyContent: 'start', gap: '.2rem', width: '100%' }}>
-                <Badge title="Contract type">{label}</Badge>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '.5rem', flexWrap: 'nowrap', marginTop: '.1rem' }}>
+                <Badges>
+                    <Badge title="Company">{label}</Badge>
+                    {contractType && (
+                        <TypeBadge data-type={type} title={contractType.description}>{contractType.icon} {contractType.label}</TypeBadge>
+                    )}
+                    {onPin && (
+                        <PinButton
+                            type="button"
+                            aria-pressed={pinned}
+                            aria-label={pinned ? 'Unpin contract' : 'Pin contract'}
+                            title={pinned ? 'Unpin' : 'Pin: shown first and kept when the board shrinks'}
+                            onClick={e => { e.stopPropagation(); onPin(id, !pinned) }}
+                            onKeyDown={e => e.stopPropagation()}
+                        >📌</PinButton>
+                    )}
+                </Badges>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '.5rem', flexWrap: 'wrap', marginTop: '.1rem' }}>
                 <Reward title="Reward" aria-label="Reward">
                     <RewardValue >${reward ?? 0}</RewardValue>
                 </Reward>
@@ -102,14 +155,34 @@ export const Contract = ({ reward, resources, id, label, onComplete, decay, onDe
                         <NumberFlow value={currentMarketValue ?? 0} prefix="$" />
                     </MarketValue>
                 </MarketReward>
+                {currentValues && (
+                    <ProfitPill
+                        data-profit={profit.profitable ? 'profitable' : 'underwater'}
+                        aria-label={`Margin ${profit.margin < 0 ? 'minus ' : ''}$${Math.abs(Math.round(profit.margin))}${profit.roi != null ? `, ROI ${Math.round(profit.roi * 100)}%` : ''}`}
+                        title={`${profit.profitable ? 'Profitable' : 'Underwater'}: reward − market value${profit.roi != null ? ` (ROI ${Math.round(profit.roi * 100)}%)` : ''}`}
+                    >
+                        <RewardValue>{profit.margin < 0 ? '−' : '+'}${Math.abs(Math.round(profit.margin))}</RewardValue>
+                        {profit.roi != null && <Roi>{Math.round(profit.roi * 100)}%</Roi>}
+                        <Trend
+                            data-direction={trend.direction}
+                            aria-label={`Margin trend ${trend.direction}`}
+                            title={trend.direction === 'flat' ? `Prices steady over the last ${TREND_WINDOW} changes` : `Required resources got ${trend.direction === 'up' ? 'cheaper' : 'pricier'} over the last ${TREND_WINDOW} changes`}
+                        >{trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'}</Trend>
+                    </ProfitPill>
+                )}
+                {penalty > 0 && (
+                    <PenaltyPill title={`Penalty clause: $${penalty} charged if the contract decays`} aria-label="Penalty if the contract decays">
+                        <RewardValue>⚠ −${penalty}</RewardValue>
+                    </PenaltyPill>
+                )}
                 </div>
             </div>
-            {decay && !completed && !decayed && (
-                <InlineProgress aria-label={`Time remaining ${(1-progress)*decayTime/1000 | 0} seconds`}>
+            {hasClock && roundsLeft == null && !completed && (
+                <InlineProgress aria-label={`Time remaining ${remaining/1000 | 0} seconds`} data-stopped={deadline == null || undefined}>
                     <CircularProgressbar
                         value={Math.floor(progress * 100)}
                         strokeWidth={12}
-                        text={`${Math.max(0, Math.ceil((1 - progress) * decayTime / 1000))}`}
+                        text={`${Math.max(0, Math.ceil(remaining / 1000))}`}
                         styles={buildStyles({
                             pathColor: progress < 0.7 ? '#1d4ed8' : progress < 0.9 ? '#f59e0b' : '#dc2626',
                             trailColor: '#e2e8f0',
@@ -119,26 +192,99 @@ export const Contract = ({ reward, resources, id, label, onComplete, decay, onDe
                     />
                 </InlineProgress>
             )}
+            {roundsLeft != null && !completed && (
+                <InlineProgress aria-label={`Rounds remaining ${roundsLeft}`} title={`Decays after ${roundsLeft} more round${roundsLeft === 1 ? '' : 's'}`}>
+                    <CircularProgressbar
+                        value={Math.floor((1 - roundsLeft / roundsTotal) * 100)}
+                        strokeWidth={12}
+                        text={`${roundsLeft}`}
+                        styles={buildStyles({
+                            pathColor: roundsLeft > 1 ? '#1d4ed8' : '#dc2626',
+                            trailColor: '#e2e8f0',
+                            textColor: '#0f172a',
+                            textSize: '34px'
+                        })}
+                    />
+                </InlineProgress>
+            )}
             <ReqRow aria-label="Required resources" role="list">
                 {resourceEntries.length === 0 && <Empty>No resources</Empty>}
                 {resourceEntries.map(r => {
                     const tier = r.meta?.tier || 1
-                    return (
-                        <ResPill role="listitem" key={r.name} data-tier={tier} title={`${r.meta?.label || r.name} (Tier ${tier})  x${r.qty}`}>
+                    const done = r.delivered >= r.qty
+                    const content = (
+                        <>
                             <Dot data-tier={tier} />
                             <span>{r.meta?.icon || '📦'}</span>
                             <abbr>{r.meta?.label || r.name}</abbr>
-                            <strong>{r.qty}</strong>
+                            <strong>{r.delivered > 0 ? `${r.delivered}/${r.qty}` : r.qty}</strong>
+                        </>
+                    )
+                    return (
+                        <ResPill
+                            role="listitem"
+                            key={r.name}
+                            data-tier={tier}
+                            data-done={done || undefined}
+                            data-active={delivering?.name === r.name || undefined}
+                            title={`${r.meta?.label || r.name} (Tier ${tier})  ${r.delivered}/${r.qty} delivered`}
+                        >
+                            {onDeliver && !done ? (
+                                <PillButton
+                                    type="button"
+                                    onClick={e => startDelivery(e, r)}
+                                    onKeyDown={e => e.stopPropagation()}
+                                    aria-label={`Deliver ${r.meta?.label || r.name}`}
+                                >{content}</PillButton>
+                            ) : content}
                         </ResPill>
                     )
                 })}
             </ReqRow>
+            <DeliveryBar
+                role="progressbar"
+                aria-label="Delivered"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(delivery * 100)}
+                title={`${Math.round(delivery * 100)}% delivered`}
+            >
+                <i style={{ width: `${delivery * 100}%` }} />
+            </DeliveryBar>
             {confirming && (
                 <ConfirmBar role="alert" aria-live="assertive" onClick={e => e.stopPropagation()}>
-                    <span style={{ fontSize: '1rem' }}>Complete?</span>
+                    {delivering ? (
+                        <DeliverQty>
+                            <span title={delivering.meta?.label || delivering.name}>{delivering.meta?.icon || '📦'}</span>
+                            <QtyInput
+                                type="number"
+                                min={1}
+                                max={delivering.max}
+                                value={delivering.qty}
+                                onChange={e => setDelivering(d => ({ ...d, qty: Math.min(d.max, Math.max(1, Math.round(+e.target.value) || 1)) }))}
+                                onKeyDown={e => e.stopPropagation()}
+                                aria-label="Quantity to deliver"
+                            />
+                            <span>/ {delivering.max}</span>
+                        </DeliverQty>
+                    ) : (
+                        <span style={{ fontSize: '1rem' }}>Complete?</span>
+                    )}
+                    {players.length > 0 && (
+                        <AssignSelect
+                            value={assignee}
+                            onChange={e => setAssignee(e.target.value)}
+                            onKeyDown={e => e.stopPropagation()}
+                            aria-label="Assign to player"
+                            title="Player who fulfilled the contract"
+                        >
+                            <option value="">No player</option>
+                            {players.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </AssignSelect>
+                    )}
                     <ConfirmButtons>
-                        <ConfirmBtn type="button" onClick={(e)=>{ e.stopPropagation(); onComplete && onComplete(id); setConfirming(false) }} aria-label="Confirm contract completion">Yes</ConfirmBtn>
-                        <CancelBtn type="button" onClick={cancel} aria-label="Cancel completion">No</CancelBtn>
+                        <ConfirmBtn type="button" onClick={(e)=>{ e.stopPropagation(); confirm() }} aria-label={delivering ? 'Confirm delivery' : 'Confirm contract completion'}>Yes</ConfirmBtn>
+                        <CancelBtn type="button" onClick={cancel} aria-label={delivering ? 'Cancel delivery' : 'Cancel completion'}>No</CancelBtn>
                     </ConfirmButtons>
                 </ConfirmBar>
             )}
@@ -165,13 +311,24 @@ const Card = styled(motion.div)`
   position:relative;
   outline:none;
   &:focus-visible { box-shadow:0 0 0 2px #1d4ed8, 0 0 0 4px #bfdbfe; }
+  &[data-pinned] { border-color:#f59e0b; }
+  &[data-profit='profitable'] { border-left:3px solid #16a34a; }
+  &[data-profit='underwater'] { border-left:3px solid #dc2626; background:#fffafa; }
   &[data-confirm] { border-color:#047857; box-shadow:0 0 0 1px #047857, 0 2px 10px rgba(0,0,0,.25); }
 `;
 
+const Badges = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.3rem;
+  margin-right: 2.2rem; /* space for spinner */
+  flex-wrap:wrap;
+  min-width:0;
+`;
+
 const Badge = styled.span`
   background:#1d4ed8;
   color:#fff;
-  margin-right: 2.2rem; /* space for spinner */
   font-weight:600;
   padding:.25rem .55rem .3rem;
   border-radius:.5rem;
@@ -181,6 +338,33 @@ const Badge = styled.span`
   white-space:nowrap;
 `;
 
+const TypeBadge = styled(Badge)`
+  background:#e2e8f0;
+  color:#334155;
+  font-size:.65rem;
+  padding:.2rem .45rem .25rem;
+  &[data-type='rush'] { background:#fee2e2; color:#b91c1c; }
+  &[data-type='premium'] { background:#ede9fe; color:#6d28d9; }
+  &[data-type='bulk'] { background:#fef3c7; color:#92400e; }
+  &[data-type='tierLocked'] { background:#dbeafe; color:#1e40af; }
+`;
+
+const PinButton = styled.button`
+  font:inherit;
+  font-size:.7rem;
+  line-height:1;
+  padding:.15rem .25rem;
+  border:1px solid transparent;
+  border-radius:.4rem;
+  background:transparent;
+  cursor:pointer;
+  filter:grayscale(1);
+  opacity:.45;
+  &:hover { opacity:.8; }
+  &[aria-pressed='true'] { filter:none; opacity:1; background:#fef3c7; border-color:#fcd34d; }
+  &:focus-visible { outline:2px solid #1d4ed8; outline-offset:1px; }
+`;
+
 const ReqRow = styled.div`
   display:flex;
   align-items:center;
@@ -205,6 +389,32 @@ const ResPill = styled.span`
   &[data-tier="2"] { background:#eff6ff; border-color:#dbeafe; }
   &[data-tier="3"] { background:#fff7ed; border-color:#ffedd5; }
   &[data-tier="4"] { background:#fefce8; border-color:#fef9c3; }
+  &[data-done] { opacity:.55; strong { background:#bbf7d0; color:#065f46; } }
+  &[data-active] { border-color:#047857; box-shadow:0 0 0 1px #047857; }
+`;
+
+const PillButton = styled.button`
+  display:inline-flex;
+  align-items:center;
+  gap:inherit;
+  font:inherit;
+  letter-spacing:inherit;
+  color:inherit;
+  background:none;
+  border:0;
+  padding:0;
+  cursor:copy;
+  &:focus-visible { outline:2px solid #1d4ed8; outline-offset:3px; border-radius:.3rem; }
+`;
+
+const DeliveryBar = styled.div`
+  width:100%;
+  height:4px;
+  border-radius:2px;
+  background:#e2e8f0;
+  overflow:hidden;
+  flex-shrink:0;
+  i { display:block; height:100%; background:#047857; transition:width .3s; }
 `;
 
 const Dot = styled.i`
@@ -240,6 +450,29 @@ const MarketReward = styled(Reward)`
   background:#7c3aed; /* violet */
   box-shadow:0 0 0 1px #6d28d9 inset;
 `;
+const PenaltyPill = styled(Reward)`
+  background:#fee2e2;
+  color:#b91c1c;
+  box-shadow:0 0 0 1px #fca5a5 inset;
+`;
+const ProfitPill = styled(Reward)`
+  background:#dcfce7;
+  color:#166534;
+  box-shadow:0 0 0 1px #86efac inset;
+  &[data-profit='underwater'] { background:#fee2e2; color:#b91c1c; box-shadow:0 0 0 1px #fca5a5 inset; }
+`;
+const Roi = styled.span`
+  font-size:.6rem;
+  font-weight:600;
+  opacity:.85;
+`;
+const Trend = styled.span`
+  font-size:.8rem;
+  font-weight:700;
+  &[data-direction='up'] { color:#15803d; }
+  &[data-direction='down'] { color:#b91c1c; }
+  &[data-direction='flat'] { color:#64748b; }
+`;
 const MarketValue = styled(RewardValue)`
   color:#fff;
   .nf-root { font-size:.85rem; font-weight:600; line-height:1; display:flex; align-items:center; }
@@ -264,6 +497,40 @@ const ConfirmBar = styled.div`
   color:#065f46;
   box-shadow:0 2px 6px rgba(0,0,0,.15);
 `;
+const AssignSelect = styled.select`
+  flex:1;
+  min-width:0;
+  font:inherit;
+  font-size:.7rem;
+  font-weight:600;
+  padding:.35rem .4rem;
+  min-height:2.1rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #1d4ed8; outline-offset:2px; }
+`;
+const DeliverQty = styled.label`
+  display:inline-flex;
+  align-items:center;
+  gap:.3rem;
+  font-size:.8rem;
+  white-space:nowrap;
+`;
+const QtyInput = styled.input`
+  width:2.8rem;
+  font:inherit;
+  font-size:.7rem;
+  font-weight:600;
+  padding:.35rem .3rem;
+  min-height:2.1rem;
+  box-sizing:border-box;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  text-align:center;
+  &:focus-visible { outline:2px solid #1d4ed8; outline-offset:2px; }
+`;
 const ConfirmButtons = styled.div`
   display:inline-flex;
   gap:.5rem; /* increased gap for clearer separation */
@@ -310,4 +577,5 @@ const InlineProgress = styled.div`
   width:2.1rem; height:2.1rem; display:flex; align-items:center; justify-content:center; flex-shrink:0; /* removed margin-right; spacing handled by parent gap */
   .CircularProgressbar { width:100%; height:100%; }
   .CircularProgressbar-text { font-weight:700; font-size:28px; }
+  &[data-stopped] { opacity:.6; }
 `;
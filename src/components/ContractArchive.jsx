@@ -0,0 +1,205 @@
+import { useMemo, useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { CONTRACT_TYPES } from '../engine/contractTypes.js'
+import { entryPlayers, searchArchive } from '../engine/archive.js'
+
+// ContractArchive: searchable record of every contract that left the board (see engine/archive.js)
+// Props expected:
+//  - archive: ArchiveEntry[] oldest first
+//  - players: [{ id, name }] roster (names for player ids; removed players show their id)
+//  - resourceList: resource catalog for labels and icons
+//  - onClose(): void
+const money = (v) => `${v < 0 ? '−' : ''}$${Math.abs(Math.round(v)).toLocaleString()}`
+const time = (at) => at == null ? '–' : new Date(at).toLocaleTimeString()
+const causeLabels = { delivery: 'Delivery', complete: 'Completion', decay: 'Decay' }
+
+export const ContractArchive = ({ archive, players = [], resourceList = [], onClose }) => {
+  const [query, setQuery] = useState('')
+  const [outcome, setOutcome] = useState('all')
+  const playerNames = useMemo(() => Object.fromEntries(players.map(p => [p.id, p.name])), [players])
+  const meta = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r])), [resourceList])
+  const resourceLabels = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r.label])), [resourceList])
+  const entries = useMemo(
+    () => searchArchive(archive, query, { outcome, playerNames, resourceLabels }),
+    [archive, query, outcome, playerNames, resourceLabels],
+  )
+  const resource = (name) => `${meta[name]?.icon ? `${meta[name].icon} ` : ''}${meta[name]?.label || name}`
+  const player = (id) => id ? playerNames[id] || id : 'No player'
+
+  return (
+    <Modal title="Contract Archive" onClose={onClose} width="640px">
+      <Filters>
+        <Search
+          type="search"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          placeholder="Company, player, resource, type…"
+          aria-label="Search archive"
+        />
+        <Select value={outcome} onChange={e => setOutcome(e.target.value)} aria-label="Archive outcome filter">
+          <option value="all">All</option>
+          <option value="complete">Completed</option>
+          <option value="decay">Decayed</option>
+        </Select>
+        <Count aria-live="polite">{entries.length} of {archive.length}</Count>
+      </Filters>
+      {archive.length === 0 ? (
+        <Empty>No contracts have left the board yet. Completed and decayed contracts are recorded here and in session exports.</Empty>
+      ) : entries.length === 0 ? (
+        <Empty>No archived contracts match.</Empty>
+      ) : (
+        <List>
+          {entries.map(e => (
+            <Entry key={`${e.contractId}-${e.closedAt}`} data-outcome={e.outcome}>
+              <summary>
+                <strong>{e.label}</strong>
+                {CONTRACT_TYPES[e.type] && <small>{CONTRACT_TYPES[e.type].icon} {CONTRACT_TYPES[e.type].label}</small>}
+                <Outcome data-outcome={e.outcome}>{e.outcome === 'complete' ? 'Completed' : 'Decayed'}</Outcome>
+                <span title="Reward">{money(e.reward)}</span>
+                <span title="Market value of the required resources at close">{money(e.marketValue)}</span>
+                <time title="Closed">{time(e.closedAt)}</time>
+              </summary>
+              <Details>
+                <dt>Resources</dt>
+                <dd>{Object.entries(e.resources).map(([name, qty]) => `${resource(name)} ×${qty}`).join(', ')}</dd>
+                <dt>Generated</dt>
+                <dd>{time(e.generatedAt)}</dd>
+                {e.penalty > 0 && (<><dt>Penalty</dt><dd>{money(-e.penalty)}</dd></>)}
+                <dt>Players</dt>
+                <dd>{entryPlayers(e).map(player).join(', ') || '–'}</dd>
+                {e.deliveries.length > 0 && (
+                  <>
+                    <dt>Deliveries</dt>
+                    <dd>
+                      <ul>
+                        {e.deliveries.map((d, i) => (
+                          <li key={i}>{time(d.at)} · {player(d.playerId)} delivered {resource(d.name)} ×{d.qty} ({money(d.value)})</li>
+                        ))}
+                      </ul>
+                    </dd>
+                  </>
+                )}
+                <dt>Payouts</dt>
+                <dd>
+                  {e.payouts.length === 0 ? 'None' : (
+                    <ul>
+                      {e.payouts.map((p, i) => (
+                        <li key={i}>{player(p.playerId)}: {money(p.reward)}{p.penalty ? ' (penalty)' : p.partial ? ' (partial)' : ''}</li>
+                      ))}
+                    </ul>
+                  )}
+                </dd>
+                <dt>Price effects</dt>
+                <dd>
+                  {e.effects.length === 0 ? 'None' : (
+                    <ul>
+                      {e.effects.map((fx, i) => (
+                        <li key={i}>
+                          {time(fx.at)} · {causeLabels[fx.cause] || fx.cause}: {Object.entries(fx.changes).map(([name, [from, to]]) => `${resource(name)} ${from ?? '?'} → ${to}`).join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </dd>
+              </Details>
+            </Entry>
+          ))}
+        </List>
+      )}
+    </Modal>
+  )
+}
+
+// Styled Components
+const Filters = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.5rem;
+  margin-bottom:.6rem;
+`;
+
+const Search = styled.input`
+  flex:1;
+  font:inherit;
+  font-size:.75rem;
+  padding:.4rem .55rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.7rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Count = styled.span`
+  font-size:.65rem;
+  font-weight:600;
+  color:#64748b;
+  font-variant-numeric:tabular-nums;
+  white-space:nowrap;
+`;
+
+const Empty = styled.p`
+  margin:0;
+  font-size:.7rem;
+  color:#64748b;
+`;
+
+const List = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.35rem;
+  max-height:60vh;
+  overflow-y:auto;
+`;
+
+const Entry = styled.details`
+  border:1px solid #e2e8f0;
+  border-left:3px solid #047857;
+  border-radius:.5rem;
+  background:#fff;
+  &[data-outcome='decay'] { border-left-color:#b91c1c; }
+  summary {
+    display:flex;
+    align-items:baseline;
+    gap:.6rem;
+    padding:.4rem .55rem;
+    font-size:.72rem;
+    color:#0f172a;
+    cursor:pointer;
+    font-variant-numeric:tabular-nums;
+  }
+  summary small { font-size:.6rem; color:#475569; }
+  summary time { margin-left:auto; font-size:.62rem; color:#64748b; }
+`;
+
+const Outcome = styled.span`
+  font-size:.55rem;
+  font-weight:700;
+  letter-spacing:.5px;
+  text-transform:uppercase;
+  color:#047857;
+  &[data-outcome='decay'] { color:#b91c1c; }
+`;
+
+const Details = styled.dl`
+  display:grid;
+  grid-template-columns:max-content 1fr;
+  gap:.2rem .7rem;
+  margin:0;
+  padding:.1rem .55rem .5rem;
+  font-size:.65rem;
+  color:#334155;
+  dt { font-weight:700; color:#475569; text-transform:uppercase; font-size:.55rem; letter-spacing:.5px; padding-top:.1rem; }
+  dd { margin:0; }
+  ul { margin:0; padding-left:1rem; }
+`;
@@ -0,0 +1,117 @@
+import styled from 'styled-components'
+import { contractSorts, defaultContractView } from '../engine/contractBoard.js'
+
+// ContractToolbar: sort and filter controls above the contracts row (see engine/contractBoard.js)
+// Props expected:
+//  - view: ContractView
+//  - onChange(view): void
+//  - resources: [{ name, label, icon }] the resource catalog (for the "contains" filter)
+//  - tiers: [{ tier, label }] tiers present in the catalog
+//  - players: [{ id, name }] roster; the player filter is hidden while it is empty
+//  - shown / total: contracts shown and on the board
+export const ContractToolbar = ({ view, onChange, resources = [], tiers = [], players = [], shown, total }) => {
+  const update = (patch) => onChange && onChange({ ...view, ...patch })
+  const filtered = view.resource != null || view.tier != null || view.player != null
+
+  return (
+    <Bar aria-label="Sort and filter contracts">
+      <Field>
+        <span>Sort</span>
+        <Select value={view.sort} onChange={e => update({ sort: e.target.value })} aria-label="Sort contracts by">
+          {Object.entries(contractSorts).map(([sort, label]) => <option key={sort} value={sort}>{label}</option>)}
+        </Select>
+      </Field>
+      <Field>
+        <span>Contains</span>
+        <Select value={view.resource ?? ''} onChange={e => update({ resource: e.target.value || null })} aria-label="Only contracts requiring resource">
+          <option value="">Any resource</option>
+          {resources.map(r => <option key={r.name} value={r.name}>{r.icon ? `${r.icon} ` : ''}{r.label || r.name}</option>)}
+        </Select>
+      </Field>
+      <Field>
+        <span>Tier</span>
+        <Select value={view.tier ?? ''} onChange={e => update({ tier: e.target.value === '' ? null : +e.target.value })} aria-label="Only contracts requiring tier">
+          <option value="">Any tier</option>
+          {tiers.map(t => <option key={t.tier} value={t.tier}>{t.label}</option>)}
+        </Select>
+      </Field>
+      {players.length > 0 && (
+        <Field>
+          <span>Player</span>
+          <Select value={view.player ?? 'any'} onChange={e => update({ player: e.target.value === 'any' ? null : e.target.value })} aria-label="Only contracts assigned to player">
+            <option value="any">Anyone</option>
+            <option value="">Unassigned</option>
+            {players.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </Select>
+        </Field>
+      )}
+      {filtered && (
+        <Count aria-live="polite">
+          {shown} of {total}
+          <ClearButton type="button" onClick={() => update({ resource: defaultContractView.resource, tier: defaultContractView.tier, player: defaultContractView.player })}>Clear</ClearButton>
+        </Count>
+      )}
+    </Bar>
+  )
+}
+
+// Styled Components
+const Bar = styled.div`
+  display:flex;
+  flex-wrap:wrap;
+  align-items:center;
+  gap:.4rem .9rem;
+  font-family: system-ui, sans-serif;
+`;
+
+const Field = styled.label`
+  display:inline-flex;
+  align-items:center;
+  gap:.35rem;
+  span {
+    font-size:.62rem;
+    font-weight:600;
+    letter-spacing:.6px;
+    text-transform:uppercase;
+    color:#475569;
+  }
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.2rem .35rem .25rem;
+  border:1px solid #cbd5e1;
+  border-radius:.45rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Count = styled.span`
+  display:inline-flex;
+  align-items:center;
+  gap:.4rem;
+  margin-left:auto;
+  font-size:.65rem;
+  font-weight:600;
+  color:#475569;
+  font-variant-numeric:tabular-nums;
+`;
+
+const ClearButton = styled.button`
+  font:inherit;
+  font-size:.6rem;
+  font-weight:700;
+  letter-spacing:.5px;
+  text-transform:uppercase;
+  padding:.2rem .5rem .25rem;
+  border:1px solid #cbd5e1;
+  border-radius:.45rem;
+  background:#f8fafc;
+  color:#0f172a;
+  cursor:pointer;
+  &:hover { background:#e2e8f0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
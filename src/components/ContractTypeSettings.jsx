@@ -0,0 +1,74 @@
+import styled from 'styled-components'
+import { CONTRACT_TYPES, MAX_CONTRACT_TYPE_WEIGHT } from '../engine/contractTypes.js'
+
+// ContractTypeSettings: spawn weight per contract type (see engine/contractTypes.js)
+// Props expected:
+//  - weights: { [type]: number }
+//  - onChange(weights): void
+export const ContractTypeSettings = ({ weights, onChange }) => {
+  const total = Object.keys(CONTRACT_TYPES).reduce((sum, type) => sum + (weights[type] || 0), 0)
+
+  return (
+    <>
+      {Object.entries(CONTRACT_TYPES).map(([type, t]) => (
+        <Row key={type}>
+          <Label title={t.description}>{t.icon} {t.label}</Label>
+          <Share aria-hidden="true">{total > 0 ? `${Math.round((weights[type] || 0) / total * 100)}%` : '–'}</Share>
+          <NumInput
+            type="number" min={0} max={MAX_CONTRACT_TYPE_WEIGHT} step={0.5}
+            value={weights[type] ?? 0}
+            onChange={e => onChange && onChange({ ...weights, [type]: Math.min(MAX_CONTRACT_TYPE_WEIGHT, Math.max(0, +e.target.value || 0)) })}
+            aria-label={`${t.label} contract spawn weight`}
+          />
+        </Row>
+      ))}
+      {total === 0 && <Hint>Every weight is 0: only {CONTRACT_TYPES.generalist.label} contracts spawn.</Hint>}
+    </>
+  )
+}
+
+// Styled Components (match SettingsPanel)
+const Row = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:.75rem;
+`;
+
+const Label = styled.span`
+  flex:1;
+  font-size:.7rem;
+  letter-spacing:.6px;
+  font-weight:600;
+  color:#334155;
+  text-transform:uppercase;
+`;
+
+const Share = styled.span`
+  font-size:.6rem;
+  font-weight:600;
+  color:#64748b;
+  font-variant-numeric:tabular-nums;
+`;
+
+const Hint = styled.p`
+  margin:0;
+  font-size:.6rem;
+  color:#92400e;
+`;
+
+const NumInput = styled.input`
+  width:4.2rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  background:#ffffff;
+  color:#0f172a;
+  text-align:right;
+  -moz-appearance:textfield;
+  &::-webkit-outer-spin-button,&::-webkit-inner-spin-button{ -webkit-appearance: none; margin:0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
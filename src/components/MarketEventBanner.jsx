@@ -0,0 +1,72 @@
+import styled from 'styled-components'
+import { eventRemaining } from '../engine/marketEvents.js'
+
+// MarketEventBanner: running market events with their effects and countdown (see engine/marketEvents.js)
+// Props expected:
+//  - events: ActiveEvent[]
+//  - clockMs / round: market clock (for the countdowns)
+//  - resourceList: resource catalog for labels and icons
+const countdown = (ms) => {
+  const s = Math.ceil(ms / 1000)
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`
+}
+
+export const MarketEventBanner = ({ events, clockMs, round, resourceList = [] }) => {
+  if (!events.length) return null
+  const meta = Object.fromEntries(resourceList.map(r => [r.name, r]))
+  const resource = (name) => `${meta[name]?.icon ? `${meta[name].icon} ` : ''}${meta[name]?.label || name}`
+
+  return (
+    <Banner role="status" aria-label="Market events">
+      {events.map(e => {
+        const { phase, left } = eventRemaining(e, { clockMs, round })
+        const time = e.unit === 'round' ? `${left} round${left === 1 ? '' : 's'}` : countdown(left)
+        const effects = Object.keys(e.total).map(name => `${resource(name)} ${e.effects[name] > 0 ? '+' : '−'}${Math.abs(e.effects[name])}%`)
+        return (
+          <Item key={e.id} data-phase={phase} title={e.description}>
+            <strong>{e.title}</strong>
+            <span>{effects.join(', ')}</span>
+            <Time aria-label={`${phase === 'fading' ? 'Fades out in' : 'Ends in'} ${time}`}>
+              {phase === 'fading' ? 'fading · ' : ''}{time}
+            </Time>
+          </Item>
+        )
+      })}
+    </Banner>
+  )
+}
+
+// Styled Components
+const Banner = styled.div`
+  position:absolute;
+  top:10px;
+  left:50%;
+  transform:translateX(-50%);
+  z-index:1;
+  display:flex;
+  flex-wrap:wrap;
+  justify-content:center;
+  gap:.4rem;
+  max-width:min(720px, 60vw);
+  font-family:system-ui, sans-serif;
+`;
+
+const Item = styled.div`
+  display:flex;
+  align-items:baseline;
+  gap:.5rem;
+  padding:.35rem .65rem;
+  border-radius:10px;
+  background:#fffbeb;
+  border:1px solid #fcd34d;
+  box-shadow:0 2px 4px rgba(0,0,0,.08);
+  font-size:.72rem;
+  color:#78350f;
+  strong { font-weight:700; }
+  &[data-phase='fading'] { background:#f8fafc; border-color:#cbd5e1; color:#475569; }
+`;
+
+const Time = styled.span`
+  font-weight:700;
+  font-variant-numeric:tabular-nums;
+`;
@@ -0,0 +1,170 @@
+import { useState } from 'react'
+import styled from 'styled-components'
+import { MAX_EVENT_WEIGHT, eventEndings, scheduleUnits } from '../engine/marketEvents.js'
+
+// MarketEventSettings: random draws, the event deck and the schedule of market events (see engine/marketEvents.js)
+// Props expected:
+//  - settings: MarketEventSettings
+//  - onChange(settings): void
+//  - onTrigger(cardId): void (starts an event right away)
+//  - canTrigger: boolean (false for shared session viewers)
+const percent = (v) => Math.round(v * 100)
+const describe = (card) => [
+  card.description,
+  Object.entries(card.effects).map(([name, pct]) => `${name} ${pct > 0 ? '+' : ''}${pct}%`).join(', '),
+  `${card.duration}s / ${card.rounds} round${card.rounds === 1 ? '' : 's'}, ${eventEndings[card.ending].toLowerCase()}`,
+].filter(Boolean).join(' · ')
+
+export const MarketEventSettings = ({ settings, onChange, onTrigger, canTrigger = true }) => {
+  const update = (patch) => onChange && onChange({ ...settings, ...patch })
+  const [draft, setDraft] = useState({ cardId: '', at: 5, unit: 'minute' })
+  const cards = Object.fromEntries(settings.deck.map(c => [c.id, c]))
+  const draftCard = cards[draft.cardId] ? draft.cardId : settings.deck[0]?.id
+
+  const addEntry = () => {
+    if (!draftCard) return
+    update({ schedule: [...settings.schedule, { cardId: draftCard, at: draft.at, unit: draft.unit }] })
+  }
+
+  return (
+    <>
+      <Row>
+        <Label title="Chance that a draw brings an event">Chance %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={5}
+          value={percent(settings.chance)}
+          onChange={e => update({ chance: Math.min(100, Math.max(0, +e.target.value || 0)) / 100 })}
+          aria-label="Market event chance per draw (percent)"
+        />
+      </Row>
+      <Row>
+        <Label title="Seconds of play between draws (round mode draws once per round)">Every (s)</Label>
+        <NumInput
+          type="number" min={10} max={3600} step={10}
+          value={settings.intervalSec}
+          onChange={e => update({ intervalSec: Math.min(3600, Math.max(10, +e.target.value || 10)) })}
+          aria-label="Seconds between market event draws"
+        />
+      </Row>
+      <SubLabel>Deck</SubLabel>
+      {settings.deck.map(card => (
+        <Row key={card.id}>
+          <Label title={describe(card)}>{card.title}</Label>
+          <NumInput
+            type="number" min={0} max={MAX_EVENT_WEIGHT} step={0.5}
+            value={card.weight}
+            onChange={e => update({ deck: settings.deck.map(c => c.id === card.id ? { ...c, weight: Math.min(MAX_EVENT_WEIGHT, Math.max(0, +e.target.value || 0)) } : c) })}
+            aria-label={`${card.title} draw weight`}
+          />
+          <SmallButton type="button" onClick={() => onTrigger && onTrigger(card.id)} disabled={!canTrigger} aria-label={`Trigger ${card.title}`} title="Start this event now">▶</SmallButton>
+        </Row>
+      ))}
+      <SubLabel>Schedule</SubLabel>
+      {settings.schedule.length === 0 && <Hint>Nothing scheduled.</Hint>}
+      {settings.schedule.map((entry, i) => (
+        <Row key={i}>
+          <Label>{cards[entry.cardId]?.title || entry.cardId} · {scheduleUnits[entry.unit].toLowerCase()} {entry.at}</Label>
+          <SmallButton
+            type="button"
+            onClick={() => update({ schedule: settings.schedule.filter((_, j) => j !== i) })}
+            aria-label={`Remove scheduled ${cards[entry.cardId]?.title || entry.cardId}`}
+          >×</SmallButton>
+        </Row>
+      ))}
+      {settings.deck.length > 0 && (
+        <Row>
+          <Select value={draftCard} onChange={e => setDraft(d => ({ ...d, cardId: e.target.value }))} aria-label="Event to schedule">
+            {settings.deck.map(c => <option key={c.id} value={c.id}>{c.title}</option>)}
+          </Select>
+          <Select value={draft.unit} onChange={e => setDraft(d => ({ ...d, unit: e.target.value }))} aria-label="Schedule by">
+            {Object.entries(scheduleUnits).map(([unit, label]) => <option key={unit} value={unit}>{label}</option>)}
+          </Select>
+          <NumInput
+            type="number" min={0} step={1}
+            value={draft.at}
+            onChange={e => setDraft(d => ({ ...d, at: Math.max(0, +e.target.value || 0) }))}
+            aria-label="Scheduled minute or round"
+          />
+          <SmallButton type="button" onClick={addEntry} aria-label="Add scheduled event">+</SmallButton>
+        </Row>
+      )}
+      <Hint>Scheduled events fire once per game, at minutes of unpaused play or at a round.</Hint>
+    </>
+  )
+}
+
+// Styled Components (match SettingsPanel)
+const Row = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:.5rem;
+`;
+
+const Label = styled.span`
+  flex:1;
+  font-size:.7rem;
+  letter-spacing:.6px;
+  font-weight:600;
+  color:#334155;
+  text-transform:uppercase;
+`;
+
+const SubLabel = styled.span`
+  font-size:.6rem;
+  font-weight:700;
+  letter-spacing:.6px;
+  color:#64748b;
+  text-transform:uppercase;
+`;
+
+const Hint = styled.p`
+  margin:0;
+  font-size:.6rem;
+  color:#64748b;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  min-width:0;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const NumInput = styled.input`
+  width:3.6rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  background:#ffffff;
+  color:#0f172a;
+  text-align:right;
+  -moz-appearance:textfield;
+  &::-webkit-outer-spin-button,&::-webkit-inner-spin-button{ -webkit-appearance: none; margin:0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const SmallButton = styled.button`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:700;
+  width:1.8rem;
+  height:1.8rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#f1f5f9;
+  color:#0f172a;
+  cursor:pointer;
+  &:hover:not(:disabled){ background:#e2e8f0; }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
@@ -0,0 +1,125 @@
+import styled from 'styled-components'
+import { marketImpactCurves } from '../lib/marketImpact.js'
+
+// MarketImpactSettings: controls for the market impact model (see lib/marketImpact.js)
+// Props expected:
+//  - model: MarketImpactModel
+//  - onChange(model): void
+//  - tiers: [{ tier, label }] tiers present in the catalog (for per-tier elasticity)
+const percent = (v) => Math.round(v * 1000) / 10
+const fromPercent = (v, max = 100) => Math.min(max, Math.max(0, +v || 0)) / 100
+
+export const MarketImpactSettings = ({ model, onChange, tiers = [] }) => {
+  const update = (patch) => onChange && onChange({ ...model, ...patch })
+
+  return (
+    <>
+      <Row>
+        <Label>Curve</Label>
+        <Select value={model.curve} onChange={e => update({ curve: e.target.value })} aria-label="Market impact curve">
+          {Object.keys(marketImpactCurves).map(c => <option key={c} value={c}>{c}</option>)}
+        </Select>
+      </Row>
+      <Row>
+        <Label title="Price drop per unit delivered">Fulfilled %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={0.5}
+          value={percent(model.completeRate)}
+          onChange={e => update({ completeRate: fromPercent(e.target.value) })}
+          aria-label="Price drop per unit when a contract is fulfilled (percent)"
+        />
+      </Row>
+      <Row>
+        <Label title="Price rise per unit of an expired contract">Expired %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={0.5}
+          value={percent(model.decayRate)}
+          onChange={e => update({ decayRate: fromPercent(e.target.value) })}
+          aria-label="Price rise per unit when a contract expires (percent)"
+        />
+      </Row>
+      {tiers.map(t => (
+        <Row key={t.tier}>
+          <Label title={`Elasticity multiplier for ${t.label}`}>{t.label} ×</Label>
+          <NumInput
+            type="number" min={0} max={5} step={0.1}
+            value={model.tierElasticity?.[t.tier] ?? 1}
+            onChange={e => update({ tierElasticity: { ...model.tierElasticity, [t.tier]: Math.min(5, Math.max(0, +e.target.value || 0)) } })}
+            aria-label={`${t.label} tier elasticity`}
+          />
+        </Row>
+      ))}
+      <Row>
+        <Label title="Share of a change passed to the resource's components">Spill → Inputs %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={5}
+          value={percent(model.spillover.components)}
+          onChange={e => update({ spillover: { ...model.spillover, components: fromPercent(e.target.value) } })}
+          aria-label="Spillover onto components (percent)"
+        />
+      </Row>
+      <Row>
+        <Label title="Share of a change passed to resources made from it">Spill → Products %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={5}
+          value={percent(model.spillover.dependents)}
+          onChange={e => update({ spillover: { ...model.spillover, dependents: fromPercent(e.target.value) } })}
+          aria-label="Spillover onto dependents (percent)"
+        />
+      </Row>
+      <Row>
+        <Label title="Lowest price a fulfilled contract can push a resource to">Floor $</Label>
+        <NumInput
+          type="number" min={0} step={1}
+          value={model.floor}
+          onChange={e => update({ floor: Math.max(0, +e.target.value || 0) })}
+          aria-label="Price floor after fulfilment"
+        />
+      </Row>
+    </>
+  )
+}
+
+// Styled Components (match SettingsPanel)
+const Row = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:.75rem;
+`;
+
+const Label = styled.span`
+  font-size:.7rem;
+  letter-spacing:.6px;
+  font-weight:600;
+  color:#334155;
+  text-transform:uppercase;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const NumInput = styled.input`
+  width:4.2rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  background:#ffffff;
+  color:#0f172a;
+  text-align:right;
+  -moz-appearance:textfield;
+  &::-webkit-outer-spin-button,&::-webkit-inner-spin-button{ -webkit-appearance: none; margin:0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
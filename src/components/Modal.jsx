@@ -0,0 +1,75 @@
+import { createPortal } from 'react-dom'
+import styled from 'styled-components'
+
+// Modal: centred dialog over a dimmed backdrop, closes on backdrop click / Escape
+// Rendered into document.body so it can be opened from transformed containers (e.g. the settings panel)
+// Props expected:
+//  - title: string (also used as the dialog aria-label)
+//  - onClose(): void
+//  - width: css width of the dialog (default 760px)
+export const Modal = ({ title, onClose, width = '760px', children }) => {
+  const handleKey = (e) => {
+    if (e.key === 'Escape') onClose && onClose()
+  }
+  return createPortal(
+    <Backdrop onClick={onClose} onKeyDown={handleKey}>
+      <Dialog role="dialog" aria-modal="true" aria-label={title} style={{ width: `min(${width}, 100%)` }} onClick={e => e.stopPropagation()}>
+        <Header>
+          <Title>{title}</Title>
+          <CloseBtn type="button" onClick={onClose} aria-label={`Close ${title.toLowerCase()}`}>×</CloseBtn>
+        </Header>
+        {children}
+      </Dialog>
+    </Backdrop>,
+    document.body
+  )
+}
+
+// Styled Components
+const Backdrop = styled.div`
+  position:fixed;
+  inset:0;
+  z-index:60;
+  background:rgba(15,23,42,.35);
+  display:flex;
+  align-items:center;
+  justify-content:center;
+  padding:1rem;
+`;
+
+const Dialog = styled.div`
+  background:linear-gradient(160deg,#ffffff,#f1f5f9);
+  border:1px solid #d1d9e1;
+  border-radius:1rem;
+  box-shadow:0 12px 32px -8px rgba(0,0,0,.35);
+  max-height:90vh;
+  display:flex;
+  flex-direction:column;
+  gap:.75rem;
+  padding:1rem 1.1rem;
+  font-family:system-ui, sans-serif;
+`;
+
+const Header = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+`;
+
+const Title = styled.h2`
+  font-size:.95rem;
+  margin:0;
+  letter-spacing:.5px;
+  color:#0f172a;
+  font-weight:700;
+`;
+
+const CloseBtn = styled.button`
+  border:none;
+  background:none;
+  font-size:1.3rem;
+  line-height:1;
+  cursor:pointer;
+  color:#475569;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
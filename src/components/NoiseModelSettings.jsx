@@ -0,0 +1,144 @@
+import styled from 'styled-components'
+import { MAX_VOLATILITY, noiseModels, tierVolatility } from '../engine/noise.js'
+
+// NoiseModelSettings: the active economic noise model, its volatility per tier and its coupling along the production
+// graph (see engine/noise.js)
+// Props expected:
+//  - model: NoiseModel
+//  - onChange(model): void
+//  - tiers: [{ tier, label }] tiers present in the catalog (for per-tier volatility)
+const percent = (v) => Math.round(v * 100)
+const fromPercent = (v) => Math.min(100, Math.max(0, +v || 0)) / 100
+
+export const NoiseModelSettings = ({ model, onChange, tiers = [] }) => {
+  const update = (patch) => onChange && onChange({ ...model, ...patch })
+  const coupling = model.coupling || { downstream: 0, upstream: 0 }
+  const setCoupling = (key, v) => update({ coupling: { ...coupling, [key]: fromPercent(v) } })
+  const setVolatility = (tier, v) => update({
+    volatility: {
+      ...model.volatility,
+      [model.model]: { ...model.volatility?.[model.model], [tier]: Math.min(MAX_VOLATILITY, Math.max(0, +v || 0)) },
+    },
+  })
+
+  return (
+    <>
+      <Row>
+        <Label>Model</Label>
+        <Select value={model.model} onChange={e => update({ model: e.target.value })} aria-label="Noise model">
+          {Object.entries(noiseModels).map(([name, label]) => <option key={name} value={name}>{label}</option>)}
+        </Select>
+      </Row>
+      {model.model === 'classic' ? (
+        <Hint>One step of ±1 per tick, drifting back toward the min; 40% of resources sit each tick out.</Hint>
+      ) : (
+        <>
+          {tiers.map(t => (
+            <Row key={t.tier}>
+              <Label title={`Largest random move per tick for ${t.label} resources, in % of the price`}>{t.label} ±%</Label>
+              <NumInput
+                type="number" min={0} max={MAX_VOLATILITY} step={0.5}
+                value={tierVolatility(model, t.tier)}
+                onChange={e => setVolatility(t.tier, e.target.value)}
+                aria-label={`${t.label} tier volatility (percent)`}
+              />
+            </Row>
+          ))}
+          {model.model === 'meanReverting' && (
+            <Row>
+              <Label title="Share of the gap to the resource's base price closed per tick">Reversion %</Label>
+              <NumInput
+                type="number" min={0} max={100} step={5}
+                value={percent(model.reversion)}
+                onChange={e => update({ reversion: fromPercent(e.target.value) })}
+                aria-label="Mean reversion per tick (percent)"
+              />
+            </Row>
+          )}
+          {model.model === 'momentum' && (
+            <Row>
+              <Label title="Share of the last price change carried into the next tick">Momentum %</Label>
+              <NumInput
+                type="number" min={0} max={100} step={5}
+                value={percent(model.momentum)}
+                onChange={e => update({ momentum: fromPercent(e.target.value) })}
+                aria-label="Momentum carried per tick (percent)"
+              />
+            </Row>
+          )}
+        </>
+      )}
+      <Row>
+        <Label title="Share of a resource's move carried on to the resources made from it, and again at every further step">Carry → Products %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={5}
+          value={percent(coupling.downstream)}
+          onChange={e => setCoupling('downstream', e.target.value)}
+          aria-label="Noise carried to products (percent)"
+        />
+      </Row>
+      <Row>
+        <Label title="Share of a resource's move carried back to its components, and again at every further step">Carry → Inputs %</Label>
+        <NumInput
+          type="number" min={0} max={100} step={5}
+          value={percent(coupling.upstream)}
+          onChange={e => setCoupling('upstream', e.target.value)}
+          aria-label="Noise carried to inputs (percent)"
+        />
+      </Row>
+      {(coupling.downstream > 0 || coupling.upstream > 0) && (
+        <Hint>Correlated moves light up the connections they travel along: amber to products, violet to inputs.</Hint>
+      )}
+    </>
+  )
+}
+
+// Styled Components (match SettingsPanel)
+const Row = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:.75rem;
+`;
+
+const Label = styled.span`
+  font-size:.7rem;
+  letter-spacing:.6px;
+  font-weight:600;
+  color:#334155;
+  text-transform:uppercase;
+`;
+
+const Hint = styled.p`
+  margin:0;
+  font-size:.6rem;
+  color:#64748b;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const NumInput = styled.input`
+  width:4.2rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  background:#ffffff;
+  color:#0f172a;
+  text-align:right;
+  -moz-appearance:textfield;
+  &::-webkit-outer-spin-button,&::-webkit-inner-spin-button{ -webkit-appearance: none; margin:0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import styled from 'styled-components'
+import { MAX_PLAYER_NAME } from '../engine/players.js'
+
+// PlayerRoster: add, rename and remove the players (companies) contracts can be assigned to
+// Props expected:
+//  - players: [{ id, name }]
+//  - onAdd(name): void
+//  - onRename(id, name): void
+//  - onRemove(id): void (drops the player's ledger)
+export const PlayerRoster = ({ players, onAdd, onRename, onRemove }) => {
+  const [draftName, setDraftName] = useState('')
+  const [confirmRemove, setConfirmRemove] = useState(null)
+
+  const submit = (e) => {
+    e.preventDefault()
+    onAdd(draftName)
+    setDraftName('')
+  }
+
+  const handleRemove = (id) => {
+    if (confirmRemove !== id) {
+      setConfirmRemove(id)
+      setTimeout(() => setConfirmRemove(c => c === id ? null : c), 4000)
+      return
+    }
+    setConfirmRemove(null)
+    onRemove(id)
+  }
+
+  return (
+    <Wrapper>
+      {players.length > 0 && (
+        <List aria-label="Players">
+          {players.map(p => (
+            <li key={p.id}>
+              <NameInput
+                defaultValue={p.name}
+                key={p.name}
+                maxLength={MAX_PLAYER_NAME}
+                onBlur={e => { if (e.target.value.trim() && e.target.value !== p.name) onRename(p.id, e.target.value); else e.target.value = p.name }}
+                onKeyDown={e => { if (e.key === 'Enter') e.target.blur() }}
+                aria-label={`Player name ${p.name}`}
+              />
+              <ActionButton
+                type="button"
+                data-variant={confirmRemove === p.id ? 'danger' : 'neutral'}
+                onClick={() => handleRemove(p.id)}
+                aria-label={`Remove ${p.name}`}
+                title="Remove this player and their ledger"
+              >{confirmRemove === p.id ? 'Confirm?' : '×'}</ActionButton>
+            </li>
+          ))}
+        </List>
+      )}
+      <AddForm onSubmit={submit}>
+        <NameInput
+          value={draftName}
+          maxLength={MAX_PLAYER_NAME}
+          onChange={e => setDraftName(e.target.value)}
+          placeholder={`Player ${players.length + 1}`}
+          aria-label="New player name"
+        />
+        <ActionButton type="submit" data-variant="accent">Add</ActionButton>
+      </AddForm>
+    </Wrapper>
+  )
+}
+
+// Styled Components
+const Wrapper = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.4rem;
+`;
+
+const List = styled.ul`
+  margin:0;
+  padding:0;
+  list-style:none;
+  display:flex;
+  flex-direction:column;
+  gap:.3rem;
+  li { display:flex; gap:.3rem; align-items:center; }
+`;
+
+const AddForm = styled.form`
+  display:flex;
+  gap:.3rem;
+  align-items:center;
+`;
+
+const NameInput = styled.input`
+  flex:1;
+  min-width:0;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.6rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.4rem .6rem .45rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
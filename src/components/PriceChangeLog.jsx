@@ -0,0 +1,159 @@
+import { useMemo, useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { changeLog, historyCause, historySources } from '../engine/resources.js'
+
+// PriceChangeLog: every recorded price change with its time and cause, filterable (see changeLog in engine/resources.js)
+// Props expected:
+//  - histories: { [name]: HistoryEntry[] }
+//  - resourceList: resource catalog for labels and icons
+//  - contractNames: { [contractId]: label } names of the contracts on the board and in the archive
+//  - onClose(): void
+const SHOWN_LIMIT = 300
+const money = (v) => `$${Math.round(v).toLocaleString()}`
+const time = (at) => at == null ? '–' : new Date(at).toLocaleTimeString()
+
+export const PriceChangeLog = ({ histories, resourceList = [], contractNames = {}, onClose }) => {
+  const [name, setName] = useState('')
+  const [source, setSource] = useState('')
+  const [contract, setContract] = useState('')
+  const meta = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r])), [resourceList])
+  const resourceLabels = useMemo(() => Object.fromEntries(resourceList.map(r => [r.name, r.label])), [resourceList])
+  const entries = useMemo(() => {
+    const words = contract.toLowerCase().split(/\s+/).filter(Boolean)
+    return changeLog(histories, { name: name || null, source: source || null })
+      .filter(e => !words.length || (e.contractId != null
+        && words.every(w => `${e.contractId} ${contractNames[e.contractId] || ''}`.toLowerCase().includes(w))))
+  }, [histories, name, source, contract, contractNames])
+  const resource = (n) => `${meta[n]?.icon ? `${meta[n].icon} ` : ''}${meta[n]?.label || n}`
+
+  return (
+    <Modal title="Price Change Log" onClose={onClose} width="640px">
+      <Filters>
+        <Select value={name} onChange={e => setName(e.target.value)} aria-label="Change log resource filter">
+          <option value="">All resources</option>
+          {resourceList.map(r => <option key={r.name} value={r.name}>{r.label}</option>)}
+        </Select>
+        <Select value={source} onChange={e => setSource(e.target.value)} aria-label="Change log cause filter">
+          <option value="">All causes</option>
+          {Object.entries(historySources).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </Select>
+        <Search
+          type="search"
+          value={contract}
+          onChange={e => setContract(e.target.value)}
+          placeholder="Contract…"
+          aria-label="Change log contract filter"
+        />
+        <Count aria-live="polite">{Math.min(entries.length, SHOWN_LIMIT)} of {entries.length}</Count>
+      </Filters>
+      {entries.length === 0 ? (
+        <Empty>No price changes match.</Empty>
+      ) : (
+        <List>
+          {entries.slice(0, SHOWN_LIMIT).map((e, i) => {
+            const diff = e.prevValue == null ? 0 : e.value - e.prevValue
+            return (
+              <Row key={i} data-source={e.source || 'unknown'}>
+                <time>{time(e.at)}</time>
+                <span>{resource(e.name)}</span>
+                <Price data-dir={diff > 0 ? 'up' : diff < 0 ? 'down' : undefined}>
+                  {e.prevValue == null ? money(e.value) : `${money(e.prevValue)} → ${money(e.value)}`}
+                </Price>
+                <Cause>{historyCause(e, { contractNames, resourceLabels })}</Cause>
+              </Row>
+            )
+          })}
+        </List>
+      )}
+    </Modal>
+  )
+}
+
+// Styled Components
+const Filters = styled.div`
+  display:flex;
+  flex-wrap:wrap;
+  align-items:center;
+  gap:.5rem;
+  margin-bottom:.6rem;
+`;
+
+const Search = styled.input`
+  flex:1;
+  min-width:6rem;
+  font:inherit;
+  font-size:.75rem;
+  padding:.4rem .55rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.7rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Count = styled.span`
+  font-size:.65rem;
+  font-weight:600;
+  color:#64748b;
+  font-variant-numeric:tabular-nums;
+  white-space:nowrap;
+`;
+
+const Empty = styled.p`
+  margin:0;
+  font-size:.7rem;
+  color:#64748b;
+`;
+
+const List = styled.ol`
+  display:flex;
+  flex-direction:column;
+  gap:.2rem;
+  margin:0;
+  padding:0;
+  list-style:none;
+  max-height:60vh;
+  overflow-y:auto;
+`;
+
+const Row = styled.li`
+  display:grid;
+  grid-template-columns:5.5rem 1fr 8rem 1.4fr;
+  align-items:baseline;
+  gap:.5rem;
+  padding:.3rem .5rem;
+  border:1px solid #e2e8f0;
+  border-left:3px solid #94a3b8;
+  border-radius:.4rem;
+  background:#fff;
+  font-size:.68rem;
+  color:#0f172a;
+  font-variant-numeric:tabular-nums;
+  time { font-size:.62rem; color:#64748b; }
+  &[data-source='noise'] { border-left-color:#a78bfa; }
+  &[data-source='manual'] { border-left-color:#2563eb; }
+  &[data-source='delivery'], &[data-source='contract-complete'] { border-left-color:#047857; }
+  &[data-source='contract-decay'] { border-left-color:#b91c1c; }
+  &[data-source='cascade'] { border-left-color:#f59e0b; }
+  &[data-source='event'] { border-left-color:#d97706; }
+`;
+
+const Price = styled.span`
+  font-weight:600;
+  &[data-dir='up'] { color:#047857; }
+  &[data-dir='down'] { color:#b91c1c; }
+`;
+
+const Cause = styled.span`
+  color:#475569;
+`;
@@ -2,9 +2,12 @@ import NumberFlow from '@number-flow/react'
 import styled from 'styled-components'
 import {useCallback, useRef, useMemo, useEffect, useState} from 'react'
 import clsx from 'clsx/lite'
+import { historyCause, historyValue } from '../engine/resources.js'
 
 
-export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history = [], ignoreMin }) => {
+// history: HistoryEntry[] (see engine/resources.js); hovering the sparkline shows when and why each price was set,
+// with contract and resource names from contractNames ({ [id]: label }) and resourceLabels ({ [name]: label })
+export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history = [], ignoreMin, contractNames, resourceLabels }) => {
     // Clamp now only enforces the minimum (unless ignoreMin is true)
     const clamp = useCallback((v) => {
         if (ignoreMin) return v;
@@ -27,7 +30,7 @@ export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history
 
     useEffect(() => {
         if (history.length < 2) return
-        const prev = history[history.length - 2]
+        const prev = historyValue(history[history.length - 2])
         if (typeof prev !== 'number') return
         const diff = value - prev
         if (diff !== 0) {
@@ -43,10 +46,13 @@ export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history
     // Build sparkline graph paths from history
     const gradientIdRef = useRef(`hist-grad-${Math.random().toString(36).slice(2)}`)
     const graph = useMemo(() => {
-        let h = Array.isArray(history) ? history.filter(v => typeof v === 'number' && !Number.isNaN(v)) : []
-        if (h.length < 2) return null
+        let entries = Array.isArray(history)
+            ? history.map(e => typeof e === 'number' ? { value: e, at: null, source: null } : e).filter(e => typeof e?.value === 'number' && !Number.isNaN(e.value))
+            : []
+        if (entries.length < 2) return null
         // only take a max of the last 30 points
-        if (h.length > 20) h = h.slice(-30)
+        if (entries.length > 20) entries = entries.slice(-30)
+        const h = entries.map(e => e.value)
         let minV = Math.min(...h)
         let maxV = Math.max(...h)
         if (maxV === minV) maxV = minV + 1
@@ -58,9 +64,19 @@ export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history
         })
         const linePath = pts.map(([x,y],i)=>`${i?'L':'M'}${x.toFixed(2)},${y.toFixed(2)}`).join(' ')
         const areaPath = `${linePath} L100,100 L0,100 Z`
-        return { linePath, areaPath }
+        return { linePath, areaPath, entries, pts }
     }, [history])
 
+    // sparkline point under the pointer (index into graph.entries)
+    const [hoverPoint, setHoverPoint] = useState(null)
+    const handleGraphMove = useCallback((e) => {
+        if (!graph) return
+        const rect = e.currentTarget.getBoundingClientRect()
+        const ratio = rect.width > 0 ? (e.clientX - rect.left) / rect.width : 0
+        setHoverPoint(Math.max(0, Math.min(graph.entries.length - 1, Math.round(ratio * (graph.entries.length - 1)))))
+    }, [graph])
+    const hovered = graph && hoverPoint != null ? graph.entries[hoverPoint] : null
+
     // Precompute multiplication rows
     const multRows = useMemo(() => {
         if (!showTable) return []
@@ -136,16 +152,28 @@ export const ResourceBox = ({ name, value, setValue, step = 1, min = 0, history
             )}
             {!showTable && graph && (
                 <GraphSection aria-hidden="true">
-                    <GraphSvg viewBox="0 0 100 100" preserveAspectRatio="none">
-                        <defs>
-                          <linearGradient id={gradientIdRef.current} x1="0" y1="0" x2="0" y2="1">
-                            <stop offset="0%" stopColor="#0f172a" stopOpacity="0.35" />
-                            <stop offset="100%" stopColor="#0f172a" stopOpacity="0" />
-                          </linearGradient>
-                        </defs>
-                        <path d={graph.areaPath} fill={`url(#${gradientIdRef.current})`} opacity={0.25} />
-                        <path d={graph.linePath} fill="none" stroke="#0f172a" strokeWidth="1.75" strokeLinecap="round" strokeLinejoin="round" opacity={0.45} />
-                    </GraphSvg>
+                    <GraphPlot onMouseMove={handleGraphMove} onMouseLeave={() => setHoverPoint(null)}>
+                        <GraphSvg viewBox="0 0 100 100" preserveAspectRatio="none">
+                            <defs>
+                              <linearGradient id={gradientIdRef.current} x1="0" y1="0" x2="0" y2="1">
+                                <stop offset="0%" stopColor="#0f172a" stopOpacity="0.35" />
+                                <stop offset="100%" stopColor="#0f172a" stopOpacity="0" />
+                              </linearGradient>
+                            </defs>
+                            <path d={graph.areaPath} fill={`url(#${gradientIdRef.current})`} opacity={0.25} />
+                            <path d={graph.linePath} fill="none" stroke="#0f172a" strokeWidth="1.75" strokeLinecap="round" strokeLinejoin="round" opacity={0.45} />
+                        </GraphSvg>
+                        {hovered && (
+                            <>
+                                <PointMarker style={{ left: `${graph.pts[hoverPoint][0]}%`, top: `${graph.pts[hoverPoint][1]}%` }} />
+                                <PointTooltip role="tooltip" style={{ left: `${Math.min(85, Math.max(15, graph.pts[hoverPoint][0]))}%` }}>
+                                    <strong>{formatterRef.current.format(hovered.value)}</strong>
+                                    <span>{historyCause(hovered, { contractNames, resourceLabels })}</span>
+                                    {hovered.at != null && <time>{new Date(hovered.at).toLocaleTimeString()}</time>}
+                                </PointTooltip>
+                            </>
+                        )}
+                    </GraphPlot>
                 </GraphSection>
             )}
         </Card>
@@ -195,6 +223,42 @@ const GraphSvg = styled.svg`
   overflow: visible;
 `
 
+const GraphPlot = styled.div`
+  position: relative;
+  width: 100%;
+  height: 100%;
+`
+
+const PointMarker = styled.span`
+  position: absolute;
+  width: 0.5em;
+  height: 0.5em;
+  margin: -0.25em 0 0 -0.25em;
+  border-radius: 50%;
+  background: #0f172a;
+  pointer-events: none;
+`
+
+const PointTooltip = styled.div`
+  position: absolute;
+  bottom: calc(100% + 0.4em);
+  transform: translateX(-50%);
+  z-index: 2;
+  display: flex;
+  flex-direction: column;
+  gap: 0.1em;
+  padding: 0.35em 0.6em;
+  border-radius: 0.5em;
+  background: #0f172a;
+  color: #f8fafc;
+  font-size: 0.85em;
+  white-space: nowrap;
+  pointer-events: none;
+  box-shadow: 0 0.25em 0.5em rgba(0,0,0,0.15);
+  strong { font-weight: 700; }
+  time { color: #cbd5e1; font-variant-numeric: tabular-nums; }
+`
+
 const Label = styled.div`
   position: absolute;
   top: 0;
@@ -0,0 +1,258 @@
+import { useMemo, useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { defaultResources, validateResources } from '../constants/resources'
+
+// ResourceEditor: modal editor for the resource catalog
+// Props expected:
+//  - catalog: raw resource declarations currently in use
+//  - errors: problems with the stored catalog (shown until a valid catalog is saved)
+//  - onSave(rawResources): string[] -> returns validation errors, empty when saved
+//  - onClose(): void
+let draftKeySeq = 0
+const toDraft = (list) => list.map(r => ({ ...r, components: [...(r.components || [])], _key: ++draftKeySeq }))
+const fromDraft = (draft) => draft.map(r => {
+  const out = { ...r, name: r.name.trim(), label: r.label.trim() }
+  delete out._key
+  // only base resources (no components) use their own min
+  if (out.components.length || out.min === '' || out.min == null) delete out.min
+  return out
+})
+
+export const ResourceEditor = ({ catalog, errors: storedErrors = [], onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(catalog))
+  const [saveErrors, setSaveErrors] = useState([])
+
+  const draftErrors = useMemo(() => validateResources(fromDraft(draft)), [draft])
+  const errors = saveErrors.length ? saveErrors : draftErrors
+
+  const updateRow = (key, patch) => {
+    setSaveErrors([])
+    setDraft(prev => {
+      const current = prev.find(r => r._key === key)
+      return prev.map(r => {
+        if (r._key === key) return { ...r, ...patch }
+        // keep component references pointing at a renamed resource
+        if (patch.name != null && current && r.components.includes(current.name)) {
+          return { ...r, components: r.components.map(c => c === current.name ? patch.name : c) }
+        }
+        return r
+      })
+    })
+  }
+
+  const toggleComponent = (key, compName) => {
+    const row = draft.find(r => r._key === key)
+    if (!row) return
+    const components = row.components.includes(compName)
+      ? row.components.filter(c => c !== compName)
+      : [...row.components, compName]
+    updateRow(key, { components })
+  }
+
+  const addRow = () => {
+    setSaveErrors([])
+    setDraft(prev => [...prev, { name: '', label: '', icon: '📦', min: 5, components: [], _key: ++draftKeySeq }])
+  }
+
+  const removeRow = (key) => {
+    setSaveErrors([])
+    setDraft(prev => prev.filter(r => r._key !== key))
+  }
+
+  const handleSave = () => {
+    const result = onSave ? onSave(fromDraft(draft)) : []
+    if (result.length) {
+      setSaveErrors(result)
+      return
+    }
+    onClose && onClose()
+  }
+
+  return (
+    <Modal title="Resource Editor" onClose={onClose}>
+      <Rows role="list">
+        {draft.map(r => (
+          <EditRow role="listitem" key={r._key}>
+            <Fields>
+              <Field style={{ width: '3rem' }}>
+                <span>Icon</span>
+                <input value={r.icon || ''} onChange={e => updateRow(r._key, { icon: e.target.value })} aria-label="Icon" />
+              </Field>
+              <Field>
+                <span>Name</span>
+                <input
+                  value={r.name}
+                  placeholder="copper"
+                  onChange={e => updateRow(r._key, { name: e.target.value.toLowerCase().replace(/\s+/g, '_') })}
+                  aria-label="Resource name (identifier)"
+                />
+              </Field>
+              <Field>
+                <span>Label</span>
+                <input value={r.label} placeholder="Copper" onChange={e => updateRow(r._key, { label: e.target.value })} aria-label="Resource label" />
+              </Field>
+              <Field style={{ width: '4.5rem' }}>
+                <span>Base Min</span>
+                <input
+                  type="number"
+                  min={0}
+                  value={r.components.length ? '' : (r.min ?? '')}
+                  placeholder={r.components.length ? 'derived' : '5'}
+                  disabled={r.components.length > 0}
+                  onChange={e => updateRow(r._key, { min: e.target.value === '' ? '' : +e.target.value })}
+                  aria-label="Base minimum value"
+                />
+              </Field>
+              <RemoveBtn type="button" onClick={() => removeRow(r._key)} aria-label={`Remove ${r.label || r.name || 'resource'}`}>Remove</RemoveBtn>
+            </Fields>
+            <Components aria-label="Components">
+              <span>Made from</span>
+              {draft.filter(o => o._key !== r._key && o.name).map(o => (
+                <Chip
+                  key={o._key}
+                  type="button"
+                  aria-pressed={r.components.includes(o.name)}
+                  data-active={r.components.includes(o.name)}
+                  onClick={() => toggleComponent(r._key, o.name)}
+                >{o.icon} {o.label || o.name}</Chip>
+              ))}
+            </Components>
+          </EditRow>
+        ))}
+      </Rows>
+      {(errors.length > 0 || storedErrors.length > 0) && (
+        <Errors role="alert">
+          {storedErrors.length > 0 && <li>Saved catalog is invalid, defaults are in use: {storedErrors.join('; ')}</li>}
+          {errors.map(err => <li key={err}>{err}</li>)}
+        </Errors>
+      )}
+      <Footer>
+        <ActionButton type="button" data-variant="neutral" onClick={addRow}>Add Resource</ActionButton>
+        <ActionButton type="button" data-variant="neutral" onClick={() => { setSaveErrors([]); setDraft(toDraft(defaultResources)) }}>Defaults</ActionButton>
+        <Spacer />
+        <ActionButton type="button" data-variant="neutral" onClick={onClose}>Cancel</ActionButton>
+        <ActionButton type="button" data-variant="accent" onClick={handleSave} disabled={errors.length > 0}>Save</ActionButton>
+      </Footer>
+    </Modal>
+  )
+}
+
+// Styled Components
+const Rows = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.5rem;
+  overflow-y:auto;
+`;
+
+const EditRow = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.4rem;
+  background:#fff;
+  border:1px solid #e2e8f0;
+  border-radius:.75rem;
+  padding:.5rem .6rem;
+`;
+
+const Fields = styled.div`
+  display:flex;
+  align-items:flex-end;
+  gap:.5rem;
+  flex-wrap:wrap;
+`;
+
+const Field = styled.label`
+  display:flex;
+  flex-direction:column;
+  gap:.2rem;
+  width:9rem;
+  span { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; }
+  input {
+    width:100%;
+    box-sizing:border-box;
+    padding:.35rem .4rem .4rem;
+    border:1px solid #cbd5e1;
+    border-radius:.55rem;
+    font-size:.7rem;
+    font-weight:600;
+    background:#fff;
+    color:#0f172a;
+  }
+  input:disabled { background:#f1f5f9; color:#64748b; }
+  input:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Components = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.3rem;
+  flex-wrap:wrap;
+  & > span { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; margin-right:.2rem; }
+`;
+
+const Chip = styled.button`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.2rem .5rem .25rem;
+  border-radius:999px;
+  border:1px solid #cbd5e1;
+  background:#f8fafc;
+  color:#334155;
+  cursor:pointer;
+  &[data-active='true'] { background:#2563eb; border-color:#1e40af; color:#fff; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Errors = styled.ul`
+  margin:0;
+  padding:.5rem .75rem .5rem 1.5rem;
+  background:#fef2f2;
+  border:1px solid #fecaca;
+  border-radius:.65rem;
+  color:#b91c1c;
+  font-size:.7rem;
+  font-weight:600;
+  display:flex;
+  flex-direction:column;
+  gap:.2rem;
+`;
+
+const Footer = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.5rem;
+`;
+
+const Spacer = styled.div`
+  flex:1;
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.45rem .85rem .5rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const RemoveBtn = styled(ActionButton)`
+  --bg:#fff; --bd:#fecaca; --fg:#b91c1c;
+  margin-left:auto;
+`;
@@ -0,0 +1,61 @@
+import styled from 'styled-components'
+
+// RoundControl: round counter and the "End Round" button shown in round mode
+// Props expected:
+//  - round: current round number
+//  - onEndRound(): void
+//  - disabled: boolean (paused, or a shared session viewer)
+//  - disabledReason: string shown as the button title while disabled
+export const RoundControl = ({ round, onEndRound, disabled = false, disabledReason }) => (
+  <Wrapper aria-label="Rounds">
+    <RoundLabel aria-live="polite">Round <strong>{round}</strong></RoundLabel>
+    <EndButton
+      type="button"
+      onClick={onEndRound}
+      disabled={disabled}
+      title={disabled ? disabledReason : 'Noise ticks, decaying contracts age by a round and the board refills'}
+    >End Round</EndButton>
+  </Wrapper>
+)
+
+// Styled Components
+const Wrapper = styled.div`
+  position:absolute;
+  top:10px; left:12px;
+  z-index:1;
+  display:flex;
+  align-items:center;
+  gap:.5rem;
+  padding:.25rem .3rem .25rem .7rem;
+  border-radius:10px;
+  background:#ffffffcc;
+  backdrop-filter: blur(4px);
+  border:1px solid #cbd5e1;
+  box-shadow:0 2px 4px rgba(0,0,0,.08);
+`;
+
+const RoundLabel = styled.span`
+  font-size:.75rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  text-transform:uppercase;
+  color:#475569;
+  strong { color:#0f172a; font-variant-numeric:tabular-nums; }
+`;
+
+const EndButton = styled.button`
+  font:inherit;
+  font-size:.75rem;
+  font-weight:700;
+  letter-spacing:.5px;
+  padding:.45rem .8rem .5rem;
+  border-radius:8px;
+  border:1px solid #1e40af;
+  background:#2563eb;
+  color:#fff;
+  cursor:pointer;
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #1d4ed8; outline-offset:2px; }
+`;
@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import styled from 'styled-components'
+
+// SaveSlotManager: create, rename, duplicate, switch and delete named games
+// Props expected:
+//  - saveSlots: the object returned by useSaveSlots()
+export const SaveSlotManager = ({ saveSlots }) => {
+  const { slots, activeSlot, createSlot, renameSlot, duplicateSlot, switchSlot, deleteSlot } = saveSlots
+  const [mode, setMode] = useState(null) // 'new' | 'rename' | 'duplicate'
+  const [draftName, setDraftName] = useState('')
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  const startEdit = (nextMode) => {
+    setMode(nextMode)
+    setDraftName(nextMode === 'rename' ? activeSlot.name : nextMode === 'duplicate' ? `${activeSlot.name} (copy)` : `Game ${slots.length + 1}`)
+  }
+
+  const submit = (e) => {
+    e.preventDefault()
+    if (mode === 'new') createSlot(draftName)
+    else if (mode === 'rename') renameSlot(activeSlot.id, draftName)
+    else if (mode === 'duplicate') duplicateSlot(activeSlot.id, draftName)
+    setMode(null)
+  }
+
+  const handleDelete = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true)
+      setTimeout(() => setConfirmDelete(false), 4000)
+      return
+    }
+    setConfirmDelete(false)
+    deleteSlot(activeSlot.id)
+  }
+
+  return (
+    <Wrapper>
+      <Select value={activeSlot.id} onChange={e => switchSlot(e.target.value)} aria-label="Active game">
+        {slots.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+      </Select>
+      {mode ? (
+        <NameForm onSubmit={submit}>
+          <NameInput
+            autoFocus
+            value={draftName}
+            onChange={e => setDraftName(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Escape') setMode(null) }}
+            aria-label={mode === 'rename' ? 'New game name' : 'Game name'}
+          />
+          <ActionButton type="submit" data-variant="accent" disabled={!draftName.trim()}>OK</ActionButton>
+          <ActionButton type="button" data-variant="neutral" onClick={() => setMode(null)}>Cancel</ActionButton>
+        </NameForm>
+      ) : (
+        <Buttons>
+          <ActionButton type="button" data-variant="neutral" onClick={() => startEdit('new')} title="Start a new empty game">New</ActionButton>
+          <ActionButton type="button" data-variant="neutral" onClick={() => startEdit('rename')}>Rename</ActionButton>
+          <ActionButton type="button" data-variant="neutral" onClick={() => startEdit('duplicate')} title="Copy this game into a new slot">Copy</ActionButton>
+          <ActionButton
+            type="button"
+            data-variant={confirmDelete ? 'danger' : 'neutral'}
+            onClick={handleDelete}
+            disabled={slots.length <= 1}
+            title="Delete this game and all of its data"
+          >{confirmDelete ? 'Confirm?' : 'Delete'}</ActionButton>
+        </Buttons>
+      )}
+    </Wrapper>
+  )
+}
+
+// Styled Components
+const Wrapper = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.4rem;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Buttons = styled.div`
+  display:flex;
+  gap:.3rem;
+  justify-content:flex-end;
+  flex-wrap:wrap;
+`;
+
+const NameForm = styled.form`
+  display:flex;
+  gap:.3rem;
+  align-items:center;
+`;
+
+const NameInput = styled.input`
+  flex:1;
+  min-width:0;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.6rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.4rem .6rem .45rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
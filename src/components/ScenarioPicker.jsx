@@ -0,0 +1,135 @@
+import { useRef, useState } from 'react'
+import styled from 'styled-components'
+import { parseScenario, validateScenario } from '../lib/scenario.js'
+
+// ScenarioPicker: choose a bundled scenario or load one from a JSON file
+// Props expected:
+//  - scenarios: scenario documents (see lib/scenario.js)
+//  - activeName: name of the scenario last loaded
+//  - onApply(scenario): string[] -> validated scenario to load, returns errors
+export const ScenarioPicker = ({ scenarios = [], activeName, onApply }) => {
+  const [selected, setSelected] = useState(activeName)
+  const [errors, setErrors] = useState([])
+  const [confirming, setConfirming] = useState(false)
+  const fileRef = useRef(null)
+
+  const load = ({ scenario, errors: validationErrors }) => {
+    if (validationErrors.length) {
+      setErrors(validationErrors)
+      return
+    }
+    setErrors(onApply ? onApply(scenario) : [])
+  }
+
+  const handleLoad = () => {
+    // loading re-seeds the board, so ask once before wiping the current game
+    if (!confirming) {
+      setConfirming(true)
+      setTimeout(() => setConfirming(false), 4000)
+      return
+    }
+    setConfirming(false)
+    const doc = scenarios.find(s => s.name === selected)
+    if (!doc) return
+    load(validateScenario(doc))
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const result = parseScenario(await file.text())
+    if (result.scenario) setSelected(result.scenario.name)
+    load(result)
+  }
+
+  return (
+    <Wrapper>
+      <Select
+        value={selected}
+        onChange={e => { setSelected(e.target.value); setErrors([]) }}
+        aria-label="Scenario"
+      >
+        {!scenarios.some(s => s.name === selected) && <option value={selected}>{selected}</option>}
+        {scenarios.map(s => <option key={s.name} value={s.name} title={s.description}>{s.name}</option>)}
+      </Select>
+      <Buttons>
+        <ActionButton
+          type="button"
+          data-variant={confirming ? 'danger' : 'neutral'}
+          onClick={handleLoad}
+          disabled={!scenarios.some(s => s.name === selected)}
+          title="Replace resources, labels and settings, then restart the game"
+        >{confirming ? 'Confirm?' : 'Load'}</ActionButton>
+        <ActionButton type="button" data-variant="neutral" onClick={() => fileRef.current?.click()}>From File…</ActionButton>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleFile} />
+      </Buttons>
+      {errors.length > 0 && (
+        <Errors role="alert" aria-label="Scenario errors">
+          {errors.map(err => <li key={err}>{err}</li>)}
+        </Errors>
+      )}
+    </Wrapper>
+  )
+}
+
+// Styled Components
+const Wrapper = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.4rem;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Buttons = styled.div`
+  display:flex;
+  gap:.4rem;
+  justify-content:flex-end;
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.45rem .85rem .5rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Errors = styled.ul`
+  margin:0;
+  padding:.4rem .5rem .4rem 1.2rem;
+  background:#fef2f2;
+  border:1px solid #fecaca;
+  border-radius:.55rem;
+  color:#b91c1c;
+  font-size:.6rem;
+  font-weight:600;
+  display:flex;
+  flex-direction:column;
+  gap:.15rem;
+  word-break:break-word;
+`;
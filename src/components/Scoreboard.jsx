@@ -0,0 +1,152 @@
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+
+// Scoreboard: players ranked by the rewards they earned, with their recent contracts
+// Props expected:
+//  - standings: [{ id, name, rank, rewards, contracts, shared, marketValue }] (see engine/players.js scoreboard)
+//  - ledgers: { [playerId]: [{ contractId, label, reward, marketValue, at, partial?, penalty?, shared? }] } (partial:
+//    pro-rated payout of a decayed contract, penalty: a decayed contract's penalty clause, shared: a share of a
+//    contract another player completed)
+//  - reputation: object returned by useReputation(), or null when reputation is off (hides its section)
+//  - onClose(): void
+const RECENT_ENTRIES = 3
+const REPUTATION_EVENTS = 8
+
+const money = (v) => `${v < 0 ? '−' : ''}$${Math.abs(Math.round(v)).toLocaleString()}`
+const entryNote = (e) => e.penalty ? ' (penalty)' : e.partial ? ' (partial)' : e.shared ? ' (share)' : ''
+
+export const Scoreboard = ({ standings, ledgers, reputation = null, onClose }) => (
+  <Modal title="Scoreboard" onClose={onClose} width="560px">
+    {reputation && <ReputationSection reputation={reputation} />}
+    {standings.length === 0 ? (
+      <Empty>No players yet. Add them in Settings → Players, then pick who fulfilled each contract when confirming it.</Empty>
+    ) : (
+      <Table>
+        <thead>
+          <tr><th>#</th><th>Player</th><th>Rewards</th><th>Penalties</th><th>Contracts</th><th>Market Value</th></tr>
+        </thead>
+        <tbody>
+          {standings.map(row => {
+            const recent = (ledgers[row.id] || []).slice(-RECENT_ENTRIES).reverse()
+            return (
+              <tr key={row.id} data-leader={(row.rank === 1 && row.rewards > 0) || undefined}>
+                <td>{row.rank}</td>
+                <td>
+                  <strong>{row.name}</strong>
+                  {recent.length > 0 && (
+                    <Recent>{recent.map(e => `${e.label} ${money(e.reward)}${entryNote(e)}`).join(' · ')}</Recent>
+                  )}
+                </td>
+                <td title="Net of penalties">{money(row.rewards)}</td>
+                <td>{row.penalties > 0 ? money(-row.penalties) : '–'}</td>
+                <td title="Completed (plus shares of contracts other players completed)">{row.contracts}{row.shared > 0 && <Shared> +{row.shared} shared</Shared>}</td>
+                <td title="Market value of the resources delivered, at the prices when each contract was completed">{money(row.marketValue)}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </Table>
+    )}
+  </Modal>
+)
+
+// Reputation score, its effect on new contracts and its history (a score line plus the latest changes)
+const ReputationSection = ({ reputation }) => {
+  const { score, history, rewardMultiplier } = reputation
+  const points = [history.length ? history[0].score - history[0].delta : score, ...history.map(e => e.score)]
+  const line = points.map((p, i) => `${points.length > 1 ? (i / (points.length - 1)) * 100 : 0},${100 - p}`).join(' ')
+  const events = history.slice(-REPUTATION_EVENTS).reverse()
+  return (
+    <Reputation aria-label="Reputation">
+      <ReputationHeader>
+        <strong>Reputation {Math.round(score)}</strong>
+        <span title="Applied to the reward of new contracts">Rewards ×{rewardMultiplier.toFixed(2)}</span>
+      </ReputationHeader>
+      <ScoreLine viewBox="0 0 100 100" preserveAspectRatio="none" role="img" aria-label={`Reputation history, ${history.length} changes`}>
+        <line x1="0" y1="50" x2="100" y2="50" />
+        {points.length > 1 && <polyline points={line} />}
+      </ScoreLine>
+      {events.length === 0 ? (
+        <Empty>No changes yet: completed contracts raise the reputation, decayed ones lower it.</Empty>
+      ) : (
+        <Events>
+          {events.map(e => (
+            <li key={`${e.contractId}-${e.at}`} data-outcome={e.outcome}>
+              <span>{e.delta > 0 ? '+' : ''}{e.delta}</span> {e.label} {e.outcome === 'complete' ? 'completed' : 'decayed'}
+            </li>
+          ))}
+        </Events>
+      )}
+    </Reputation>
+  )
+}
+
+// Styled Components
+const Empty = styled.p`
+  margin:0;
+  font-size:.7rem;
+  color:#64748b;
+`;
+
+const Table = styled.table`
+  width:100%;
+  border-collapse:collapse;
+  font-size:.75rem;
+  th { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; text-align:right; padding:.25rem .4rem; }
+  th:nth-child(-n+2), td:nth-child(-n+2) { text-align:left; }
+  td { text-align:right; padding:.4rem; border-top:1px solid #e2e8f0; font-variant-numeric:tabular-nums; color:#0f172a; vertical-align:top; }
+  td:first-child { width:1.5rem; color:#64748b; font-weight:700; }
+  tr[data-leader] td:first-child { color:#b45309; }
+`;
+
+const Recent = styled.small`
+  display:block;
+  margin-top:.15rem;
+  font-size:.6rem;
+  color:#64748b;
+`;
+
+const Shared = styled.small`
+  font-size:.6rem;
+  color:#64748b;
+  white-space:nowrap;
+`;
+
+const Reputation = styled.section`
+  display:flex;
+  flex-direction:column;
+  gap:.35rem;
+  margin-bottom:.75rem;
+  padding-bottom:.6rem;
+  border-bottom:1px solid #e2e8f0;
+`;
+
+const ReputationHeader = styled.div`
+  display:flex;
+  justify-content:space-between;
+  align-items:baseline;
+  font-size:.75rem;
+  color:#0f172a;
+  span { font-size:.65rem; font-weight:600; color:#475569; }
+`;
+
+const ScoreLine = styled.svg`
+  width:100%;
+  height:48px;
+  background:#f8fafc;
+  border:1px solid #e2e8f0;
+  border-radius:.45rem;
+  line { stroke:#cbd5e1; stroke-dasharray:2 2; vector-effect:non-scaling-stroke; }
+  polyline { fill:none; stroke:#7c3aed; stroke-width:2; vector-effect:non-scaling-stroke; }
+`;
+
+const Events = styled.ul`
+  margin:0;
+  padding:0;
+  list-style:none;
+  font-size:.62rem;
+  color:#334155;
+  li span { display:inline-block; min-width:1.8rem; font-weight:700; font-variant-numeric:tabular-nums; }
+  li[data-outcome='complete'] span { color:#047857; }
+  li[data-outcome='decay'] span { color:#b91c1c; }
+`;
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { createSeed, normalizeSeed } from '../lib/rng.js'
+
+// SeedControl: shows the game's random seed and restarts the game from another one
+// Props expected:
+//  - seed: current seed (saved with the game)
+//  - onApply(seed): void -> set the seed and restart the game
+export const SeedControl = ({ seed, onApply }) => {
+  const [draft, setDraft] = useState(seed)
+  const [confirming, setConfirming] = useState(false)
+
+  // follow seed changes made elsewhere (import, slot copy)
+  useEffect(() => { setDraft(seed) }, [seed])
+
+  const handleApply = () => {
+    // a new seed restarts the game, so ask once before wiping it
+    if (!confirming) {
+      setConfirming(true)
+      setTimeout(() => setConfirming(false), 4000)
+      return
+    }
+    setConfirming(false)
+    onApply && onApply(normalizeSeed(draft))
+  }
+
+  return (
+    <Wrapper>
+      <SeedInput
+        value={draft}
+        maxLength={64}
+        spellCheck={false}
+        onChange={e => { setDraft(e.target.value); setConfirming(false) }}
+        aria-label="Random seed"
+        title="Tables using the same seed see the same contracts and market moves"
+      />
+      <ActionButton type="button" data-variant="neutral" onClick={() => { setDraft(createSeed()); setConfirming(false) }} aria-label="Random new seed">🎲</ActionButton>
+      <ActionButton
+        type="button"
+        data-variant={confirming ? 'danger' : 'neutral'}
+        onClick={handleApply}
+        disabled={!normalizeSeed(draft)}
+        title="Restart the game from this seed"
+      >{confirming ? 'Confirm?' : 'Apply'}</ActionButton>
+    </Wrapper>
+  )
+}
+
+// Styled Components
+const Wrapper = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.4rem;
+`;
+
+const SeedInput = styled.input`
+  width:6.5rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-family:ui-monospace, SFMono-Regular, Menlo, monospace;
+  font-size:.65rem;
+  font-weight:600;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.45rem .6rem .5rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
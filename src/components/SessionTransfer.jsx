@@ -0,0 +1,156 @@
+import { useRef, useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { readStorageEntries, replaceStorageEntries, useStorageScope } from '../hooks/useWebStorage.js'
+import { buildSessionFile, diffSessionEntries, parseSessionFile } from '../lib/sessionFile.js'
+
+// SessionTransfer: export the whole game to a JSON file, or import one after previewing the changes
+// Works on the active save slot (the current storage scope)
+// Props expected:
+//  - appVersion: string (written into exported files)
+export const SessionTransfer = ({ appVersion }) => {
+  const primaryKey = useStorageScope()
+  const [pending, setPending] = useState(null) // { fileName, storageEntries, changes, exportedAt }
+  const [errors, setErrors] = useState([])
+  const fileRef = useRef(null)
+
+  const handleExport = () => {
+    const session = buildSessionFile(readStorageEntries(localStorage, primaryKey), appVersion)
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `cutthroat-session-${session.exportedAt.slice(0, 10)}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const { session, storageEntries, errors: parseErrors } = parseSessionFile(await file.text())
+    setErrors(parseErrors)
+    if (!session) {
+      setPending({ fileName: file.name, storageEntries: [], changes: [] })
+      return
+    }
+    setPending({
+      fileName: file.name,
+      exportedAt: session.exportedAt,
+      appVersion: session.appVersion,
+      storageEntries,
+      changes: diffSessionEntries(readStorageEntries(localStorage, primaryKey), storageEntries),
+    })
+  }
+
+  const confirmImport = () => {
+    replaceStorageEntries(localStorage, pending.storageEntries, primaryKey)
+    setPending(null)
+  }
+
+  const close = () => { setPending(null); setErrors([]) }
+
+  return (
+    <>
+      <ActionButton type="button" data-variant="neutral" onClick={handleExport} title="Download every saved value as a JSON file">Export</ActionButton>
+      <ActionButton type="button" data-variant="neutral" onClick={() => fileRef.current?.click()} title="Restore a game from an exported file">Import…</ActionButton>
+      <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleFile} />
+      {pending && (
+        <Modal title="Import Session" onClose={close} width="520px">
+          <Meta>
+            <strong>{pending.fileName}</strong>
+            {pending.exportedAt && <span>Exported {new Date(pending.exportedAt).toLocaleString()}{pending.appVersion ? ` · V. ${pending.appVersion}` : ''}</span>}
+          </Meta>
+          {errors.length > 0 ? (
+            <Errors role="alert">
+              {errors.map(err => <li key={err}>{err}</li>)}
+            </Errors>
+          ) : (
+            <Changes aria-label="Changes">
+              {pending.changes.length === 0 && <li>No differences from the current game.</li>}
+              {pending.changes.map(c => (
+                <li key={c.key} data-status={c.status}>
+                  <code>{c.key}</code>
+                  <span>
+                    {c.status === 'added' && `added (${c.to})`}
+                    {c.status === 'removed' && `reset to default (was ${c.from})`}
+                    {c.status === 'changed' && `${c.from} → ${c.to}`}
+                  </span>
+                </li>
+              ))}
+            </Changes>
+          )}
+          <Footer>
+            <ActionButton type="button" data-variant="neutral" onClick={close}>Cancel</ActionButton>
+            <ActionButton type="button" data-variant="accent" onClick={confirmImport} disabled={errors.length > 0}>Replace Current Game</ActionButton>
+          </Footer>
+        </Modal>
+      )}
+    </>
+  )
+}
+
+// Styled Components
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.45rem .85rem .5rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Meta = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.2rem;
+  font-size:.7rem;
+  color:#334155;
+  span { color:#64748b; font-size:.65rem; }
+`;
+
+const Changes = styled.ul`
+  list-style:none;
+  margin:0;
+  padding:0;
+  display:flex;
+  flex-direction:column;
+  gap:.25rem;
+  overflow-y:auto;
+  font-size:.7rem;
+  li { display:flex; justify-content:space-between; gap:.75rem; padding:.3rem .5rem; border-radius:.45rem; background:#fff; border:1px solid #e2e8f0; }
+  li[data-status='added'] { border-color:#bbf7d0; background:#f0fdf4; }
+  li[data-status='removed'] { border-color:#fecaca; background:#fef2f2; }
+  code { font-weight:600; color:#0f172a; }
+  span { color:#475569; text-align:right; }
+`;
+
+const Errors = styled.ul`
+  margin:0;
+  padding:.5rem .75rem .5rem 1.5rem;
+  background:#fef2f2;
+  border:1px solid #fecaca;
+  border-radius:.65rem;
+  color:#b91c1c;
+  font-size:.7rem;
+  font-weight:600;
+`;
+
+const Footer = styled.div`
+  display:flex;
+  justify-content:flex-end;
+  gap:.5rem;
+`;
@@ -1,6 +1,17 @@
 import React, { useState, useCallback } from 'react'
 import styled from 'styled-components'
 import packageJSON from '../../package.json'
+import { ScenarioPicker } from './ScenarioPicker.jsx'
+import { SessionTransfer } from './SessionTransfer.jsx'
+import { SaveSlotManager } from './SaveSlotManager.jsx'
+import { MarketImpactSettings } from './MarketImpactSettings.jsx'
+import { NoiseModelSettings } from './NoiseModelSettings.jsx'
+import { MarketEventSettings } from './MarketEventSettings.jsx'
+import { ContractTypeSettings } from './ContractTypeSettings.jsx'
+import { TargetGrowthSettings } from './TargetGrowthSettings.jsx'
+import { SeedControl } from './SeedControl.jsx'
+import { SharedSessionControl } from './SharedSessionControl.jsx'
+import { PlayerRoster } from './PlayerRoster.jsx'
 
 const version = packageJSON.version
 
@@ -13,6 +24,32 @@ const version = packageJSON.version
 //  - resetResources(): void
 //  - undoLastChange(): void
 //  - canUndoLastChange: boolean
+//  - onOpenResourceEditor(): void
+//  - onOpenSimulator(): void
+//  - resourceCount: number
+//  - catalogErrors: string[] (problems with the stored resource catalog)
+//  - scenarios: bundled scenario documents
+//  - scenarioName: name of the scenario last loaded
+//  - onApplyScenario(scenario): string[] (errors, empty when loaded)
+//  - saveSlots: object returned by useSaveSlots() (optional, hides the Games group when missing)
+//  - players: object returned by usePlayers() (optional, hides the Players group when missing)
+//  - sharedSession: object returned by useSharedSession() (optional, hides the Shared Session group when missing)
+//  - marketImpact: MarketImpactModel, onChangeMarketImpact(model): void
+//  - noiseModel: NoiseModel, onChangeNoiseModel(model): void (how economic noise moves prices)
+//  - marketEvents: MarketEventSettings, onChangeMarketEvents(settings): void, onTriggerMarketEvent(cardId): void
+//  - contractTypeWeights: { [type]: number }, onChangeContractTypeWeights(weights): void (spawn weight per contract type)
+//  - targetGrowth: TargetGrowth, onChangeTargetGrowth(rule): void (how the target value of new contracts grows)
+//  - targetValue: number, onChangeTargetValue(value): void, targetHistory: [{ at, value, cause }]
+//  - allContractsDecay: boolean, onToggleAllContractsDecay(): void (every contract has a decay clock vs only the last)
+//  - decayScalesWithDifficulty: boolean, onToggleDecayScalesWithDifficulty(): void
+//  - roundMode: boolean, onToggleRoundMode(): void (End Round instead of timers)
+//  - roundsBeforeDecay: number, onChangeRoundsBeforeDecay(n): void
+//  - proRateDecayReward: boolean, onToggleProRateDecayReward(): void (part-filled contracts pay their share on decay)
+//  - penaltyChance: number 0-1, onChangePenaltyChance(n): void (share of new contracts with a penalty clause)
+//  - reputationEnabled: boolean, onToggleReputation(): void
+//  - breakEvenAlerts: boolean, onToggleBreakEvenAlerts(): void (alert when a pinned contract crosses break-even)
+//  - tiers: [{ tier, label }] tiers present in the catalog
+//  - seed: random seed of the game, onApplySeed(seed): void (restarts the game)
 export const SettingsPanel = ({
   toggleNoise,
   isNoiseActive,
@@ -38,6 +75,49 @@ export const SettingsPanel = ({
   onChangeRewardMaxMultiplier,
   maxContractResources,
   onChangeMaxContractResources,
+  onOpenResourceEditor,
+  onOpenSimulator,
+  resourceCount,
+  catalogErrors = [],
+  scenarios,
+  scenarioName,
+  onApplyScenario,
+  saveSlots,
+  sharedSession,
+  players,
+  marketImpact,
+  onChangeMarketImpact,
+  noiseModel,
+  onChangeNoiseModel,
+  marketEvents,
+  onChangeMarketEvents,
+  onTriggerMarketEvent,
+  contractTypeWeights,
+  onChangeContractTypeWeights,
+  targetGrowth,
+  onChangeTargetGrowth,
+  targetValue,
+  onChangeTargetValue,
+  targetHistory,
+  allContractsDecay,
+  onToggleAllContractsDecay,
+  decayScalesWithDifficulty,
+  onToggleDecayScalesWithDifficulty,
+  roundMode,
+  onToggleRoundMode,
+  roundsBeforeDecay,
+  onChangeRoundsBeforeDecay,
+  proRateDecayReward,
+  onToggleProRateDecayReward,
+  penaltyChance,
+  onChangePenaltyChance,
+  reputationEnabled,
+  onToggleReputation,
+  breakEvenAlerts,
+  onToggleBreakEvenAlerts,
+  tiers,
+  seed,
+  onApplySeed,
 }) => {
   const [open, setOpen] = useState(false) // default closed now
   const [confirmReset, setConfirmReset] = useState(false)
@@ -69,7 +149,10 @@ export const SettingsPanel = ({
       </ToggleButton>
       <Inner role="group" aria-label="Settings">
         <HeaderRow>
-          <Title>Settings</Title>
+          <TitleBlock>
+            <Title>Settings</Title>
+            {saveSlots && <SlotName title="Active game">{saveSlots.activeSlot.name}</SlotName>}
+          </TitleBlock>
           <StatusDots>
             <Dot aria-label={`Paused ${paused ? 'yes' : 'no'}`} data-active={paused} title={`Paused ${paused ? 'yes' : 'no'}`}>P</Dot>
             <Dot aria-label={`Noise ${isNoiseActive ? 'on' : 'off'}`} data-active={isNoiseActive && !paused} title={`Noise ${isNoiseActive ? 'on' : 'off'}`}>N</Dot>
@@ -108,6 +191,49 @@ export const SettingsPanel = ({
             >{ignoringMin ? 'Off' : 'On'}</ActionButton>
           </Row>
           <Divider />
+          {saveSlots && (
+            <>
+              {/* Games */}
+              <GroupLabel>Games</GroupLabel>
+              <SaveSlotManager saveSlots={saveSlots} />
+              <Divider />
+            </>
+          )}
+          {players && (
+            <>
+              {/* Players */}
+              <GroupLabel>Players</GroupLabel>
+              <PlayerRoster
+                players={players.players}
+                onAdd={players.addPlayer}
+                onRename={players.renamePlayer}
+                onRemove={players.removePlayer}
+              />
+              <Divider />
+            </>
+          )}
+          {sharedSession && (
+            <>
+              {/* Shared Session */}
+              <GroupLabel>Shared Session</GroupLabel>
+              <SharedSessionControl sharedSession={sharedSession} />
+              <Divider />
+            </>
+          )}
+          {/* Scenario */}
+          <GroupLabel>Scenario</GroupLabel>
+          <ScenarioPicker scenarios={scenarios} activeName={scenarioName} onApply={onApplyScenario} />
+          <Row>
+            <Label>Seed</Label>
+            <SeedControl seed={seed} onApply={onApplySeed} />
+          </Row>
+          <Row>
+            <Label>Session File</Label>
+            <StepGroup>
+              <SessionTransfer appVersion={version} />
+            </StepGroup>
+          </Row>
+          <Divider />
           {/* Editing */}
           <GroupLabel>Editing</GroupLabel>
           <Row>
@@ -127,9 +253,64 @@ export const SettingsPanel = ({
               onClick={handleReset}
             >{confirmReset ? 'Confirm?' : 'Reset'}</ActionButton>
           </Row>
+          <Row>
+            <Label>Resources ({resourceCount})</Label>
+            <ActionButton
+              type="button"
+              data-variant={catalogErrors.length ? 'danger' : 'neutral'}
+              onClick={onOpenResourceEditor}
+              title={catalogErrors.length ? catalogErrors.join('\n') : 'Add, edit or remove resources'}
+            >Edit</ActionButton>
+          </Row>
+          <Row>
+            <Label>Balancing</Label>
+            <ActionButton
+              type="button"
+              data-variant='neutral'
+              onClick={onOpenSimulator}
+              title="Play thousands of automated turns with the current settings"
+            >Simulate</ActionButton>
+          </Row>
           <Divider />
           {/* Timing */}
           <GroupLabel>Timing</GroupLabel>
+          <Row>
+            <Label>Round Mode</Label>
+            <ActionButton
+              type="button"
+              aria-pressed={roundMode}
+              onClick={onToggleRoundMode}
+              data-variant={roundMode ? 'on' : 'off'}
+              title="Noise, decay and refills happen on End Round instead of on timers"
+            >{roundMode ? 'On' : 'Off'}</ActionButton>
+          </Row>
+          {roundMode && (
+            <Row>
+              <Label>Rounds / Decay</Label>
+              <StepGroup>
+                <StepBtn
+                  type="button"
+                  aria-label="Decrease rounds before decay"
+                  onClick={() => onChangeRoundsBeforeDecay(Math.max(1, roundsBeforeDecay - 1))}
+                  disabled={roundsBeforeDecay <= 1}
+                >−</StepBtn>
+                <NumInput
+                  type="number"
+                  min={1}
+                  max={20}
+                  value={roundsBeforeDecay}
+                  onChange={e => onChangeRoundsBeforeDecay(Math.min(20, Math.max(1, Math.round(+e.target.value) || 1)))}
+                  aria-label="Rounds before decay"
+                />
+                <StepBtn
+                  type="button"
+                  aria-label="Increase rounds before decay"
+                  onClick={() => onChangeRoundsBeforeDecay(Math.min(20, roundsBeforeDecay + 1))}
+                  disabled={roundsBeforeDecay >= 20}
+                >+</StepBtn>
+              </StepGroup>
+            </Row>
+          )}
           <Row>
             <Label>Decay (s)</Label>
             <StepGroup>
@@ -163,6 +344,28 @@ export const SettingsPanel = ({
               >+</StepBtn>
             </StepGroup>
           </Row>
+          <Row>
+            <Label>Decaying</Label>
+            <ActionButton
+              type="button"
+              aria-pressed={allContractsDecay}
+              aria-label="Decaying contracts"
+              onClick={onToggleAllContractsDecay}
+              data-variant={allContractsDecay ? 'on' : 'off'}
+              title={allContractsDecay ? 'Every contract counts down' : 'Only the last contract on the board counts down'}
+            >{allContractsDecay ? 'All' : 'Last'}</ActionButton>
+          </Row>
+          <Row>
+            <Label>Decay × Difficulty</Label>
+            <ActionButton
+              type="button"
+              aria-pressed={decayScalesWithDifficulty}
+              aria-label="Scale decay time with contract difficulty"
+              onClick={onToggleDecayScalesWithDifficulty}
+              data-variant={decayScalesWithDifficulty ? 'on' : 'off'}
+              title="Multiply each contract's decay time by the difficulty it was generated with"
+            >{decayScalesWithDifficulty ? 'On' : 'Off'}</ActionButton>
+          </Row>
           <Row>
             <Label>Noise (s)</Label>
             <StepGroup>
@@ -386,6 +589,107 @@ export const SettingsPanel = ({
                 >+</StepBtn>
               </StepGroup>
             </Row>
+            <Row>
+              <Label>Partial Pay</Label>
+              <ActionButton
+                type="button"
+                aria-pressed={proRateDecayReward}
+                aria-label="Pro-rated reward on decay"
+                onClick={onToggleProRateDecayReward}
+                data-variant={proRateDecayReward ? 'on' : 'off'}
+                title="A contract that decays part-filled pays its players the delivered share of the reward"
+              >{proRateDecayReward ? 'On' : 'Off'}</ActionButton>
+            </Row>
+            <Row>
+              <Label title="Share of new contracts with a penalty clause (charged when they decay)">Penalty %</Label>
+              <StepGroup>
+                <StepBtn
+                  type="button"
+                  aria-label="Decrease penalty clause chance"
+                  onClick={() => onChangePenaltyChance(Math.max(0, Math.round(penaltyChance * 10 - 1) / 10))}
+                  disabled={penaltyChance <= 0}
+                >−</StepBtn>
+                <NumInput
+                  type="number"
+                  min={0}
+                  max={100}
+                  step={10}
+                  value={Math.round(penaltyChance * 100)}
+                  onChange={e => onChangePenaltyChance(Math.min(100, Math.max(0, Math.round(+e.target.value) || 0)) / 100)}
+                  aria-label="Penalty clause chance percent"
+                />
+                <StepBtn
+                  type="button"
+                  aria-label="Increase penalty clause chance"
+                  onClick={() => onChangePenaltyChance(Math.min(1, Math.round(penaltyChance * 10 + 1) / 10))}
+                  disabled={penaltyChance >= 1}
+                >+</StepBtn>
+              </StepGroup>
+            </Row>
+            <Row>
+              <Label>Reputation</Label>
+              <ActionButton
+                type="button"
+                aria-pressed={reputationEnabled}
+                aria-label="Reputation"
+                onClick={onToggleReputation}
+                data-variant={reputationEnabled ? 'on' : 'off'}
+                title="Completions raise and decays lower the table's reputation, which shifts rewards and contract types"
+              >{reputationEnabled ? 'On' : 'Off'}</ActionButton>
+            </Row>
+            <Row>
+              <Label>Break-even Alerts</Label>
+              <ActionButton
+                type="button"
+                aria-pressed={breakEvenAlerts}
+                aria-label="Break-even alerts for pinned contracts"
+                onClick={onToggleBreakEvenAlerts}
+                data-variant={breakEvenAlerts ? 'on' : 'off'}
+                title="Alert when a pinned contract's reward stops or starts covering the market value of what is left to deliver"
+              >{breakEvenAlerts ? 'On' : 'Off'}</ActionButton>
+            </Row>
+          <Divider />
+          {/* Target value growth */}
+          <GroupLabel>Difficulty Curve</GroupLabel>
+          <TargetGrowthSettings
+            rule={targetGrowth}
+            onChange={onChangeTargetGrowth}
+            targetValue={targetValue}
+            onChangeTargetValue={onChangeTargetValue}
+            history={targetHistory}
+          />
+          <Divider />
+          {/* Contract types */}
+          <GroupLabel>Contract Types</GroupLabel>
+          <ContractTypeSettings weights={contractTypeWeights} onChange={onChangeContractTypeWeights} />
+          <Divider />
+          {/* Market impact */}
+          <GroupLabel>Market Impact</GroupLabel>
+          <MarketImpactSettings model={marketImpact} onChange={onChangeMarketImpact} tiers={tiers} />
+          <Divider />
+          {/* Economic noise model */}
+          <GroupLabel>Noise Model</GroupLabel>
+          <NoiseModelSettings model={noiseModel} onChange={onChangeNoiseModel} tiers={tiers} />
+          <Divider />
+          {/* Market events */}
+          <GroupLabel>Market Events</GroupLabel>
+          <Row>
+            <Label>Events</Label>
+            <ActionButton
+              type="button"
+              aria-pressed={marketEvents.enabled}
+              aria-label="Random and scheduled market events"
+              onClick={() => onChangeMarketEvents && onChangeMarketEvents({ ...marketEvents, enabled: !marketEvents.enabled })}
+              data-variant={marketEvents.enabled ? 'on' : 'off'}
+              title="Draw events from the deck and fire scheduled ones"
+            >{marketEvents.enabled ? 'On' : 'Off'}</ActionButton>
+          </Row>
+          <MarketEventSettings
+            settings={marketEvents}
+            onChange={onChangeMarketEvents}
+            onTrigger={onTriggerMarketEvent}
+            canTrigger={sharedSession ? sharedSession.isDriver : true}
+          />
         </Controls>
         <Footer>
           <div>
@@ -450,6 +754,7 @@ const Inner = styled.div`
   gap: .75rem;
   font-family: system-ui, sans-serif;
   pointer-events: auto;
+  overflow-y: auto;
 `;
 
 const HeaderRow = styled.div`
@@ -466,6 +771,23 @@ const Title = styled.h2`
   font-weight:700;
 `;
 
+const TitleBlock = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.15rem;
+  min-width:0;
+`;
+
+const SlotName = styled.span`
+  font-size:.6rem;
+  font-weight:600;
+  letter-spacing:.4px;
+  color:#2563eb;
+  white-space:nowrap;
+  overflow:hidden;
+  text-overflow:ellipsis;
+`;
+
 const StatusDots = styled.div`
   display:flex;
   gap:.4rem;
@@ -0,0 +1,219 @@
+import { useState } from 'react'
+import styled from 'styled-components'
+import { isValidRoom } from '../lib/syncProtocol.js'
+
+// SharedSessionControl: join the active game to a shared session on a local relay (npm run relay)
+// Props expected:
+//  - sharedSession: the object returned by useSharedSession()
+const STATUS_LABELS = {
+  idle: 'Not connected',
+  connecting: 'Connecting…',
+  open: 'Connected',
+  reconnecting: 'Reconnecting…',
+  closed: 'Disconnected',
+  error: 'Error',
+}
+
+export const SharedSessionControl = ({ sharedSession }) => {
+  const { config, setConfig, state, connect, disconnect } = sharedSession
+  const [confirming, setConfirming] = useState(false)
+  const { active } = config
+  const validRoom = isValidRoom(config.room)
+
+  const handleConnect = () => {
+    // a viewer adopts the host's game, which replaces this slot's data
+    if (config.role === 'viewer' && !confirming) {
+      setConfirming(true)
+      setTimeout(() => setConfirming(false), 4000)
+      return
+    }
+    setConfirming(false)
+    connect()
+  }
+
+  const host = state.peers.find(p => p.id === state.hostId)
+  const waiting = active && state.status === 'open' && !state.hostId
+
+  return (
+    <Wrapper>
+      <Fields>
+        <Input
+          value={config.url}
+          onChange={e => setConfig({ url: e.target.value })}
+          disabled={active}
+          spellCheck={false}
+          aria-label="Relay address"
+          title="WebSocket address of the relay, e.g. ws://192.168.1.20:8787"
+        />
+        <Input
+          value={config.room}
+          onChange={e => setConfig({ room: e.target.value })}
+          disabled={active}
+          spellCheck={false}
+          maxLength={32}
+          aria-label="Room"
+          aria-invalid={!validRoom}
+          title="Devices in the same room share one game"
+        />
+        <Input
+          value={config.name}
+          onChange={e => setConfig({ name: e.target.value })}
+          disabled={active}
+          maxLength={32}
+          placeholder="Device name"
+          aria-label="Device name"
+        />
+        <Select value={config.role} onChange={e => { setConfig({ role: e.target.value }); setConfirming(false) }} disabled={active} aria-label="Session role">
+          <option value="host">Host</option>
+          <option value="viewer">Viewer</option>
+        </Select>
+      </Fields>
+      <Buttons>
+        <Status data-status={state.status} role="status">
+          {STATUS_LABELS[state.status] || state.status}
+          {state.error && `: ${state.error}`}
+          {waiting && ' · waiting for host'}
+        </Status>
+        {active ? (
+          <ActionButton type="button" data-variant="neutral" onClick={disconnect}>Disconnect</ActionButton>
+        ) : (
+          <ActionButton
+            type="button"
+            data-variant={confirming ? 'danger' : 'accent'}
+            onClick={handleConnect}
+            disabled={!validRoom || !config.url.trim()}
+            title={config.role === 'viewer' ? "Replace this game with the host's game" : 'Share this game with the room'}
+          >{confirming ? 'Confirm?' : 'Connect'}</ActionButton>
+        )}
+      </Buttons>
+      {active && state.peers.length > 0 && (
+        <Peers aria-label="Connected devices">
+          {state.peers.map(p => (
+            <li key={p.id} data-self={p.id === state.id || undefined}>
+              {p.role === 'host' ? '★' : '•'} {p.name}{p.id === state.id ? ' (you)' : ''}
+            </li>
+          ))}
+        </Peers>
+      )}
+      {active && config.role === 'viewer' && host && !state.synced && <Hint>Syncing with {host.name}…</Hint>}
+      {state.conflicts.length > 0 && (
+        <Conflicts role="alert">
+          The host kept its own value for:
+          <ul>
+            {state.conflicts.map(c => (
+              <li key={`${c.entryKey}-${c.at}`}>{c.entryKey}{c.fields.includes('*') ? '' : ` (${c.fields.join(', ')})`}</li>
+            ))}
+          </ul>
+        </Conflicts>
+      )}
+    </Wrapper>
+  )
+}
+
+// Styled Components
+const Wrapper = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.4rem;
+`;
+
+const Fields = styled.div`
+  display:grid;
+  grid-template-columns:1fr 1fr;
+  gap:.3rem;
+  & > :first-child { grid-column:1 / -1; }
+`;
+
+const Input = styled.input`
+  min-width:0;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  background:#fff;
+  color:#0f172a;
+  &[aria-invalid='true'] { border-color:#dc2626; }
+  &:disabled { background:#f1f5f9; color:#64748b; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:disabled { background:#f1f5f9; color:#64748b; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Buttons = styled.div`
+  display:flex;
+  gap:.3rem;
+  align-items:center;
+  justify-content:flex-end;
+`;
+
+const Status = styled.span`
+  flex:1;
+  font-size:.6rem;
+  font-weight:600;
+  color:#64748b;
+  &[data-status='open'] { color:#15803d; }
+  &[data-status='error'] { color:#b91c1c; }
+  &[data-status='reconnecting'] { color:#b45309; }
+`;
+
+const Peers = styled.ul`
+  margin:0;
+  padding:0;
+  list-style:none;
+  display:flex;
+  flex-wrap:wrap;
+  gap:.25rem;
+  li { font-size:.6rem; font-weight:600; padding:.15rem .45rem; border-radius:999px; background:#f1f5f9; color:#334155; }
+  li[data-self] { background:#dbeafe; color:#1e40af; }
+`;
+
+const Hint = styled.p`
+  margin:0;
+  font-size:.6rem;
+  color:#64748b;
+`;
+
+const Conflicts = styled.div`
+  padding:.35rem .5rem;
+  font-size:.6rem;
+  color:#92400e;
+  background:#fef3c7;
+  border:1px solid #fcd34d;
+  border-radius:.55rem;
+  ul { margin:.2rem 0 0; padding-left:1rem; }
+  li { font-family:ui-monospace, SFMono-Regular, Menlo, monospace; }
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='danger'] { --bg:#dc2626; --bd:#b91c1c; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.6rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.4rem .6rem .45rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
@@ -0,0 +1,268 @@
+import { useState } from 'react'
+import styled from 'styled-components'
+import { Modal } from './Modal.jsx'
+import { settingsSchema } from '../constants/settings.js'
+import { simulate, simulationPolicies } from '../engine/simulate.js'
+
+// Simulator: batch balancing tool, plays automated turns with a bot policy (see engine/simulate.js)
+// Starts from the current settings; changes made here only apply to the simulation.
+// Props expected:
+//  - resources: resolved resource catalog
+//  - settings: { [settingKey]: value } current settings
+//  - contractLabels: string[]
+//  - seed: game seed (default seed of the simulation)
+//  - onClose(): void
+const TUNABLE = [
+  { key: 'contractDifficulty', label: 'Difficulty', step: 0.1 },
+  { key: 'contractRewardMin', label: 'Reward Min ×', step: 0.05 },
+  { key: 'contractRewardMax', label: 'Reward Max ×', step: 0.05 },
+  { key: 'maxContractResources', label: 'Max Resources', step: 1 },
+  { key: 'contractCount', label: 'Contracts', step: 1 },
+  { key: 'noiseIntervalMs', label: 'Noise (s)', step: 1, scale: 1000 },
+  { key: 'decayTimeMs', label: 'Decay (s)', step: 1, scale: 1000 },
+]
+
+const fmt = (v, digits = 0) => Number.isFinite(v) ? v.toLocaleString(undefined, { maximumFractionDigits: digits }) : '–'
+const pct = (v) => `${fmt(v * 100, 1)}%`
+
+export const Simulator = ({ resources, settings, contractLabels, seed, onClose }) => {
+  const [draft, setDraft] = useState(() => ({ ...settings }))
+  const [policy, setPolicy] = useState('best-paying')
+  const [turns, setTurns] = useState(1000)
+  const [runs, setRuns] = useState(5)
+  const [noise, setNoise] = useState(true)
+  const [simSeed, setSimSeed] = useState(seed || 'simulation')
+  const [running, setRunning] = useState(false)
+  const [report, setReport] = useState(null)
+
+  const updateSetting = (key, raw, scale = 1) => {
+    const { min, max, integer } = settingsSchema[key]
+    let v = (+raw || 0) * scale
+    if (integer) v = Math.round(v)
+    setDraft(d => ({ ...d, [key]: Math.min(max, Math.max(min, v)) }))
+  }
+
+  const run = () => {
+    setRunning(true)
+    // let "Running…" paint before the (synchronous) simulation blocks the thread
+    setTimeout(() => {
+      setReport(simulate({ resources, settings: draft, contractLabels, policy, turns, runs, seed: simSeed, noise }))
+      setRunning(false)
+    }, 20)
+  }
+
+  const priceMax = report ? Math.max(1, ...Object.values(report.prices).map(p => p.max)) : 1
+
+  return (
+    <Modal title="Simulate" onClose={onClose} width="820px">
+      <Form>
+        <Field>
+          <span>Bot Policy</span>
+          <select value={policy} onChange={e => setPolicy(e.target.value)} aria-label="Bot policy">
+            {Object.entries(simulationPolicies).map(([key, p]) => <option key={key} value={key} title={p.description}>{p.label}</option>)}
+          </select>
+        </Field>
+        <Field>
+          <span>Turns</span>
+          <input type="number" min={1} max={20000} value={turns} onChange={e => setTurns(Math.min(20000, Math.max(1, Math.round(+e.target.value || 1))))} aria-label="Turns per run" />
+        </Field>
+        <Field>
+          <span>Runs</span>
+          <input type="number" min={1} max={50} value={runs} onChange={e => setRuns(Math.min(50, Math.max(1, Math.round(+e.target.value || 1))))} aria-label="Number of runs" />
+        </Field>
+        <Field>
+          <span>Seed</span>
+          <input value={simSeed} onChange={e => setSimSeed(e.target.value)} aria-label="Simulation seed" />
+        </Field>
+        <Field as="div">
+          <span>Noise</span>
+          <ActionButton type="button" aria-pressed={noise} data-variant={noise ? 'accent' : 'neutral'} onClick={() => setNoise(n => !n)}>{noise ? 'On' : 'Off'}</ActionButton>
+        </Field>
+        {TUNABLE.map(t => (
+          <Field key={t.key}>
+            <span>{t.label}</span>
+            <input
+              type="number"
+              step={t.step}
+              value={Math.round((draft[t.key] / (t.scale || 1)) * 100) / 100}
+              onChange={e => updateSetting(t.key, e.target.value, t.scale)}
+              aria-label={`Simulated ${t.label}`}
+            />
+          </Field>
+        ))}
+      </Form>
+      <Footer>
+        <Hint>{simulationPolicies[policy].description} One turn = one decay window.</Hint>
+        <ActionButton type="button" data-variant="neutral" onClick={() => setDraft({ ...settings })}>Current Settings</ActionButton>
+        <ActionButton type="button" data-variant="accent" onClick={run} disabled={running}>{running ? 'Running…' : 'Run'}</ActionButton>
+      </Footer>
+      {report && (
+        <Results aria-label="Simulation results">
+          <Stats>
+            <Stat>
+              <span>Turns played</span>
+              <strong>{fmt(report.playedTurns)}</strong>
+              {report.runaway.runs > 0 && <small>{report.runaway.runs}/{report.runs} runs hit the inflation cap (median turn {fmt(report.runaway.turn.median)})</small>}
+            </Stat>
+            <Stat>
+              <span>Contracts</span>
+              <strong>{fmt(report.contracts.completed)} done · {fmt(report.contracts.decayed)} decayed</strong>
+              {report.contracts.penalties > 0 && <small>${fmt(report.contracts.penalties)} in penalties</small>}
+            </Stat>
+            <Stat>
+              <span>Avg value → reward</span>
+              {report.contracts.completed > 0 ? (
+                <>
+                  <strong>${fmt(report.contracts.value.mean)} → ${fmt(report.contracts.reward.mean)}</strong>
+                  <small>reward / value {fmt(report.contracts.rewardRatio.mean, 2)} (p10 {fmt(report.contracts.rewardRatio.p10, 2)}, p90 {fmt(report.contracts.rewardRatio.p90, 2)})</small>
+                </>
+              ) : <strong>none completed</strong>}
+            </Stat>
+            <Stat>
+              <span>Target value</span>
+              <strong>${fmt(report.targetValue.start)} → ${fmt(report.targetValue.end.median)}</strong>
+              <small>{pct(report.targetValue.growthPerTurn)} / turn{report.targetValue.turnsToDouble ? ` · doubles every ${fmt(report.targetValue.turnsToDouble, 1)} turns` : ''}</small>
+            </Stat>
+          </Stats>
+          <PriceTable>
+            <thead>
+              <tr><th>Resource</th><th>Min</th><th>P10</th><th>Median</th><th>P90</th><th>Max</th><th>Range</th><th>At Min</th></tr>
+            </thead>
+            <tbody>
+              {resources.map(r => {
+                const p = report.prices[r.name]
+                if (!p) return null
+                return (
+                  <tr key={r.name}>
+                    <td>{r.icon} {r.label}</td>
+                    <td>{fmt(p.min)}</td>
+                    <td>{fmt(p.p10)}</td>
+                    <td>{fmt(p.median)}</td>
+                    <td>{fmt(p.p90)}</td>
+                    <td>{fmt(p.max)}</td>
+                    <td>
+                      <RangeBar aria-hidden="true">
+                        <span style={{ left: `${(p.min / priceMax) * 100}%`, width: `${Math.max(0.5, ((p.max - p.min) / priceMax) * 100)}%` }} />
+                        <span data-core style={{ left: `${(p.p10 / priceMax) * 100}%`, width: `${Math.max(0.5, ((p.p90 - p.p10) / priceMax) * 100)}%` }} />
+                        <i style={{ left: `${(p.median / priceMax) * 100}%` }} />
+                      </RangeBar>
+                    </td>
+                    <td data-warn={report.atMin[r.name] > 0.5 || undefined}>{pct(report.atMin[r.name])}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </PriceTable>
+        </Results>
+      )}
+    </Modal>
+  )
+}
+
+// Styled Components
+const Form = styled.div`
+  display:grid;
+  grid-template-columns:repeat(auto-fill, minmax(7.5rem, 1fr));
+  gap:.5rem;
+`;
+
+const Field = styled.label`
+  display:flex;
+  flex-direction:column;
+  gap:.2rem;
+  span { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; }
+  input, select {
+    width:100%;
+    box-sizing:border-box;
+    font:inherit;
+    padding:.35rem .4rem .4rem;
+    border:1px solid #cbd5e1;
+    border-radius:.55rem;
+    font-size:.7rem;
+    font-weight:600;
+    background:#fff;
+    color:#0f172a;
+  }
+  input:focus-visible, select:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Footer = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.5rem;
+`;
+
+const Hint = styled.p`
+  flex:1;
+  margin:0;
+  font-size:.65rem;
+  color:#64748b;
+`;
+
+const Results = styled.section`
+  display:flex;
+  flex-direction:column;
+  gap:.6rem;
+  overflow-y:auto;
+`;
+
+const Stats = styled.div`
+  display:grid;
+  grid-template-columns:repeat(auto-fill, minmax(11rem, 1fr));
+  gap:.5rem;
+`;
+
+const Stat = styled.div`
+  display:flex;
+  flex-direction:column;
+  gap:.15rem;
+  background:#fff;
+  border:1px solid #e2e8f0;
+  border-radius:.75rem;
+  padding:.5rem .6rem;
+  span { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; }
+  strong { font-size:.8rem; color:#0f172a; }
+  small { font-size:.6rem; color:#64748b; }
+`;
+
+const PriceTable = styled.table`
+  width:100%;
+  border-collapse:collapse;
+  font-size:.7rem;
+  th { font-size:.55rem; font-weight:700; letter-spacing:.6px; text-transform:uppercase; color:#475569; text-align:right; padding:.25rem .4rem; }
+  th:first-child, td:first-child { text-align:left; }
+  td { text-align:right; padding:.3rem .4rem; border-top:1px solid #e2e8f0; font-variant-numeric:tabular-nums; color:#0f172a; }
+  td:nth-child(7) { width:30%; }
+  td[data-warn] { color:#b91c1c; font-weight:700; }
+`;
+
+const RangeBar = styled.div`
+  position:relative;
+  height:.6rem;
+  background:#f1f5f9;
+  border-radius:999px;
+  span { position:absolute; top:0; bottom:0; background:#cbd5e1; border-radius:999px; }
+  span[data-core] { background:#93c5fd; }
+  i { position:absolute; top:-.1rem; bottom:-.1rem; width:2px; background:#1e40af; }
+`;
+
+const ActionButton = styled.button`
+  --bg:#fff; --bd:#cbd5e1; --fg:#0f172a;
+  &[data-variant='accent'] { --bg:#2563eb; --bd:#1e40af; --fg:#fff; }
+  &[data-variant='neutral'] { --bg:#f1f5f9; --bd:#cbd5e1; }
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  padding:.45rem .85rem .5rem;
+  border-radius:.65rem;
+  border:1px solid var(--bd);
+  background:var(--bg);
+  color:var(--fg);
+  cursor:pointer;
+  box-shadow:0 2px 4px rgba(0,0,0,.1);
+  &:hover:not(:disabled){ filter:brightness(1.05); }
+  &:active:not(:disabled){ transform:translateY(1px); }
+  &:disabled { opacity:.45; cursor:not-allowed; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
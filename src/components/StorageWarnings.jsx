@@ -0,0 +1,60 @@
+import styled from 'styled-components'
+import { dismissStorageWarning, useStorageWarnings } from '../hooks/useWebStorage.js'
+
+// StorageWarnings: banner listing saved entries that were corrupted or could not be upgraded
+// (their raw data is kept under a quarantine key so it can still be exported / inspected)
+export const StorageWarnings = () => {
+  const warnings = useStorageWarnings()
+  if (!warnings.length) return null
+  return (
+    <Banner role="alert" aria-label="Storage warnings">
+      {warnings.map(w => (
+        <Item key={w.id}>
+          <span>⚠️ {w.message}.</span>
+          <code title="Raw data was kept under this key">{w.quarantineKey}</code>
+          <Dismiss type="button" onClick={() => dismissStorageWarning(w.id)} aria-label="Dismiss warning">×</Dismiss>
+        </Item>
+      ))}
+    </Banner>
+  )
+}
+
+// Styled Components
+const Banner = styled.div`
+  position:absolute;
+  top:10px;
+  left:50%;
+  transform:translateX(-50%);
+  z-index:50;
+  display:flex;
+  flex-direction:column;
+  gap:.35rem;
+  max-width:min(640px, 90vw);
+  font-family:system-ui, sans-serif;
+`;
+
+const Item = styled.div`
+  display:flex;
+  align-items:center;
+  gap:.6rem;
+  padding:.45rem .6rem .45rem .75rem;
+  background:#fffbeb;
+  border:1px solid #fcd34d;
+  border-radius:.65rem;
+  box-shadow:0 2px 8px rgba(0,0,0,.12);
+  color:#92400e;
+  font-size:.75rem;
+  font-weight:600;
+  code { font-size:.65rem; font-weight:500; color:#b45309; }
+`;
+
+const Dismiss = styled.button`
+  margin-left:auto;
+  border:none;
+  background:none;
+  font-size:1rem;
+  line-height:1;
+  cursor:pointer;
+  color:#92400e;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
@@ -0,0 +1,169 @@
+import styled from 'styled-components'
+import { MAX_TARGET_VALUE, projectTargetValues, targetGrowthModes } from '../engine/targetGrowth.js'
+
+const PROJECTION_STEPS = 10
+
+// TargetGrowthSettings: the target value of new contracts, its growth rule and a chart of its history
+// (see engine/targetGrowth.js)
+// Props expected:
+//  - rule: TargetGrowth
+//  - onChange(rule): void
+//  - targetValue: number (current target value)
+//  - onChangeTargetValue(value): void (manual adjustment)
+//  - history: [{ at, value, cause }] oldest first
+export const TargetGrowthSettings = ({ rule, onChange, targetValue, onChangeTargetValue, history = [] }) => {
+  const update = (patch) => onChange && onChange({ ...rule, ...patch })
+  const setValue = (v) => onChangeTargetValue && onChangeTargetValue(Math.min(MAX_TARGET_VALUE, Math.max(1, v)))
+
+  // past values (or just the current one) followed by the projected next steps, dashed
+  const past = history.length ? history.map(e => e.value) : [targetValue]
+  const projected = projectTargetValues(targetValue, rule, PROJECTION_STEPS)
+  const all = [...past, ...projected]
+  const max = Math.max(...all) || 1
+  const min = Math.min(...all)
+  const span = max - min || 1
+  const x = (i) => all.length > 1 ? (i / (all.length - 1)) * 100 : 0
+  const y = (v) => 95 - ((v - min) / span) * 90
+  const pastLine = past.map((v, i) => `${x(i)},${y(v)}`).join(' ')
+  const projectedLine = [targetValue, ...projected].map((v, i) => `${x(past.length - 1 + i)},${y(v)}`).join(' ')
+  const unit = rule.mode === 'perRound' ? 'round' : 'contract'
+
+  return (
+    <>
+      <Row>
+        <Label title="Value of the resources new contracts ask for">Target $</Label>
+        <StepGroup>
+          <StepBtn type="button" aria-label="Decrease target value" onClick={() => setValue(Math.round(targetValue) - 5)} disabled={targetValue <= 1}>−</StepBtn>
+          <NumInput
+            type="number" min={1} max={MAX_TARGET_VALUE} step={1}
+            value={Math.round(targetValue * 100) / 100}
+            onChange={e => { const v = parseFloat(e.target.value); if (!isNaN(v)) setValue(v) }}
+            aria-label="Current target value"
+          />
+          <StepBtn type="button" aria-label="Increase target value" onClick={() => setValue(Math.round(targetValue) + 5)}>+</StepBtn>
+        </StepGroup>
+      </Row>
+      <Row>
+        <Label>Growth</Label>
+        <Select value={rule.mode} onChange={e => update({ mode: e.target.value })} aria-label="Target value growth rule">
+          {Object.entries(targetGrowthModes).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+        </Select>
+      </Row>
+      {rule.mode === 'linear' ? (
+        <Row>
+          <Label title="Added to the target value per completed contract">Step $</Label>
+          <NumInput
+            type="number" min={0} max={1000} step={1}
+            value={rule.step}
+            onChange={e => update({ step: Math.min(1000, Math.max(0, +e.target.value || 0)) })}
+            aria-label="Target value step per contract"
+          />
+        </Row>
+      ) : (
+        <Row>
+          <Label title={`Growth of the target value per ${unit === 'round' ? 'ended round' : 'completed contract'}`}>Growth %</Label>
+          <NumInput
+            type="number" min={0} max={100} step={1}
+            value={rule.percent}
+            onChange={e => update({ percent: Math.min(100, Math.max(0, +e.target.value || 0)) })}
+            aria-label="Target value growth percent"
+          />
+        </Row>
+      )}
+      {rule.mode === 'capped' && (
+        <Row>
+          <Label title="The target value stops growing here">Cap $</Label>
+          <NumInput
+            type="number" min={1} max={MAX_TARGET_VALUE} step={10}
+            value={rule.cap}
+            onChange={e => update({ cap: Math.min(MAX_TARGET_VALUE, Math.max(1, +e.target.value || 1)) })}
+            aria-label="Target value cap"
+          />
+        </Row>
+      )}
+      <Chart viewBox="0 0 100 100" preserveAspectRatio="none" role="img"
+        aria-label={`Target value history, ${history.length} changes, and the next ${PROJECTION_STEPS} steps`}>
+        {past.length > 1 && <polyline points={pastLine} />}
+        <polyline data-projection points={projectedLine} />
+      </Chart>
+      <Hint>
+        ${Math.round(min)} – ${Math.round(max)}; dashed: the next {PROJECTION_STEPS} {unit}s
+        {rule.mode === 'perRound' && ' (rounds only end in round mode)'}
+      </Hint>
+    </>
+  )
+}
+
+// Styled Components (match SettingsPanel)
+const Row = styled.div`
+  display:flex;
+  align-items:center;
+  justify-content:space-between;
+  gap:.75rem;
+`;
+
+const Label = styled.span`
+  font-size:.7rem;
+  letter-spacing:.6px;
+  font-weight:600;
+  color:#334155;
+  text-transform:uppercase;
+`;
+
+const Select = styled.select`
+  font:inherit;
+  font-size:.65rem;
+  font-weight:600;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  background:#fff;
+  color:#0f172a;
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const StepGroup = styled.div`
+  display:inline-flex; align-items:center; gap:.3rem;
+`;
+const StepBtn = styled.button`
+  width:1.9rem; height:1.9rem; display:inline-flex; align-items:center; justify-content:center;
+  font-size:.9rem; font-weight:700; line-height:1; cursor:pointer;
+  border:1px solid #cbd5e1; background:#f8fafc; color:#0f172a; border-radius:.55rem;
+  transition: background .2s, transform .15s;
+  &:hover:not(:disabled){ background:#e2e8f0; }
+  &:active:not(:disabled){ transform:translateY(1px); background:#cbd5e1; }
+  &:disabled{ opacity:.4; cursor:not-allowed; }
+  &:focus-visible{ outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const NumInput = styled.input`
+  width:4.2rem;
+  padding:.35rem .4rem .4rem;
+  border:1px solid #cbd5e1;
+  border-radius:.55rem;
+  font-size:.65rem;
+  font-weight:600;
+  letter-spacing:.5px;
+  background:#ffffff;
+  color:#0f172a;
+  text-align:right;
+  -moz-appearance:textfield;
+  &::-webkit-outer-spin-button,&::-webkit-inner-spin-button{ -webkit-appearance: none; margin:0; }
+  &:focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+`;
+
+const Chart = styled.svg`
+  width:100%;
+  height:48px;
+  background:#f8fafc;
+  border:1px solid #e2e8f0;
+  border-radius:.45rem;
+  polyline { fill:none; stroke:#2563eb; stroke-width:2; vector-effect:non-scaling-stroke; }
+  polyline[data-projection] { stroke:#94a3b8; stroke-dasharray:3 3; }
+`;
+
+const Hint = styled.p`
+  margin:0;
+  font-size:.6rem;
+  color:#64748b;
+`;
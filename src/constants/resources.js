@@ -4,8 +4,11 @@ export const resourceTiers = {
     3: "Advanced",
 }
 
-// Raw resource declarations without tier (tier will be inferred from components)
-const rawResources = [
+// Fallback label for tiers beyond the predefined ones
+export const getTierLabel = (tier, labels = resourceTiers) => labels[tier] || `Tier ${tier}`
+
+// Default resource declarations without tier (tier will be inferred from components)
+export const defaultResources = [
     {
         name: "iron",
         label: "Iron Ore",
@@ -47,38 +50,122 @@ const rawResources = [
     },
 ]
 
-// Build a quick lookup map
-const rawMap = Object.fromEntries(rawResources.map(r => [r.name, r]))
+export class ResourceCatalogError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'ResourceCatalogError'
+    }
+}
+
+const RESOURCE_NAME_PATTERN = /^[a-z0-9_]+$/
 
 // Detect & compute tiers recursively with memoization and cycle detection
-const tierCache = {}
-const visiting = new Set()
-function computeTier(name) {
-    if (tierCache[name]) return tierCache[name]
-    const res = rawMap[name]
-    if (!res) throw new Error(`Unknown resource referenced in components: ${name}`)
-    if (visiting.has(name)) {
-        throw new Error(`Circular dependency detected involving resource: ${name}`)
+// Returns { [resourceName]: tier }, throws ResourceCatalogError on unknown components or cycles
+export function computeTiers(rawResources) {
+    const rawMap = Object.fromEntries(rawResources.map(r => [r.name, r]))
+    const tierCache = {}
+    const visiting = []
+    function computeTier(name, requiredBy) {
+        if (tierCache[name]) return tierCache[name]
+        const res = rawMap[name]
+        if (!res) {
+            throw new ResourceCatalogError(requiredBy
+                ? `Unknown resource "${name}" referenced in components of "${requiredBy}"`
+                : `Unknown resource referenced in components: ${name}`)
+        }
+        if (visiting.includes(name)) {
+            const cycle = [...visiting.slice(visiting.indexOf(name)), name].join(' → ')
+            throw new ResourceCatalogError(`Circular dependency detected involving resource: ${name} (${cycle})`)
+        }
+        if (!res.components || res.components.length === 0) {
+            tierCache[name] = 1
+            return 1
+        }
+        visiting.push(name)
+        const compTiers = res.components.map(c => computeTier(c, name))
+        visiting.pop()
+        const t = Math.max(...compTiers) + 1
+        tierCache[name] = t
+        return t
     }
-    if (!res.components || res.components.length === 0) {
-        tierCache[name] = 1
-        return 1
+    rawResources.forEach(r => computeTier(r.name))
+    return tierCache
+}
+
+/**
+ * validateResources
+ * Checks a raw resource list without throwing.
+ * Returns an array of human readable error messages (empty when valid).
+ */
+export function validateResources(rawResources) {
+    if (!Array.isArray(rawResources)) return ['Resource catalog must be a list']
+    if (rawResources.length === 0) return ['Resource catalog must contain at least one resource']
+    const errors = []
+    const seen = new Set()
+    const names = new Set(rawResources.map(r => r?.name))
+    rawResources.forEach((r, idx) => {
+        const where = r?.name ? `"${r.name}"` : `#${idx + 1}`
+        if (!r || typeof r !== 'object') {
+            errors.push(`Resource ${where} must be an object`)
+            return
+        }
+        if (typeof r.name !== 'string' || !RESOURCE_NAME_PATTERN.test(r.name)) {
+            errors.push(`Resource ${where} needs a name of lowercase letters, digits or underscores`)
+        } else if (seen.has(r.name)) {
+            errors.push(`Resource name "${r.name}" is used more than once`)
+        }
+        seen.add(r.name)
+        if (typeof r.label !== 'string' || !r.label.trim()) {
+            errors.push(`Resource ${where} needs a label`)
+        }
+        if (r.min != null && (typeof r.min !== 'number' || Number.isNaN(r.min) || r.min < 0)) {
+            errors.push(`Resource ${where} has an invalid min (must be a number ≥ 0)`)
+        }
+        if (r.components != null && !Array.isArray(r.components)) {
+            errors.push(`Resource ${where} components must be a list`)
+        } else if (r.components?.includes(r.name)) {
+            errors.push(`Resource ${where} cannot be a component of itself`)
+        } else {
+            for (const c of r.components || []) {
+                if (!names.has(c)) errors.push(`Unknown resource "${c}" referenced in components of ${where}`)
+            }
+        }
+    })
+    if (errors.length) return errors
+    try {
+        computeTiers(rawResources)
+    } catch (e) {
+        if (!(e instanceof ResourceCatalogError)) throw e
+        errors.push(e.message)
     }
-    visiting.add(name)
-    const compTiers = res.components.map(c => computeTier(c))
-    visiting.delete(name)
-    const t = Math.max(...compTiers) + 1
-    tierCache[name] = t
-    return t
+    return errors
 }
 
-// Compute all tiers
-rawResources.forEach(r => computeTier(r.name))
+/**
+ * resolveResources
+ * Attaches the inferred tier to every resource of a raw list.
+ * Returns { resources, errors } and never throws; resources is null when the list is invalid.
+ */
+export function resolveResources(rawResources) {
+    const errors = validateResources(rawResources)
+    if (errors.length) return { resources: null, errors }
+    const tiers = computeTiers(rawResources)
+    return {
+        resources: rawResources.map(r => ({ ...r, components: r.components || [], tier: tiers[r.name] })),
+        errors,
+    }
+}
 
-// Expand resourceTiers labels if new tiers beyond predefined exist
-const maxTier = Math.max(...Object.values(tierCache))
-for (let t = 4; t <= maxTier; t++) {
-    if (!resourceTiers[t]) resourceTiers[t] = `Tier ${t}`
+// Build dependency lookup: componentName -> array of resources that depend on it
+export function buildDependentsMap(resourceList) {
+    const dependentsMap = {}
+    for (const r of resourceList) {
+        for (const c of r.components || []) {
+            if (!dependentsMap[c]) dependentsMap[c] = []
+            dependentsMap[c].push(r.name)
+        }
+    }
+    return dependentsMap
 }
 
-export const resources = rawResources.map(r => ({ ...r, tier: tierCache[r.name] }))
+export const resources = resolveResources(defaultResources).resources
@@ -0,0 +1,60 @@
+import { defaultMarketImpact, validateMarketImpact } from '../lib/marketImpact.js'
+import { defaultContractTypeWeights, validateContractTypeWeights } from '../engine/contractTypes.js'
+import { defaultTargetGrowth, validateTargetGrowth } from '../engine/targetGrowth.js'
+import { defaultNoiseModel, validateNoiseModel } from '../engine/noise.js'
+import { defaultMarketEvents, validateMarketEvents } from '../engine/marketEvents.js'
+
+// Game settings persisted by App.jsx (as `setting:<key>` in local storage, contractDifficulty lives in useContracts)
+// Each entry declares its default and accepted range, so scenarios and imports can be validated against it.
+export const settingsSchema = {
+    decayTimeMs: { type: 'number', default: 10000, min: 1000, max: 600000 },
+    noiseIntervalMs: { type: 'number', default: 5000, min: 1000, max: 3600000 },
+    contractCount: { type: 'number', default: 3, min: 1, max: 12, integer: true },
+    paused: { type: 'boolean', default: true },
+    contractRewardMin: { type: 'number', default: 1, min: 0.1, max: 5 },
+    contractRewardMax: { type: 'number', default: 1.4, min: 0.1, max: 6 },
+    maxContractResources: { type: 'number', default: 6, min: 1, max: 20, integer: true },
+    contractDifficulty: { type: 'number', default: 1, min: 0.5, max: 5 },
+    allContractsDecay: { type: 'boolean', default: false },
+    decayScalesWithDifficulty: { type: 'boolean', default: false },
+    roundMode: { type: 'boolean', default: false },
+    roundsBeforeDecay: { type: 'number', default: 3, min: 1, max: 20, integer: true },
+    proRateDecayReward: { type: 'boolean', default: false },
+    penaltyChance: { type: 'number', default: 0, min: 0, max: 1 },
+    reputationEnabled: { type: 'boolean', default: false },
+    breakEvenAlerts: { type: 'boolean', default: false },
+    marketImpact: { type: 'object', default: defaultMarketImpact, validate: validateMarketImpact },
+    noiseModel: { type: 'object', default: defaultNoiseModel, validate: validateNoiseModel },
+    marketEvents: { type: 'object', default: defaultMarketEvents, validate: validateMarketEvents },
+    targetGrowth: { type: 'object', default: defaultTargetGrowth, validate: validateTargetGrowth },
+    contractTypeWeights: { type: 'object', default: defaultContractTypeWeights, validate: validateContractTypeWeights },
+}
+
+export const settingDefaults = Object.fromEntries(Object.entries(settingsSchema).map(([key, s]) => [key, s.default]))
+
+/**
+ * normalizeSetting
+ * Fills partially specified object settings (e.g. from a scenario) with the defaults.
+ */
+export function normalizeSetting(key, value) {
+    const schema = settingsSchema[key]
+    if (schema?.type !== 'object' || value == null || typeof value !== 'object' || Array.isArray(value)) return value
+    return { ...schema.default, ...value }
+}
+
+/**
+ * validateSetting
+ * Returns an error message for a value that does not fit the schema, or null when valid.
+ */
+export function validateSetting(key, value) {
+    const schema = settingsSchema[key]
+    if (!schema) return `unknown setting "${key}"`
+    if (schema.type === 'object') return schema.validate(value)
+    if (schema.type === 'boolean') {
+        return typeof value === 'boolean' ? null : 'must be true or false'
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number'
+    if (schema.integer && !Number.isInteger(value)) return 'must be a whole number'
+    if (value < schema.min || value > schema.max) return `must be between ${schema.min} and ${schema.max}`
+    return null
+}
@@ -0,0 +1,138 @@
+// Storage schema declarations for every persisted key (see registerStorageSchema in hooks/useWebStorage.ts).
+// To change the shape of a key: bump its version and append an upgrade function to migrations, e.g.
+//
+//   registerStorageSchema('resourceValues', {
+//       version: 2,
+//       migrations: [
+//           (v1) => ({ ...v1, copper: 8 }), // 1 -> 2
+//       ],
+//       validate: isNumberMap,
+//   })
+//
+// Entries that fail to parse, upgrade or validate are quarantined and reported in the UI.
+import { registerStorageSchema } from '../hooks/useWebStorage.js'
+import { settingsSchema, validateSetting } from './settings.js'
+import { validateContractView } from '../engine/contractBoard.js'
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+const isNumberMap = (v) => isPlainObject(v) && Object.values(v).every(isFiniteNumber)
+const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string')
+const isBoolean = (v) => typeof v === 'boolean'
+const isTimestamp = (v) => v === null || isFiniteNumber(v)
+const isSource = (v) => v === null || typeof v === 'string'
+
+// Resources
+registerStorageSchema('resourceValues', { version: 1, validate: isNumberMap })
+registerStorageSchema('resourceHistory', {
+    version: 2,
+    migrations: [
+        // 1 -> 2: bare prices become entries with a time and cause, unknown for what was recorded before
+        (v1) => Object.fromEntries(Object.entries(v1).map(([name, history]) => [
+            name,
+            history.filter(isFiniteNumber).map(value => ({ value, at: null, source: null })),
+        ])),
+    ],
+    validate: (v) => isPlainObject(v) && Object.values(v).every(history => Array.isArray(history)
+        && history.every(e => isPlainObject(e) && isFiniteNumber(e.value) && isTimestamp(e.at) && isSource(e.source))),
+})
+registerStorageSchema('actionLog', {
+    version: 2,
+    migrations: [
+        (v1) => v1.map(g => ({ ...g, at: null, source: null })), // 1 -> 2: undo groups are stamped with their cause
+    ],
+    validate: (v) => Array.isArray(v) && v.every(g => isPlainObject(g) && Array.isArray(g.changes) && isTimestamp(g.at) && isSource(g.source)),
+})
+registerStorageSchema('resourceBases', { version: 1, validate: isNumberMap })
+registerStorageSchema('ignoreMin', { version: 1, validate: isBoolean })
+registerStorageSchema('noiseActive', { version: 1, validate: isBoolean })
+registerStorageSchema('marketEvents', {
+    version: 1,
+    validate: (v) => isPlainObject(v) && isFiniteNumber(v.clockMs) && isFiniteNumber(v.round) && isFiniteNumber(v.nextDrawMs)
+        && isStringList(v.fired) && Array.isArray(v.log)
+        && Array.isArray(v.active) && v.active.every(e => isPlainObject(e) && typeof e.cardId === 'string' && isNumberMap(e.applied) && isNumberMap(e.total)),
+})
+// the catalog's content is checked by useResourceCatalog, which falls back to defaults with a visible error
+registerStorageSchema('resourceCatalog', { version: 1, validate: Array.isArray })
+registerStorageSchema('tierLabels', { version: 1, validate: isPlainObject })
+
+// Contracts
+registerStorageSchema('contracts', {
+    version: 1,
+    validate: (v) => Array.isArray(v) && v.every(c => isPlainObject(c) && c.id != null && isNumberMap(c.resources)
+        && (c.deliveries === undefined || (Array.isArray(c.deliveries)
+            && c.deliveries.every(d => isPlainObject(d) && typeof d.name === 'string' && isFiniteNumber(d.qty) && isFiniteNumber(d.value))))),
+})
+registerStorageSchema('contractArchive', {
+    version: 1,
+    validate: (v) => Array.isArray(v) && v.every(e => isPlainObject(e) && e.contractId != null && isNumberMap(e.resources)
+        && (e.outcome === 'complete' || e.outcome === 'decay') && isFiniteNumber(e.closedAt)
+        && Array.isArray(e.deliveries) && Array.isArray(e.payouts) && Array.isArray(e.effects)),
+})
+registerStorageSchema('currentContractTargetValue', { version: 1, validate: (v) => isFiniteNumber(v) && v > 0 })
+registerStorageSchema('contractView', { version: 1, validate: (v) => validateContractView(v) === null })
+registerStorageSchema('targetValueHistory', {
+    version: 1,
+    validate: (v) => Array.isArray(v) && v.every(e => isPlainObject(e) && isFiniteNumber(e.at) && isFiniteNumber(e.value) && typeof e.cause === 'string'),
+})
+registerStorageSchema('contractDifficulty', { version: 1, validate: (v) => validateSetting('contractDifficulty', v) === null })
+registerStorageSchema('contractLabels', { version: 1, validate: isStringList })
+registerStorageSchema('scenario', { version: 1, validate: (v) => typeof v === 'string' })
+
+// Players and their ledgers (hooks/usePlayers.js)
+registerStorageSchema('players', {
+    version: 1,
+    validate: (v) => Array.isArray(v) && v.every(p => isPlainObject(p) && typeof p.id === 'string' && typeof p.name === 'string'),
+})
+registerStorageSchema('playerLedgers', {
+    version: 1,
+    validate: (v) => isPlainObject(v) && Object.values(v).every(entries => Array.isArray(entries)
+        && entries.every(e => isPlainObject(e) && isFiniteNumber(e.reward) && isFiniteNumber(e.marketValue))),
+})
+
+// Reputation (hooks/useReputation.js)
+registerStorageSchema('reputation', {
+    version: 1,
+    validate: (v) => isPlainObject(v) && isFiniteNumber(v.score) && Array.isArray(v.history)
+        && v.history.every(e => isPlainObject(e) && isFiniteNumber(e.score) && isFiniteNumber(e.delta)),
+})
+
+// Round mode (hooks/useRounds.js)
+registerStorageSchema('round', {
+    version: 2,
+    migrations: [
+        // 1 -> 2: the rounds waited are kept per contract (every contract ages with allContractsDecay)
+        (v1) => ({ ...v1, decay: v1.decay ? { [v1.decay.contractId]: v1.decay.rounds } : {} }),
+    ],
+    validate: (v) => isPlainObject(v) && Number.isInteger(v.round) && v.round >= 1 && isBoolean(v.pending)
+        && isPlainObject(v.decay) && Object.values(v.decay).every(Number.isInteger),
+})
+
+// Seeded randomness (hooks/useSeededRandom.js)
+registerStorageSchema('rngSeed', { version: 1, validate: (v) => typeof v === 'string' && v.length > 0 })
+registerStorageSchema('rngState', {
+    version: 1,
+    validate: (v) => isPlainObject(v) && Object.values(v).every(n => Number.isInteger(n) && n >= 0 && n <= 0xffffffff),
+})
+
+// Settings (App.jsx `setting:*` keys)
+for (const key of Object.keys(settingsSchema)) {
+    if (key === 'contractDifficulty') continue
+    registerStorageSchema(`setting:${key}`, { version: 1, validate: (v) => validateSetting(key, v) === null })
+}
+
+// Save slots (stored outside of any slot)
+registerStorageSchema('slots', {
+    version: 1,
+    validate: (v) => Array.isArray(v) && v.length > 0 && v.every(s => isPlainObject(s) && typeof s.id === 'string' && typeof s.name === 'string'),
+})
+registerStorageSchema('activeSlot', { version: 1, validate: (v) => typeof v === 'string' })
+
+// Shared session connection (hooks/useSharedSession.js, stored per device)
+registerStorageSchema('sharedSession', {
+    version: 1,
+    validate: (v) => isPlainObject(v)
+        && ['url', 'room', 'name'].every(k => typeof v[k] === 'string')
+        && ['host', 'viewer'].includes(v.role)
+        && isBoolean(v.active),
+})
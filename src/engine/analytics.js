@@ -0,0 +1,167 @@
+// Session analytics: statistics over the resources' price histories and the contract archive.
+// A history holds every price a resource has had this session (one entry per change, the starting price first; see
+// HistoryEntry in resources.js), so "ticks" here are recorded prices, not timer ticks: a noise tick that left the
+// price alone adds nothing.
+//
+// type ResourceStats = {
+//     points: number,                  // recorded prices
+//     first, last, min, max, mean,     // prices (mean of the recorded prices)
+//     volatility: number | null,       // standard deviation of the last `window` changes, in % (null: fewer than 2)
+//     change: number | null,           // % change over the last `changeTicks` recorded prices (null: not that many)
+// }
+// type FloorTime = {
+//     ms: number,                      // time the price sat at or below the floor that applied then
+//     spanMs: number,                  // time since the first timestamped price
+//     share: number | null,            // ms / spanMs (0-1; null: no time passed yet)
+// }
+// type SessionStats = {
+//     completed, decayed,              // archived contracts by outcome
+//     completionRate: number | null,   // completed / closed (0-1)
+//     avgFulfilMs: number | null,      // mean time from generation to completion (contracts with a known generatedAt)
+//     rewardsPaid: number,             // rewards of completed contracts plus pro-rated payouts of decayed ones
+//     penalties: number,               // penalty charges of decayed contracts
+// }
+
+import { computeMin, historyValue, historyValues } from './resources.js'
+
+export const defaultAnalyticsOptions = {
+    window: 10,
+    changeTicks: 10,
+}
+
+// relative changes between consecutive prices (skipping non-positive ones)
+function relativeChanges(history) {
+    const changes = []
+    for (let i = 1; i < history.length; i++) {
+        if (history[i - 1] > 0) changes.push((history[i] - history[i - 1]) / history[i - 1])
+    }
+    return changes
+}
+
+/**
+ * rollingVolatility
+ * Standard deviation of the last `window` relative changes of a history, in %, or null with fewer than 2 changes.
+ */
+export function rollingVolatility(history, window = defaultAnalyticsOptions.window) {
+    const changes = relativeChanges(history).slice(-window)
+    if (changes.length < 2) return null
+    const mean = changes.reduce((sum, c) => sum + c, 0) / changes.length
+    const variance = changes.reduce((sum, c) => sum + (c - mean) ** 2, 0) / (changes.length - 1)
+    return Math.sqrt(variance) * 100
+}
+
+/**
+ * resourceStats
+ * ResourceStats of one resource's history.
+ */
+export function resourceStats(history = [], { window = defaultAnalyticsOptions.window, changeTicks = defaultAnalyticsOptions.changeTicks } = {}) {
+    const prices = historyValues(history)
+    if (!prices.length) return null
+    const last = prices[prices.length - 1]
+    const base = prices.length > changeTicks ? prices[prices.length - 1 - changeTicks] : null
+    return {
+        points: prices.length,
+        first: prices[0],
+        last,
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        mean: prices.reduce((sum, v) => sum + v, 0) / prices.length,
+        volatility: rollingVolatility(prices, window),
+        change: base > 0 ? (last - base) / base * 100 : null,
+    }
+}
+
+// the timestamped prices of a history, oldest first (plain numbers and entries without a time are skipped)
+const timedPrices = (history = []) => history
+    .filter(e => e && typeof e === 'object' && e.at != null && typeof historyValue(e) === 'number')
+    .map(e => ({ at: e.at, value: historyValue(e) }))
+
+// price at a time: the last one recorded at or before it (the first one before the history starts)
+function priceAt(prices, t) {
+    let value = prices.length ? prices[0].value : undefined
+    for (const p of prices) {
+        if (p.at > t) break
+        value = p.value
+    }
+    return value
+}
+
+/**
+ * timeAtFloor
+ * FloorTime of a resource from its first timestamped price until now, against the floor that applied at each moment:
+ * a made resource's floor follows its components' prices (see computeMin in resources.js), replayed from their
+ * histories. histories: { [name]: HistoryEntry[] }. Returns null without timestamped prices.
+ */
+export function timeAtFloor(resource, histories = {}, now = Date.now()) {
+    const own = timedPrices(histories[resource.name])
+    if (!own.length) return null
+    const components = Object.fromEntries((resource.components || []).map(c => [c, timedPrices(histories[c])]))
+    const start = own[0].at
+    const times = new Set([start])
+    for (const prices of [own, ...Object.values(components)]) {
+        for (const p of prices) if (p.at > start && p.at < now) times.add(p.at)
+    }
+    const sorted = [...times].sort((a, b) => a - b)
+    let ms = 0
+    sorted.forEach((t, i) => {
+        const values = Object.fromEntries(Object.entries(components).map(([c, prices]) => [c, priceAt(prices, t)]))
+        // without a component's past prices the current floor stands in
+        const floor = Object.values(values).every(v => v != null) ? computeMin(resource, values) : resource.min
+        if (priceAt(own, t) <= floor) ms += (i + 1 < sorted.length ? sorted[i + 1] : now) - t
+    })
+    const spanMs = Math.max(0, now - start)
+    return { ms, spanMs, share: spanMs ? ms / spanMs : null }
+}
+
+/**
+ * chartPath
+ * SVG path data for a history in a 100×100 viewBox, thinned out to at most `points` prices: { line, floor } (floor:
+ * the y of the floor line), or null with fewer than 2 prices. The range always includes the floor.
+ */
+export function chartPath(history = [], floor = 0, points = 240) {
+    const prices = historyValues(history)
+    const step = Math.max(1, Math.ceil(prices.length / points))
+    const h = prices.filter((_, i) => i % step === 0 || i === prices.length - 1)
+    if (h.length < 2) return null
+    const minV = Math.min(...h, floor)
+    const maxV = Math.max(Math.max(...h), minV + 1)
+    const y = (v) => ((1 - (v - minV) / (maxV - minV)) * 100).toFixed(2)
+    return {
+        line: h.map((v, i) => `${i ? 'L' : 'M'}${(i / (h.length - 1) * 100).toFixed(2)},${y(v)}`).join(' '),
+        floor: y(floor),
+    }
+}
+
+/**
+ * sessionStats
+ * SessionStats over the contract archive (see archive.js).
+ */
+export function sessionStats(archive = []) {
+    let completed = 0
+    let decayed = 0
+    let rewardsPaid = 0
+    let penalties = 0
+    const fulfilTimes = []
+    for (const entry of archive) {
+        if (entry.outcome === 'complete') {
+            completed++
+            rewardsPaid += entry.reward || 0
+            if (entry.generatedAt != null) fulfilTimes.push(entry.closedAt - entry.generatedAt)
+        } else {
+            decayed++
+            for (const p of entry.payouts || []) {
+                if (p.penalty) penalties -= p.reward
+                else rewardsPaid += p.reward
+            }
+        }
+    }
+    const closed = completed + decayed
+    return {
+        completed,
+        decayed,
+        completionRate: closed ? completed / closed : null,
+        avgFulfilMs: fulfilTimes.length ? fulfilTimes.reduce((sum, t) => sum + t, 0) / fulfilTimes.length : null,
+        rewardsPaid: Math.round(rewardsPaid),
+        penalties: Math.round(penalties),
+    }
+}
@@ -0,0 +1,96 @@
+// Contract archive: a record of every contract that left the board, to review a game and settle disputes.
+// Contracts carry the price effects of their deliveries while on the board (contract.effects); closing one moves
+// them, with its outcome, payouts and the effects of the closing itself, into an archive entry.
+//
+// type PriceEffect = { at: number, cause: 'delivery' | 'complete' | 'decay', changes: { [name]: [before, after] } }
+// type ArchiveEntry = {
+//     contractId, label, type, reward, penalty?, resources,
+//     generatedAt: number | null,      // null for contracts generated before the archive existed
+//     closedAt: number,
+//     outcome: 'complete' | 'decay',
+//     marketValue: number,             // what the required resources were worth at close, before its market impact
+//     deliveries: [{ name, qty, playerId, value, at }],
+//     payouts: [{ playerId, reward, marketValue, partial?, penalty? }],
+//     effects: PriceEffect[],          // oldest first
+// }
+
+import { contractMarketValue } from './contracts.js'
+
+export const ARCHIVE_LIMIT = 500
+
+/**
+ * priceEffect
+ * The prices a market impact moved (the values after it against those before, minimums and cascades
+ * included), or null when nothing moved.
+ */
+export function priceEffect(before, next, cause, at = Date.now()) {
+    const changes = {}
+    for (const [name, value] of Object.entries(next)) {
+        if (before[name] !== value) changes[name] = [before[name] ?? null, value]
+    }
+    return Object.keys(changes).length ? { at, cause, changes } : null
+}
+
+/**
+ * addContractEffect
+ * Keeps a delivery's price effect on the contract until it closes.
+ */
+export function addContractEffect(contract, effect) {
+    return effect ? { ...contract, effects: [...(contract.effects || []), effect] } : contract
+}
+
+/**
+ * archiveContract
+ * Appends a closed contract to the archive (keeping the last ARCHIVE_LIMIT entries).
+ * values are the prices at close, before its market impact; effect is the closing's own price effect (or null).
+ */
+export function archiveContract(archive, contract, outcome, { payouts = [], values = {}, effect = null, at = Date.now() } = {}) {
+    const entry = {
+        contractId: contract.id,
+        label: contract.label,
+        type: contract.type ?? null,
+        reward: contract.reward || 0,
+        resources: contract.resources || {},
+        generatedAt: contract.createdAt ?? null,
+        closedAt: at,
+        outcome,
+        marketValue: Math.round(contractMarketValue(contract, values)),
+        deliveries: contract.deliveries || [],
+        payouts,
+        effects: effect ? [...(contract.effects || []), effect] : contract.effects || [],
+    }
+    if (contract.penalty) entry.penalty = contract.penalty
+    return [...archive, entry].slice(-ARCHIVE_LIMIT)
+}
+
+/**
+ * entryPlayers
+ * Ids of the players a closed contract paid, charged or was delivered by.
+ */
+export function entryPlayers(entry) {
+    return [...new Set([...entry.payouts.map(p => p.playerId), ...entry.deliveries.map(d => d.playerId)].filter(Boolean))]
+}
+
+/**
+ * searchArchive
+ * Entries matching every word of the query (company, type, outcome, player names or resources) and the
+ * outcome filter ('all' | 'complete' | 'decay'), newest first. playerNames is { [playerId]: name }, resourceLabels
+ * { [name]: label }.
+ */
+export function searchArchive(archive, query = '', { outcome = 'all', playerNames = {}, resourceLabels = {} } = {}) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+    return archive
+        .filter(e => outcome === 'all' || e.outcome === outcome)
+        .filter(e => {
+            if (!words.length) return true
+            const text = [
+                e.label,
+                e.type,
+                e.outcome === 'complete' ? 'completed' : 'decayed',
+                ...entryPlayers(e).map(id => playerNames[id] || id),
+                ...Object.keys(e.resources).flatMap(name => [name, resourceLabels[name] || '']),
+            ].join(' ').toLowerCase()
+            return words.every(w => text.includes(w))
+        })
+        .reverse()
+}
@@ -0,0 +1,104 @@
+// Contract board view: how the contracts row is sorted and filtered. The board itself keeps its order (new
+// contracts on top, the decay position at the bottom); this only decides what is shown and in which order.
+// Pinned contracts always come first.
+//
+// type ContractView = {
+//     sort: 'board' | 'reward' | 'ratio' | 'timeLeft' | 'tierMix',
+//     resource: string | null,   // only contracts requiring this resource
+//     tier: number | null,       // only contracts requiring a resource of this tier
+//     player: string | null,     // only contracts this player delivered to ('' = contracts nobody is assigned to)
+// }
+
+import { contractMarketValue, remainingResources } from './contracts.js'
+
+export const contractSorts = {
+    board: 'Board order',
+    reward: 'Reward',
+    ratio: 'Reward / value',
+    timeLeft: 'Time left',
+    tierMix: 'Tier mix',
+}
+
+export const defaultContractView = { sort: 'board', resource: null, tier: null, player: null }
+
+/**
+ * validateContractView
+ * Returns an error message for an invalid view, or null.
+ */
+export function validateContractView(view) {
+    if (view == null || typeof view !== 'object' || Array.isArray(view)) return 'must be an object'
+    if (!contractSorts[view.sort]) return `sort must be one of ${Object.keys(contractSorts).join(', ')}`
+    if (view.resource != null && typeof view.resource !== 'string') return 'resource must be a resource name'
+    if (view.tier != null && !Number.isInteger(view.tier)) return 'tier must be a whole number'
+    if (view.player != null && typeof view.player !== 'string') return 'player must be a player id'
+    return null
+}
+
+/**
+ * contractTimeLeft
+ * Milliseconds until a contract decays (Infinity when its clock is not counting down).
+ */
+export function contractTimeLeft(contract, now) {
+    if (contract.deadline != null) return Math.max(0, contract.deadline - now)
+    return contract.remainingMs ?? Infinity
+}
+
+/**
+ * contractTierMix
+ * Average tier of the units a contract requires (higher = more advanced goods).
+ */
+export function contractTierMix(contract, tiers = {}) {
+    const entries = Object.entries(contract.resources || {})
+    const units = entries.reduce((sum, [, qty]) => sum + qty, 0)
+    if (!units) return 0
+    return entries.reduce((sum, [name, qty]) => sum + (tiers[name] || 1) * qty, 0) / units
+}
+
+/**
+ * contractRewardRatio
+ * Reward per unit of market value still to deliver (Infinity when nothing is left to deliver).
+ */
+export function contractRewardRatio(contract, values) {
+    const value = contractMarketValue({ resources: remainingResources(contract) }, values)
+    return value > 0 ? (contract.reward || 0) / value : Infinity
+}
+
+// sort keys, highest first; ties keep the board order
+const sortKeys = {
+    board: () => 0,
+    reward: (c) => c.reward || 0,
+    ratio: (c, { values }) => contractRewardRatio(c, values),
+    timeLeft: (c, { timeLeft }) => -timeLeft(c),
+    tierMix: (c, { tiers }) => contractTierMix(c, tiers),
+}
+
+/**
+ * matchesContractView
+ * Whether a contract passes the view's filters.
+ */
+export function matchesContractView(contract, view, { tiers = {} } = {}) {
+    const names = Object.keys(contract.resources || {})
+    if (view.resource && !names.includes(view.resource)) return false
+    if (view.tier != null && !names.some(name => (tiers[name] || 1) === view.tier)) return false
+    if (view.player != null) {
+        const assigned = (contract.deliveries || []).map(d => d.playerId).filter(Boolean)
+        if (view.player === '' ? assigned.length > 0 : !assigned.includes(view.player)) return false
+    }
+    return true
+}
+
+/**
+ * arrangeContracts
+ * The contracts to show: filtered by the view, pinned first, then by the view's sort.
+ * context: { values, tiers: { [name]: tier }, timeLeft(contract): number (ms or rounds, Infinity when not decaying) }
+ */
+export function arrangeContracts(contracts, view = defaultContractView, context = {}) {
+    const { values = {}, tiers = {}, timeLeft = () => Infinity } = context
+    const key = sortKeys[view.sort] || sortKeys.board
+    const ctx = { values, tiers, timeLeft }
+    return contracts
+        .filter(c => matchesContractView(c, view, { tiers }))
+        .map((c, i) => ({ c, i, k: key(c, ctx) }))
+        .sort((a, b) => (b.c.pinned ? 1 : 0) - (a.c.pinned ? 1 : 0) || (b.k - a.k) || a.i - b.i)
+        .map(({ c }) => c)
+}
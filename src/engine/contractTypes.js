@@ -0,0 +1,198 @@
+// Contract types: how a new contract picks its resources, and how its value, reward and decay clock are scaled.
+// Every new contract draws its type by the spawn weights in the `contractTypeWeights` setting.
+//
+// type ContractType = {
+//     label: string, icon: string,          // the type badge on the card
+//     description: string,
+//     valueFactor?: number,                 // × target value (default 1)
+//     rewardFactor?: number,                // × reward (default 1)
+//     lifetimeFactor?: number,              // × decay clock (and rounds before decay in round mode)
+//     select(context): { [name]: qty },     // context: { values, tiers, target, maxResources, random }
+// }
+
+import { pickRandom, randomInt, shuffle } from '../lib/rng.js'
+
+// Random fill: add single units of the candidates (limited to maxResources distinct ones) while they fit the target
+function fillRandom({ values, target, maxResources, random }, candidates = Object.keys(values)) {
+    const selected = {}
+    let value = 0
+    while (value < target) {
+        const fitting = candidates.filter(name => values[name] + value <= target && (Object.keys(selected).length < maxResources || selected[name] != null))
+        if (fitting.length === 0) break
+        const name = pickRandom(random, fitting)
+        selected[name] = (selected[name] || 0) + 1
+        value += values[name]
+    }
+    return selected
+}
+
+// One or two of the candidates, in as many units as fit
+function fillSpecialist(context, candidates = Object.keys(context.values)) {
+    const { values, target, maxResources, random } = context
+    const count = random() < 0.5 ? 1 : 2
+    const picked = shuffle(random, candidates).slice(0, Math.min(count, maxResources))
+    const selected = {}
+    let value = 0
+    while (picked.length && value < target) {
+        const name = pickRandom(random, picked)
+        if (values[name] + value > target) break // stop if would exceed target
+        selected[name] = (selected[name] || 0) + 1
+        value += values[name]
+    }
+    return selected
+}
+
+/**
+ * resourceTiers
+ * { [name]: tier } of a resource catalog, for generateContract's tiers option.
+ */
+export const resourceTiers = (resourceList = []) => Object.fromEntries(resourceList.map(r => [r.name, r.tier]))
+
+const tiersPresent = (values, tiers) => [...new Set(Object.keys(values).map(name => tiers[name] || 1))].sort((a, b) => a - b)
+const inTier = (values, tiers, tier) => Object.keys(values).filter(name => (tiers[name] || 1) === tier)
+
+/**
+ * createContractTemplate
+ * The template the contract schema describes: which share of the tiers is included, which share of each included
+ * tier's resources, and how evenly the value is spread over them.
+ */
+export function createContractTemplate(random) {
+    return {
+        includedTiers: 20 + randomInt(random, 81),               // 20-100% of tiers
+        resourceDiversityPerTier: 20 + randomInt(random, 81),    // 20-100% of resources per tier
+        resourceEvenness: Math.round(random() * 100) / 100,      // 0 = all one resource, 1 = perfectly even
+    }
+}
+
+/**
+ * fillTemplate
+ * Resources for a template: the included tiers and resources are drawn at random, then the target value is split
+ * between them (the first one picked takes the uneven part), in whole units that fit the target.
+ */
+export function fillTemplate(template, { values, tiers, target, maxResources, random }) {
+    const allTiers = tiersPresent(values, tiers)
+    const tierCount = Math.max(1, Math.round(allTiers.length * template.includedTiers / 100))
+    const picked = []
+    for (const tier of shuffle(random, allTiers).slice(0, tierCount)) {
+        const names = inTier(values, tiers, tier)
+        const count = Math.max(1, Math.round(names.length * template.resourceDiversityPerTier / 100))
+        picked.push(...shuffle(random, names).slice(0, count))
+    }
+    const names = shuffle(random, picked).slice(0, maxResources)
+    if (!names.length) return {}
+
+    const e = template.resourceEvenness
+    const weights = names.map((_, i) => e + (1 - e) * (i === 0 ? 1 : 0))
+    const totalWeight = weights.reduce((a, b) => a + b, 0)
+    const shares = weights.map(w => target * w / totalWeight)
+    const quantities = names.map((name, i) => Math.floor(shares[i] / values[name]))
+    let value = names.reduce((sum, name, i) => sum + quantities[i] * values[name], 0)
+    // top up with whole units where the share is furthest behind
+    for (;;) {
+        let best = -1
+        names.forEach((name, i) => {
+            if (values[name] + value > target || weights[i] === 0) return
+            if (best < 0 || shares[i] - quantities[i] * values[name] > shares[best] - quantities[best] * values[names[best]]) best = i
+        })
+        if (best < 0) break
+        quantities[best]++
+        value += values[names[best]]
+    }
+    return Object.fromEntries(names.map((name, i) => [name, quantities[i]]).filter(([, qty]) => qty > 0))
+}
+
+export const CONTRACT_TYPES = {
+    specialist: {
+        label: 'Specialist',
+        icon: '🎯',
+        description: 'One or two resources in quantity',
+        select: (context) => fillSpecialist(context),
+    },
+    generalist: {
+        label: 'Mixed',
+        icon: '🧺',
+        description: 'Any resources, picked at random',
+        select: (context) => fillRandom(context),
+    },
+    template: {
+        label: 'Spread',
+        icon: '🧩',
+        description: 'A share of the tiers and of their resources, spread more or less evenly',
+        select: (context) => fillTemplate(createContractTemplate(context.random), context),
+    },
+    tierLocked: {
+        label: 'Tier-locked',
+        icon: '🔒',
+        description: 'Resources of a single tier',
+        select: (context) => fillRandom(context, inTier(context.values, context.tiers, pickRandom(context.random, tiersPresent(context.values, context.tiers)))),
+    },
+    rush: {
+        label: 'Rush',
+        icon: '⚡',
+        description: 'Smaller order, half the time to deliver, 50% bonus pay',
+        valueFactor: 0.6,
+        rewardFactor: 1.5,
+        lifetimeFactor: 0.5,
+        select: (context) => fillRandom(context),
+    },
+    bulk: {
+        label: 'Bulk',
+        icon: '📦',
+        description: 'Large quantities of base resources at a slimmer margin',
+        valueFactor: 1.5,
+        rewardFactor: 0.9,
+        select: (context) => fillSpecialist(context, inTier(context.values, context.tiers, tiersPresent(context.values, context.tiers)[0])),
+    },
+    premium: {
+        label: 'Premium',
+        icon: '💎',
+        description: 'Advanced goods of the top tier, 30% bonus pay',
+        valueFactor: 1.2,
+        rewardFactor: 1.3,
+        select: (context) => fillRandom(context, inTier(context.values, context.tiers, tiersPresent(context.values, context.tiers).at(-1))),
+    },
+}
+
+// the fallback when a type finds nothing that fits (or every weight is 0)
+export const FALLBACK_CONTRACT_TYPE = 'generalist'
+
+export const defaultContractTypeWeights = {
+    specialist: 2,
+    generalist: 2,
+    template: 2,
+    tierLocked: 1,
+    rush: 1,
+    bulk: 1,
+    premium: 1,
+}
+
+export const MAX_CONTRACT_TYPE_WEIGHT = 10
+
+/**
+ * validateContractTypeWeights
+ * Returns an error message for invalid weights, or null.
+ */
+export function validateContractTypeWeights(weights) {
+    if (weights == null || typeof weights !== 'object' || Array.isArray(weights)) return 'must be an object'
+    for (const [type, w] of Object.entries(weights)) {
+        if (!CONTRACT_TYPES[type]) return `unknown contract type "${type}"`
+        if (typeof w !== 'number' || !(w >= 0 && w <= MAX_CONTRACT_TYPE_WEIGHT)) return `${type} must be between 0 and ${MAX_CONTRACT_TYPE_WEIGHT}`
+    }
+    return null
+}
+
+/**
+ * pickContractType
+ * Draws a type key by weight (missing types weigh 0).
+ */
+export function pickContractType(random, weights = defaultContractTypeWeights) {
+    const entries = Object.keys(CONTRACT_TYPES).map(type => [type, weights[type] || 0]).filter(([, w]) => w > 0)
+    const total = entries.reduce((sum, [, w]) => sum + w, 0)
+    if (total <= 0) return FALLBACK_CONTRACT_TYPE
+    let roll = random() * total
+    for (const [type, w] of entries) {
+        roll -= w
+        if (roll < 0) return type
+    }
+    return entries[entries.length - 1][0]
+}
@@ -0,0 +1,351 @@
+// Contract rules: generation against current prices, partial deliveries and payouts, difficulty growth and the
+// market impact of outcomes.
+// Pure functions; every random decision draws from the `random` function passed in (see lib/rng.js).
+
+import { ContractLabels } from '../constants/contract-labels.js'
+import { computeMarketImpact, defaultMarketImpact } from '../lib/marketImpact.js'
+import { pickRandom, randomInt } from '../lib/rng.js'
+import { defaultTargetGrowth, growTargetValue } from './targetGrowth.js'
+import { CONTRACT_TYPES, FALLBACK_CONTRACT_TYPE, defaultContractTypeWeights, pickContractType } from './contractTypes.js'
+
+// with the default growth rule every completed contract raises the target value of new contracts by 10%
+export const TARGET_VALUE_GROWTH = 1 + defaultTargetGrowth.percent / 100
+
+// target value after a completed contract (see targetGrowth.js for the rules)
+export const nextTargetValue = (targetValue, rule = defaultTargetGrowth) => growTargetValue(targetValue, rule, 'complete')
+
+// a contract with a penalty clause costs this share of its reward when it decays
+export const PENALTY_RATE = 0.5
+
+/**
+ * generateContract
+ * Builds one contract of a random type (see contractTypes.js) worth up to targetValue * difficulty at the current
+ * prices, scaled by the type's value factor.
+ * options: {
+ *   values: { [name]: price } of the resources that may be requested,
+ *   tiers: { [name]: tier } (resources without one count as tier 1),
+ *   typeWeights: spawn weight per contract type,
+ *   rewardMultiplier: scales every reward (reputation, see reputation.js),
+ *   penaltyChance: share of contracts (0-1) that carry a penalty clause,
+ *   existingLabels: Set of labels already on the board,
+ *   difficulty, rewardMinMultiplier, rewardMaxMultiplier, maxResources, contractLabels,
+ *   random: () => number in [0, 1)
+ * }
+ */
+export function generateContract(targetValue, id, options) {
+    const {
+        values,
+        tiers = {},
+        typeWeights = defaultContractTypeWeights,
+        rewardMultiplier = 1,
+        penaltyChance = 0,
+        existingLabels = new Set(),
+        difficulty = 1,
+        rewardMinMultiplier = 1,
+        rewardMaxMultiplier = 1.4,
+        maxResources = Infinity,
+        contractLabels = ContractLabels,
+        random,
+    } = options
+    // free resources would never fill a contract
+    const priced = Object.fromEntries(Object.entries(values).filter(([, v]) => v > 0))
+    const select = (typeKey) => {
+        const type = CONTRACT_TYPES[typeKey]
+        const target = targetValue * difficulty * (type.valueFactor ?? 1) // apply difficulty multiplier
+        return type.select({ values: priced, tiers, target, maxResources, random })
+    }
+    let type = pickContractType(random, typeWeights)
+    let selectedResources = select(type)
+    if (Object.keys(selectedResources).length === 0 && type !== FALLBACK_CONTRACT_TYPE) {
+        type = FALLBACK_CONTRACT_TYPE
+        selectedResources = select(type)
+    }
+    const currentValue = contractMarketValue({ resources: selectedResources }, priced)
+    const { rewardFactor = 1, lifetimeFactor } = CONTRACT_TYPES[type]
+
+    // pick a label not currently in use
+    const availableLabels = contractLabels.filter(l => !existingLabels.has(l))
+    const label = availableLabels.length === 0 ? `Contract ${id + 1}` : pickRandom(random, availableLabels)
+
+    const minMult = Math.max(0.1, Math.min(rewardMinMultiplier, rewardMaxMultiplier))
+    const maxMult = Math.max(minMult, rewardMaxMultiplier)
+    const reward = Math.floor(currentValue * (minMult + random() * (maxMult - minMult)) * rewardFactor * rewardMultiplier)
+    const contract = {
+        value: currentValue,
+        reward,
+        resources: selectedResources,
+        id,
+        label,
+        type,
+        difficulty,
+        rewardRange: { min: minMult, max: maxMult },
+        maxResources,
+    }
+    if (lifetimeFactor) contract.lifetimeFactor = lifetimeFactor
+    // only draws when penalties are on, so games without them keep their random sequence
+    if (penaltyChance > 0 && random() < penaltyChance) contract.penalty = Math.round(reward * PENALTY_RATE)
+    return contract
+}
+
+/**
+ * generateContracts
+ * count new contracts (newest first, as they go on top of the board), each with a label unique on the board
+ * and stamped with createdAt (now).
+ * options: generateContract options plus existing (contracts on the board) and now (id base, defaults to Date.now()).
+ */
+export function generateContracts(targetValue, count, options) {
+    const { existing = [], now = Date.now(), random } = options
+    const existingLabels = new Set(existing.map(c => c.label))
+    const created = []
+    for (let i = 0; i < count; i++) {
+        const id = now + randomInt(random, 1000) + i
+        const contract = generateContract(targetValue, id, { ...options, existingLabels })
+        existingLabels.add(contract.label)
+        created.push({ ...contract, createdAt: now })
+    }
+    return created
+}
+
+/**
+ * filterCatalogValues
+ * Prices of the resources contracts may request (in the catalog and with a known value).
+ */
+export function filterCatalogValues(values, resourceList) {
+    if (!resourceList) return values
+    return Object.fromEntries(resourceList
+        .filter(r => typeof values?.[r.name] === 'number')
+        .map(r => [r.name, values[r.name]]))
+}
+
+/**
+ * dropUnknownContracts
+ * Removes contracts requiring resources no longer in the catalog. Returns the same list when nothing changed.
+ */
+export function dropUnknownContracts(contracts, resourceList) {
+    const names = new Set(resourceList.map(r => r.name))
+    const kept = contracts.filter(c => Object.keys(c.resources || {}).every(name => names.has(name)))
+    return kept.length === contracts.length ? contracts : kept
+}
+
+/**
+ * trimContracts
+ * Shrinks the board to count contracts, dropping unpinned ones from the bottom (the oldest). Pinned contracts are
+ * never dropped, even when there are more of them than count. Returns the same list when nothing changed.
+ */
+export function trimContracts(contracts, count) {
+    if (contracts.length <= count) return contracts
+    let room = Math.max(0, count - contracts.filter(c => c.pinned).length)
+    const kept = contracts.filter(c => c.pinned || room-- > 0)
+    return kept.length === contracts.length ? contracts : kept
+}
+
+/**
+ * setPinned
+ * The contract with its pin set or cleared (the flag is only stored while set).
+ */
+export function setPinned(contract, pinned) {
+    if (!pinned === !contract.pinned) return contract
+    const { pinned: _drop, ...rest } = contract
+    return pinned ? { ...rest, pinned: true } : rest
+}
+
+/**
+ * contractLifetime
+ * How long a contract's decay clock runs: decayTimeMs, times the contract type's lifetime factor (rush contracts)
+ * and the contract's difficulty when scaleWithDifficulty is on.
+ */
+export function contractLifetime(contract, { decayTimeMs, scaleWithDifficulty = false }) {
+    return Math.round(decayTimeMs * (contract.lifetimeFactor || 1) * (scaleWithDifficulty ? (contract.difficulty || 1) : 1))
+}
+
+/**
+ * contractRounds
+ * Round mode counterpart of contractLifetime: rounds a contract survives at the decay position (at least one).
+ */
+export const contractRounds = (contract, roundsBeforeDecay) => Math.max(1, Math.round(roundsBeforeDecay * (contract.lifetimeFactor || 1)))
+
+/**
+ * syncContractClocks
+ * Brings every contract's decay clock in line with the clock settings. A running clock is a `deadline`
+ * (epoch ms), a stopped one keeps its `remainingMs`; `lifetimeMs` is the full length of the clock.
+ * options: {
+ *   now, running: false while paused (clocks keep their remaining time),
+ *   allDecay: every contract has a clock (otherwise only the last one on the board),
+ *   decayTimeMs, scaleWithDifficulty,
+ * }
+ * Returns the same list when nothing changed.
+ */
+export function syncContractClocks(contracts, options) {
+    const { now, running, allDecay } = options
+    let changed = false
+    const next = contracts.map((c, i) => {
+        const ticking = allDecay || i === contracts.length - 1
+        let clock
+        if (!ticking) {
+            clock = { deadline: null, remainingMs: null, lifetimeMs: null }
+        } else {
+            const lifetimeMs = c.lifetimeMs ?? contractLifetime(c, options)
+            if (running) {
+                clock = { deadline: c.deadline ?? now + (c.remainingMs ?? lifetimeMs), remainingMs: null, lifetimeMs }
+            } else {
+                clock = { deadline: null, remainingMs: c.deadline != null ? Math.max(0, c.deadline - now) : (c.remainingMs ?? lifetimeMs), lifetimeMs }
+            }
+        }
+        if ((c.deadline ?? null) === clock.deadline && (c.remainingMs ?? null) === clock.remainingMs && (c.lifetimeMs ?? null) === clock.lifetimeMs) return c
+        changed = true
+        return { ...c, ...clock }
+    })
+    return changed ? next : contracts
+}
+
+/**
+ * dueContracts
+ * Contracts whose running clock has expired at `now`.
+ */
+export function dueContracts(contracts, now) {
+    return contracts.filter(c => c.deadline != null && c.deadline <= now)
+}
+
+/**
+ * contractMarketValue
+ * What the resources a contract requires are worth at the given prices.
+ */
+export function contractMarketValue(contract, values) {
+    return Object.entries(contract.resources || {}).reduce((sum, [name, qty]) => sum + qty * (values[name] || 0), 0)
+}
+
+/**
+ * deliveredQuantities
+ * Units delivered so far per resource: { [name]: qty } (contract.deliveries is [{ name, qty, playerId, value, at }]).
+ */
+export function deliveredQuantities(contract) {
+    const delivered = {}
+    for (const d of contract.deliveries || []) delivered[d.name] = (delivered[d.name] || 0) + d.qty
+    return delivered
+}
+
+/**
+ * remainingResources
+ * Units still to deliver per resource (resources fully delivered are left out).
+ */
+export function remainingResources(contract) {
+    const delivered = deliveredQuantities(contract)
+    return Object.fromEntries(Object.entries(contract.resources || {})
+        .map(([name, qty]) => [name, qty - (delivered[name] || 0)])
+        .filter(([, qty]) => qty > 0))
+}
+
+/**
+ * deliveryProgress
+ * Share of the required units delivered (0-1).
+ */
+export function deliveryProgress(contract) {
+    const required = Object.values(contract.resources || {}).reduce((a, b) => a + b, 0)
+    if (!required) return 0
+    const delivered = Object.values(deliveredQuantities(contract)).reduce((a, b) => a + b, 0)
+    return Math.min(1, delivered / required)
+}
+
+/**
+ * recordDelivery
+ * Adds a delivery (clamped to what is still required) at the current price of the resource.
+ * Returns { contract, qty } with the quantity actually delivered (0 when nothing was left).
+ */
+export function recordDelivery(contract, name, qty, { playerId = null, values = {}, at = Date.now() } = {}) {
+    const left = remainingResources(contract)[name] || 0
+    const delivered = Math.max(0, Math.min(left, Math.floor(qty)))
+    if (!delivered) return { contract, qty: 0 }
+    const delivery = { name, qty: delivered, playerId, value: Math.round(delivered * (values[name] || 0)), at }
+    return { contract: { ...contract, deliveries: [...(contract.deliveries || []), delivery] }, qty: delivered }
+}
+
+/**
+ * isFullyDelivered
+ * Every required unit has been delivered.
+ */
+export const isFullyDelivered = (contract) => Object.keys(remainingResources(contract)).length === 0
+
+// split amount between players by weight (rounded down)
+function splitByWeight(amount, weights) {
+    const total = [...weights.values()].reduce((a, b) => a + b, 0)
+    if (total <= 0) return []
+    return [...weights.entries()].map(([playerId, w]) => [playerId, Math.floor(amount * w / total)])
+}
+
+/**
+ * contractPayouts
+ * Who gets paid what when a contract leaves the board: [{ playerId, reward, marketValue, partial?, penalty? }].
+ *  - 'complete': the reward is split between the players by the market value they delivered
+ *    (deliveries without a player keep their share unpaid).
+ *  - 'decay': nothing, unless proRate is on: then the reward times the delivered share of the contract's value
+ *    (at the given prices) is split the same way, marked partial. A contract with a penalty clause also charges
+ *    its penalty (a negative reward marked penalty) to the players who delivered to it, or, when nobody did,
+ *    evenly to playerIds (the roster).
+ */
+export function contractPayouts(contract, outcome, { values = {}, proRate = false, playerIds = [] } = {}) {
+    const deliveries = contract.deliveries || []
+    const deliveredValue = deliveries.reduce((sum, d) => sum + d.value, 0)
+    // free resources (value 0) split by units instead
+    const shares = new Map()
+    for (const d of deliveries) {
+        if (!d.playerId) continue
+        shares.set(d.playerId, (shares.get(d.playerId) || 0) + (deliveredValue > 0 ? d.value : d.qty))
+    }
+    const delivered = (playerId) => deliveries.filter(d => d.playerId === playerId).reduce((sum, d) => sum + d.value, 0)
+    const payouts = []
+
+    let pot = contract.reward || 0
+    if (outcome === 'decay') {
+        const remainingValue = contractMarketValue({ resources: remainingResources(contract) }, values)
+        pot = proRate && deliveredValue + remainingValue > 0 ? pot * deliveredValue / (deliveredValue + remainingValue) : 0
+    }
+    if (deliveries.length && pot > 0) {
+        const partial = outcome === 'decay'
+        for (const [playerId, reward] of splitByWeight(pot, shares)) {
+            payouts.push({ playerId, reward, marketValue: delivered(playerId), ...(partial && { partial }) })
+        }
+    }
+    if (outcome === 'decay' && contract.penalty > 0) {
+        const liable = shares.size ? shares : new Map(playerIds.map(id => [id, 1]))
+        for (const [playerId, charge] of splitByWeight(contract.penalty, liable)) {
+            payouts.push({ playerId, reward: -charge, marketValue: 0, penalty: true })
+        }
+    }
+    return payouts
+}
+
+/**
+ * settleContract
+ * Resolves a contract leaving the board. Completing delivers whatever is left on behalf of playerId, and the other
+ * players' shares of the reward are marked shared (playerId alone completed it);
+ * playerIds (the roster) share the penalty of a decaying contract nobody delivered to.
+ * Returns { payouts, impacted } where impacted is the contract reduced to its undelivered resources: deliveries
+ * already moved their prices, so the outcome's market impact only covers the rest.
+ */
+export function settleContract(contract, outcome, { values = {}, playerId = null, proRate = false, playerIds = [], at = Date.now() } = {}) {
+    const remaining = remainingResources(contract)
+    let settled = contract
+    if (outcome === 'complete') {
+        for (const [name, qty] of Object.entries(remaining)) settled = recordDelivery(settled, name, qty, { playerId, values, at }).contract
+    }
+    const payouts = contractPayouts(settled, outcome, { values, proRate, playerIds })
+    return {
+        payouts: outcome === 'complete' ? payouts.map(p => p.playerId === playerId ? p : { ...p, shared: true }) : payouts,
+        impacted: { ...contract, resources: remaining },
+    }
+}
+
+/**
+ * contractOutcomeChanges
+ * New prices caused by a contract outcome ('complete' lowers, 'decay' raises), see lib/marketImpact.js.
+ */
+export function contractOutcomeChanges(contract, outcome, { values, resourceList, dependentsMap, marketImpact = defaultMarketImpact }) {
+    return computeMarketImpact({
+        outcome,
+        quantities: contract.resources,
+        values,
+        resourceList,
+        dependentsMap,
+        model: marketImpact,
+    })
+}
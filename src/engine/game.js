@@ -0,0 +1,304 @@
+// Whole-game state and step functions: the same rules the hooks apply, over one explicit state object.
+// Every function returns a new state and leaves its input untouched, so games can be replayed, compared and
+// stepped as fast as a script likes (no timers; the caller decides when noise ticks and contracts decay).
+//
+// type GameState = {
+//     values: { [name]: number },
+//     histories: { [name]: HistoryEntry[] },        // every price with its time and cause, see resources.js
+//     actionLog: { changes: ResourceChange[], at, source, contractId? }[],   // undo groups
+//     contracts: Contract[],                         // newest first
+//     currentTargetValue: number,
+//     ignoreMin: boolean,
+//     ledgers: { [playerId]: LedgerEntry[] },       // see players.js
+//     reputation: Reputation,                        // see reputation.js (only moves with config.reputationEnabled)
+//     archive: ArchiveEntry[],                       // contracts that left the board, see archive.js
+//     marketEvents: MarketEventsState,               // see marketEvents.js (only runs with config.marketEvents.enabled)
+// }
+
+import { resources as defaultResources } from '../constants/resources.js'
+import { ContractLabels } from '../constants/contract-labels.js'
+import { settingDefaults } from '../constants/settings.js'
+import {
+    actionGroup,
+    appendHistories,
+    applyResourceValue,
+    buildInitialState,
+    computeMin,
+    createResourceContext,
+    enforceMinimums,
+    resourceBases,
+    undoLastAction,
+} from './resources.js'
+import { computeNoiseTick, correlateNoiseTick } from './noise.js'
+import { advanceMarketEvents, createMarketEvents } from './marketEvents.js'
+import {
+    contractOutcomeChanges,
+    filterCatalogValues,
+    generateContracts,
+    isFullyDelivered,
+    nextTargetValue,
+    recordDelivery,
+    setPinned,
+    settleContract,
+    trimContracts,
+} from './contracts.js'
+import { resourceTiers } from './contractTypes.js'
+import { recordPayouts } from './players.js'
+import { addContractEffect, archiveContract, priceEffect } from './archive.js'
+import { growTargetValue } from './targetGrowth.js'
+import { adjustTypeWeights, createReputation, recordReputation, reputationEffects } from './reputation.js'
+
+/**
+ * createGameConfig
+ * Static rules of a game: the resolved catalog plus the settings (defaults from constants/settings.js).
+ * playerIds is the roster, who share the penalty of a decaying contract nobody delivered to; bases the stored base
+ * prices mean reversion pulls toward (the catalog mins where missing, like the app's resourceBases).
+ */
+export function createGameConfig({ resources = defaultResources, settings = {}, contractLabels = ContractLabels, startValue = 50, playerIds = [], bases = {} } = {}) {
+    const s = { ...settingDefaults, ...settings }
+    return {
+        resources,
+        ...createResourceContext(resources),
+        contractLabels,
+        resourceBases: resourceBases(resources, bases),
+        resourceTiers: resourceTiers(resources),
+        startValue,
+        playerIds,
+        contractCount: s.contractCount,
+        difficulty: s.contractDifficulty,
+        rewardMinMultiplier: s.contractRewardMin,
+        rewardMaxMultiplier: s.contractRewardMax,
+        maxResources: s.maxContractResources || Infinity,
+        marketImpact: s.marketImpact,
+        contractTypeWeights: s.contractTypeWeights,
+        proRateDecayReward: s.proRateDecayReward,
+        targetGrowth: s.targetGrowth,
+        penaltyChance: s.penaltyChance,
+        reputationEnabled: s.reputationEnabled,
+        noiseModel: s.noiseModel,
+        marketEvents: s.marketEvents,
+    }
+}
+
+/**
+ * createGameState
+ * Every resource at its min, no contracts yet (see refillContracts).
+ */
+export function createGameState(config) {
+    return {
+        ...buildInitialState(config.resources),
+        contracts: [],
+        currentTargetValue: config.startValue,
+        ignoreMin: false,
+        ledgers: {},
+        reputation: createReputation(),
+        archive: [],
+        marketEvents: createMarketEvents(config.marketEvents),
+    }
+}
+
+const resourceContext = (state, config) => ({
+    resourceMap: config.resourceMap,
+    dependentsMap: config.dependentsMap,
+    ignoreMin: state.ignoreMin,
+})
+
+// record a group of changes in the histories and as one undo step
+const commitChanges = (state, values, changes, cause) => changes.length === 0 ? state : {
+    ...state,
+    values,
+    histories: appendHistories(state.histories, changes, cause),
+    actionLog: [...state.actionLog, actionGroup(changes, cause)],
+}
+
+/**
+ * setResourceValue
+ * Price change with min clamping and the dependent cascade. cause (ChangeCause, see resources.js) is recorded with
+ * it: a manual change now unless given.
+ */
+export function setResourceValue(state, config, name, valueOrUpdater, cause = {}) {
+    const { values, changes } = applyResourceValue(state.values, name, valueOrUpdater, resourceContext(state, config))
+    return commitChanges(state, values, changes, cause)
+}
+
+/**
+ * setIgnoreMin
+ * Toggles min enforcement; switching it back on raises everything below its min.
+ */
+export function setIgnoreMin(state, config, ignoreMin) {
+    if (ignoreMin) return { ...state, ignoreMin }
+    return enforceMinimumsStep({ ...state, ignoreMin }, config)
+}
+
+function enforceMinimumsStep(state, config) {
+    const { values, changes } = enforceMinimums(state.values, config.resources)
+    const cause = { source: 'cascade', at: Date.now() }
+    // one undo step per raised resource, like the hook
+    return changes.reduce((s, ch) => ({
+        ...s,
+        histories: appendHistories(s.histories, [ch], cause),
+        actionLog: [...s.actionLog, actionGroup([ch], cause)],
+    }), { ...state, values })
+}
+
+/**
+ * applyNoiseTick
+ * One economic noise tick over every resource (tier order) by config.noiseModel, correlated along the production graph
+ * by its coupling, each adjustment applied like a manual change. Mean reversion pulls toward each resource's base
+ * (config.resourceBases), like the app's noise.
+ */
+export function applyNoiseTick(state, config, random) {
+    const snapshot = [...config.resources]
+        .sort((a, b) => a.tier - b.tier)
+        .map(r => ({
+            name: r.name, tier: r.tier, components: r.components, min: computeMin(r, state.values),
+            value: state.values[r.name], anchor: config.resourceBases[r.name], history: state.histories[r.name],
+        }))
+    const options = { ignoreMin: state.ignoreMin, random, model: config.noiseModel }
+    const { adjustments } = correlateNoiseTick(snapshot, computeNoiseTick(snapshot, options), { ...options, dependentsMap: config.dependentsMap })
+    const cause = { source: 'noise', at: Date.now() }
+    return adjustments.reduce((s, adj) => setResourceValue(s, config, adj.name, adj.next, cause), state)
+}
+
+/**
+ * applyMarketEvents
+ * Moves the market events on by elapsedMs of play (or by `rounds` ended rounds) and applies their price changes
+ * like manual ones; `trigger` starts a card of the deck right away. While config.marketEvents is switched off only
+ * running events carry on (to their end).
+ */
+export function applyMarketEvents(state, config, random, { elapsedMs = 0, rounds = 0, trigger = null, now = Date.now() } = {}) {
+    const events = state.marketEvents || createMarketEvents(config.marketEvents)
+    if (!config.marketEvents.enabled && !trigger && !events.active.length) return state
+    const mins = Object.fromEntries(config.resources.map(r => [r.name, computeMin(r, state.values)]))
+    const { state: marketEvents, deltas } = advanceMarketEvents(events, config.marketEvents, {
+        now, elapsedMs, rounds, trigger, random, mins, values: state.values, ignoreMin: state.ignoreMin,
+    })
+    return Object.entries(deltas).reduce(
+        (s, [name, delta]) => setResourceValue(s, config, name, v => v + delta, { source: 'event', at: now }),
+        { ...state, marketEvents },
+    )
+}
+
+/**
+ * refillContracts
+ * Tops the board up to config.contractCount (new contracts on top) or trims it down (pinned contracts stay).
+ */
+export function refillContracts(state, config, random, now = Date.now()) {
+    const { contracts } = state
+    if (contracts.length > config.contractCount) return { ...state, contracts: trimContracts(contracts, config.contractCount) }
+    const missing = config.contractCount - contracts.length
+    if (missing <= 0) return state
+    const reputation = config.reputationEnabled ? (state.reputation || createReputation()).score : null
+    const created = generateContracts(state.currentTargetValue, missing, {
+        values: filterCatalogValues(state.values, config.resources),
+        tiers: config.resourceTiers,
+        typeWeights: reputation == null ? config.contractTypeWeights : adjustTypeWeights(config.contractTypeWeights, reputation),
+        rewardMultiplier: reputation == null ? 1 : reputationEffects(reputation).rewardMultiplier,
+        penaltyChance: config.penaltyChance,
+        existing: contracts,
+        difficulty: config.difficulty,
+        rewardMinMultiplier: config.rewardMinMultiplier,
+        rewardMaxMultiplier: config.rewardMaxMultiplier,
+        maxResources: config.maxResources,
+        contractLabels: config.contractLabels,
+        random,
+        now,
+    })
+    return { ...state, contracts: [...created, ...contracts] }
+}
+
+// move prices according to the market impact model (cause: the ChangeCause recorded with them)
+function applyOutcome(state, config, contract, outcome, cause) {
+    const changes = contractOutcomeChanges(contract, outcome, {
+        values: state.values,
+        resourceList: config.resources,
+        dependentsMap: config.dependentsMap,
+        marketImpact: config.marketImpact,
+    })
+    return Object.entries(changes).reduce((s, [name, value]) => setResourceValue(s, config, name, value, cause), state)
+}
+
+// remove a contract, pay its players, move the prices of what was never delivered and archive it
+function resolveContract(state, config, contractId, outcome, playerId, now) {
+    const contract = state.contracts.find(c => c.id === contractId)
+    if (!contract) return state
+    const { payouts, impacted } = settleContract(contract, outcome, {
+        values: state.values,
+        playerId,
+        proRate: config.proRateDecayReward,
+        playerIds: config.playerIds || [],
+        at: now,
+    })
+    let next = {
+        ...state,
+        contracts: state.contracts.filter(c => c.id !== contractId),
+        ledgers: recordPayouts(state.ledgers || {}, contract, payouts, now),
+    }
+    if (config.reputationEnabled) next.reputation = recordReputation(state.reputation || createReputation(), contract, outcome, now)
+    next = applyOutcome(next, config, impacted, outcome, { source: `contract-${outcome}`, contractId, at: now })
+    const effect = priceEffect(state.values, next.values, outcome, now)
+    return { ...next, archive: archiveContract(state.archive || [], contract, outcome, { payouts, values: state.values, effect, at: now }) }
+}
+
+/**
+ * deliverResource
+ * Delivers part of a contract: the delivered units move prices like a completion would, and delivering the last
+ * required unit completes the contract.
+ */
+export function deliverResource(state, config, contractId, name, qty, playerId = null, now = Date.now()) {
+    const contract = state.contracts.find(c => c.id === contractId)
+    if (!contract) return state
+    const delivery = recordDelivery(contract, name, qty, { playerId, values: state.values, at: now })
+    if (!delivery.qty) return state
+    let next = applyOutcome(state, config, { resources: { [name]: delivery.qty } }, 'complete', { source: 'delivery', contractId, at: now })
+    const delivered = addContractEffect(delivery.contract, priceEffect(state.values, next.values, 'delivery', now))
+    next = { ...next, contracts: next.contracts.map(c => c.id === contractId ? delivered : c) }
+    return isFullyDelivered(delivery.contract) ? completeContract(next, config, contractId, playerId, now) : next
+}
+
+/**
+ * completeContract
+ * Fulfils a contract: raises the target value of new contracts (config.targetGrowth) and lowers the prices of what was still missing.
+ * The reward is split between the players by the market value they delivered; whatever was left is delivered
+ * by playerId.
+ */
+export function completeContract(state, config, contractId, playerId = null, now = Date.now()) {
+    if (!state.contracts.some(c => c.id === contractId)) return state
+    const next = { ...state, currentTargetValue: nextTargetValue(state.currentTargetValue, config.targetGrowth) }
+    return resolveContract(next, config, contractId, 'complete', playerId, now)
+}
+
+/**
+ * decayContract
+ * Lets a contract expire: it leaves the board and the prices of what was never delivered rise.
+ * With config.proRateDecayReward its players get the delivered share of the reward.
+ */
+export function decayContract(state, config, contractId, now = Date.now()) {
+    return resolveContract(state, config, contractId, 'decay', null, now)
+}
+
+/**
+ * applyRoundGrowth
+ * End of a round (round mode): a per round growth rule raises the target value of new contracts.
+ */
+export function applyRoundGrowth(state, config) {
+    const currentTargetValue = growTargetValue(state.currentTargetValue, config.targetGrowth, 'round')
+    return currentTargetValue === state.currentTargetValue ? state : { ...state, currentTargetValue }
+}
+
+/**
+ * pinContract
+ * Pins (or unpins) a contract: pinned contracts survive the board shrinking and are shown first.
+ */
+export function pinContract(state, contractId, pinned = true) {
+    if (!state.contracts.some(c => c.id === contractId)) return state
+    return { ...state, contracts: state.contracts.map(c => c.id === contractId ? setPinned(c, pinned) : c) }
+}
+
+/**
+ * undo
+ * Reverts the last grouped resource change.
+ */
+export function undo(state) {
+    return undoLastAction(state)
+}
@@ -0,0 +1,27 @@
+// Headless simulation engine: the game's economic rules without React, storage or timers.
+// The hooks (useResources, useEconomicNoise, useContracts) are thin adapters over these modules, and the same
+// functions run in Node for scripting, balancing and tests:
+//
+//   import { createGameConfig, createGameState, refillContracts, applyNoiseTick, completeContract } from './src/engine/index.js'
+//   import { createRng } from './src/lib/rng.js'
+//
+//   const rng = createRng('table-42')
+//   const config = createGameConfig({ settings: { contractCount: 3 } })
+//   let state = refillContracts(createGameState(config), config, () => rng.next('contracts'), 0)
+//   state = applyNoiseTick(state, config, () => rng.next('noise'))
+//   state = completeContract(state, config, state.contracts[0].id)
+
+export * from './resources.js'
+export * from './noise.js'
+export * from './marketEvents.js'
+export * from './contracts.js'
+export * from './contractTypes.js'
+export * from './contractBoard.js'
+export * from './profitability.js'
+export * from './targetGrowth.js'
+export * from './players.js'
+export * from './reputation.js'
+export * from './archive.js'
+export * from './analytics.js'
+export * from './game.js'
+export * from './simulate.js'
@@ -0,0 +1,313 @@
+// Market events: discrete shocks on top of the per-tick noise, e.g. "Oil embargo: crude +40% for 3 minutes".
+// Events come from a weighted deck (a random draw every `intervalSec` of play, or once per ended round in round mode)
+// or from a schedule ("Steel glut at minute 10 / round 5"). Starting an event moves its resources by their
+// percentages; when it ends the change is taken back off the current price, either at once ('revert') or fading out
+// over half the event's length ('decay'). Everything is measured on the market clock: time the game has run unpaused
+// (real time) or rounds ended (round mode), so pauses and reloads stop events too.
+//
+// type EventCard = {
+//     id: string, title: string, description?: string,
+//     effects: { [resourceName]: number },   // % change when the event starts (resources missing from the catalog are skipped)
+//     duration: number,                      // seconds of play (real time)
+//     rounds: number,                        // rounds (round mode)
+//     ending: 'revert' | 'decay',
+//     weight: number,                        // share of random draws (0 = only when scheduled or triggered)
+// }
+// type MarketEventSettings = {
+//     enabled: boolean,
+//     chance: number,                        // chance (0-1) that a draw brings an event
+//     intervalSec: number,                   // seconds of play between draws (real time)
+//     deck: EventCard[],
+//     schedule: [{ cardId, at: number, unit: 'minute' | 'round' }],
+// }
+// type ActiveEvent = {
+//     id, cardId, title, description, effects,
+//     unit: 'ms' | 'round',                  // what startedAt / endsAt / fadeUntil count
+//     startedAt: number, endsAt: number,
+//     ending: 'revert' | 'decay',
+//     fadeUntil: number | null,              // 'decay' endings fade out until then
+//     total: { [name]: number },             // price change made when it started
+//     applied: { [name]: number },           // part of it still to take back
+// }
+// type MarketEventsState = {
+//     clockMs: number, runningSince: number | null,   // market clock (see marketClock)
+//     round: number, nextDrawMs: number,
+//     fired: string[],                       // schedule entries that already fired (see scheduleKey)
+//     active: ActiveEvent[],
+//     log: [{ id, cardId, title, at, endedAt }],   // newest last (epoch ms)
+// }
+
+export const eventEndings = {
+    revert: 'Snap back',
+    decay: 'Fade out',
+}
+
+export const scheduleUnits = {
+    minute: 'Minute',
+    round: 'Round',
+}
+
+export const defaultEventDeck = [
+    { id: 'oilEmbargo', title: 'Oil embargo', description: 'Crude exports are halted.', effects: { oil: 40 }, duration: 180, rounds: 3, ending: 'revert', weight: 1 },
+    { id: 'steelGlut', title: 'Steel glut', description: 'Mills overproduced; steel piles up.', effects: { steel: -25 }, duration: 120, rounds: 2, ending: 'decay', weight: 1 },
+    { id: 'coalStrike', title: "Coal miners' strike", description: 'The pits stand still.', effects: { coal: 30 }, duration: 120, rounds: 2, ending: 'decay', weight: 1 },
+    { id: 'ironDeposit', title: 'New iron deposit', description: 'A rich seam floods the market with ore.', effects: { iron: -20 }, duration: 180, rounds: 3, ending: 'decay', weight: 1 },
+    { id: 'consumerBoom', title: 'Consumer boom', description: 'Shoppers buy everything in sight.', effects: { consumer_goods: 25, plastics: 10 }, duration: 120, rounds: 2, ending: 'revert', weight: 1 },
+    { id: 'plasticsBan', title: 'Plastics ban', description: 'Single-use plastics are outlawed.', effects: { plastics: -30 }, duration: 120, rounds: 2, ending: 'revert', weight: 1 },
+]
+
+export const defaultMarketEvents = {
+    enabled: false,
+    chance: 0.3,
+    intervalSec: 60,
+    deck: defaultEventDeck,
+    schedule: [],
+}
+
+export const MARKET_EVENT_LOG_LIMIT = 50
+export const MAX_EVENT_WEIGHT = 10
+const MIN_EFFECT = -90
+const MAX_EFFECT = 500
+
+export const createMarketEvents = (settings = defaultMarketEvents) => ({
+    clockMs: 0,
+    runningSince: null,
+    round: 0,
+    nextDrawMs: settings.intervalSec * 1000,
+    fired: [],
+    active: [],
+    log: [],
+})
+
+// identifies a schedule entry in MarketEventsState.fired (entries can be added and removed mid-game)
+export const scheduleKey = (entry) => `${entry.cardId}@${entry.unit}:${entry.at}`
+
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+
+/**
+ * validateEventCard
+ * Returns an error message for an invalid card, or null.
+ */
+export function validateEventCard(card) {
+    if (!isObject(card)) return 'must be an object'
+    if (typeof card.id !== 'string' || !card.id.trim()) return 'id must be a non-empty string'
+    if (typeof card.title !== 'string' || !card.title.trim()) return 'title must be a non-empty string'
+    if (card.description != null && typeof card.description !== 'string') return 'description must be a string'
+    if (!isObject(card.effects) || !Object.keys(card.effects).length) return 'effects must name at least one resource'
+    for (const [name, pct] of Object.entries(card.effects)) {
+        if (typeof pct !== 'number' || !(pct >= MIN_EFFECT && pct <= MAX_EFFECT)) return `effects.${name} must be between ${MIN_EFFECT} and ${MAX_EFFECT}`
+    }
+    if (typeof card.duration !== 'number' || !(card.duration >= 1 && card.duration <= 3600)) return 'duration must be between 1 and 3600 seconds'
+    if (!Number.isInteger(card.rounds) || card.rounds < 1 || card.rounds > 50) return 'rounds must be a whole number between 1 and 50'
+    if (!eventEndings[card.ending]) return `ending must be one of ${Object.keys(eventEndings).join(', ')}`
+    if (typeof card.weight !== 'number' || !(card.weight >= 0 && card.weight <= MAX_EVENT_WEIGHT)) return `weight must be between 0 and ${MAX_EVENT_WEIGHT}`
+    return null
+}
+
+/**
+ * validateMarketEvents
+ * Returns an error message for invalid market event settings, or null.
+ */
+export function validateMarketEvents(settings) {
+    if (!isObject(settings)) return 'must be an object'
+    if (typeof settings.enabled !== 'boolean') return 'enabled must be true or false'
+    if (typeof settings.chance !== 'number' || !(settings.chance >= 0 && settings.chance <= 1)) return 'chance must be between 0 and 1'
+    if (typeof settings.intervalSec !== 'number' || !(settings.intervalSec >= 10 && settings.intervalSec <= 3600)) return 'intervalSec must be between 10 and 3600'
+    if (!Array.isArray(settings.deck)) return 'deck must be an array'
+    const ids = new Set()
+    for (const [i, card] of settings.deck.entries()) {
+        const error = validateEventCard(card)
+        if (error) return `deck[${i}]: ${error}`
+        if (ids.has(card.id)) return `deck[${i}]: duplicate id "${card.id}"`
+        ids.add(card.id)
+    }
+    if (!Array.isArray(settings.schedule)) return 'schedule must be an array'
+    for (const [i, entry] of settings.schedule.entries()) {
+        if (!isObject(entry)) return `schedule[${i}] must be an object`
+        if (!ids.has(entry.cardId)) return `schedule[${i}]: unknown card "${entry.cardId}"`
+        if (!scheduleUnits[entry.unit]) return `schedule[${i}]: unit must be one of ${Object.keys(scheduleUnits).join(', ')}`
+        if (typeof entry.at !== 'number' || !(entry.at >= 0)) return `schedule[${i}]: at must be a number ≥ 0`
+    }
+    return null
+}
+
+/**
+ * marketClock
+ * Milliseconds of play on the market clock at `now`.
+ */
+export function marketClock(state, now = Date.now()) {
+    return state.clockMs + (state.runningSince != null ? Math.max(0, now - state.runningSince) : 0)
+}
+
+/**
+ * syncMarketClock
+ * Starts (running) or stops the market clock; returns the same state when nothing changed.
+ */
+export function syncMarketClock(state, running, now = Date.now()) {
+    if (running === (state.runningSince != null)) return state
+    return running
+        ? { ...state, runningSince: now }
+        : { ...state, clockMs: marketClock(state, now), runningSince: null }
+}
+
+/**
+ * eventRemaining
+ * What is left of an active event at a market clock / round: { phase: 'running' | 'fading', left } with left in
+ * ms or rounds (depending on event.unit).
+ */
+export function eventRemaining(event, { clockMs, round }) {
+    const position = event.unit === 'round' ? round : clockMs
+    if (position < event.endsAt) return { phase: 'running', left: event.endsAt - position }
+    return { phase: 'fading', left: Math.max(0, (event.fadeUntil ?? event.endsAt) - position) }
+}
+
+/**
+ * pickEventCard
+ * Draws a card by weight, skipping the excluded ids; null when nothing can be drawn.
+ */
+export function pickEventCard(random, deck, exclude = []) {
+    const cards = deck.filter(c => c.weight > 0 && !exclude.includes(c.id))
+    const total = cards.reduce((sum, c) => sum + c.weight, 0)
+    if (total <= 0) return null
+    let roll = random() * total
+    for (const card of cards) {
+        roll -= card.weight
+        if (roll < 0) return card
+    }
+    return cards[cards.length - 1]
+}
+
+/**
+ * advanceMarketEvents
+ * Moves the market events forward: ends or fades events that ran out, fires due schedule entries and makes the
+ * random draws (both only while settings.enabled; running events always finish). options: {
+ *   now: epoch ms (real time clock and log times), elapsedMs: play time to add (headless games without a running clock),
+ *   rounds: rounds ended since the last call (draws happen once per round instead of per interval),
+ *   roundMode: events started now last rounds instead of play time (default: when rounds were ended),
+ *   values: current prices, mins: { [name]: min } (price changes respect them unless ignoreMin),
+ *   random: () => number in [0, 1),
+ *   trigger: card id to start right away (manual trigger),
+ * }
+ * Returns { state, deltas, started, ended }: deltas is { [name]: price change } to apply; state is the same object
+ * when nothing happened.
+ */
+export function advanceMarketEvents(state, settings, options) {
+    const { now = Date.now(), elapsedMs = 0, rounds = 0, roundMode = rounds > 0, values, mins = {}, ignoreMin = false, random, trigger = null } = options
+    const clockMs = marketClock(state, now) + elapsedMs
+    const round = state.round + rounds
+    const prices = { ...values }
+    const deltas = {}
+    const started = []
+    const ended = []
+
+    // move a price by delta (kept at its min and at least 1), returns the change actually made
+    const move = (name, delta) => {
+        if (typeof prices[name] !== 'number' || delta === 0) return 0
+        const floor = ignoreMin ? 1 : Math.max(1, mins[name] ?? 1)
+        const next = Math.max(floor, prices[name] + delta)
+        const made = next - prices[name]
+        prices[name] = next
+        if (made) deltas[name] = (deltas[name] || 0) + made
+        return made
+    }
+
+    // running events that ran out: take their change back at once or fade it out
+    const active = []
+    for (const event of state.active) {
+        const { phase, left } = eventRemaining(event, { clockMs, round })
+        if (phase === 'running') {
+            active.push(event)
+            continue
+        }
+        const fadeLength = (event.fadeUntil ?? event.endsAt) - event.endsAt
+        const share = event.ending === 'decay' && fadeLength > 0 ? left / fadeLength : 0
+        const applied = {}
+        for (const [name, change] of Object.entries(event.applied)) {
+            const keep = Math.round(event.total[name] * share)
+            if (keep !== change) move(name, keep - change)
+            if (keep) applied[name] = keep
+        }
+        if (share > 0 && Object.keys(applied).length) active.push({ ...event, applied })
+        else ended.push(event)
+    }
+
+    const start = (card) => {
+        const unit = roundMode ? 'round' : 'ms'
+        const position = roundMode ? round : clockMs
+        const length = roundMode ? card.rounds : card.duration * 1000
+        const total = {}
+        for (const [name, pct] of Object.entries(card.effects)) {
+            if (typeof prices[name] !== 'number') continue
+            const made = move(name, Math.round(prices[name] * pct / 100))
+            if (made) total[name] = made
+        }
+        if (!Object.keys(total).length) return
+        const event = {
+            id: `${card.id}-${now}-${started.length}`,
+            cardId: card.id,
+            title: card.title,
+            description: card.description || '',
+            effects: card.effects,
+            unit,
+            startedAt: position,
+            endsAt: position + length,
+            fadeUntil: card.ending === 'decay' ? position + length + Math.max(1, Math.ceil(length / 2)) : null,
+            ending: card.ending,
+            total,
+            applied: total,
+        }
+        active.push(event)
+        started.push(event)
+    }
+    const isActive = (cardId) => active.some(e => e.cardId === cardId)
+    const card = (id) => settings.deck.find(c => c.id === id)
+
+    // schedule entries that came due
+    const fired = [...state.fired]
+    for (const entry of settings.schedule) {
+        const key = scheduleKey(entry)
+        if (!settings.enabled || fired.includes(key)) continue
+        const due = entry.unit === 'round' ? round >= entry.at : clockMs >= entry.at * 60000
+        if (!due) continue
+        fired.push(key)
+        if (card(entry.cardId) && !isActive(entry.cardId)) start(card(entry.cardId))
+    }
+
+    if (trigger && card(trigger) && !isActive(trigger)) start(card(trigger))
+
+    // random draws: one per ended round, or one once an interval of play has passed (a long gap, e.g. events
+    // switched on late in a game, still only draws once)
+    let nextDrawMs = state.nextDrawMs
+    let draws = settings.enabled ? rounds : 0
+    if (!rounds && clockMs >= nextDrawMs) {
+        draws = settings.enabled ? 1 : 0
+        nextDrawMs = clockMs + settings.intervalSec * 1000
+    }
+    for (let i = 0; i < draws; i++) {
+        if (random() >= settings.chance) continue
+        const drawn = pickEventCard(random, settings.deck, active.map(e => e.cardId))
+        if (drawn) start(drawn)
+    }
+
+    const changed = started.length || ended.length || Object.keys(deltas).length || fired.length !== state.fired.length
+        || nextDrawMs !== state.nextDrawMs || rounds || elapsedMs
+    if (!changed) return { state, deltas, started, ended }
+    const log = [
+        ...state.log.map(l => ended.some(e => e.id === l.id) ? { ...l, endedAt: now } : l),
+        ...started.map(e => ({ id: e.id, cardId: e.cardId, title: e.title, at: now, endedAt: null })),
+    ].slice(-MARKET_EVENT_LOG_LIMIT)
+    return {
+        state: {
+            ...state,
+            clockMs: state.clockMs + elapsedMs,
+            round,
+            nextDrawMs,
+            fired,
+            active,
+            log,
+        },
+        deltas,
+        started,
+        ended,
+    }
+}
@@ -0,0 +1,227 @@
+// Economic noise: every tick moves each resource by the active noise model (the `noiseModel` setting).
+// - classic: one step of ±1, biased back toward the minimum (farther above it = more likely to fall, near it = more
+//   likely to rise); each resource has a 40% chance to sit the tick out.
+// - randomWalk: a random move of up to the tier's volatility (% of the price) either way.
+// - meanReverting: closes `reversion` of the gap to the resource's anchor (its base, or its min when that is higher),
+//   plus a random move of up to the tier's volatility.
+// - momentum: carries `momentum` of the last price change (at most the tier's volatility, so a manual jump or a market
+//   impact does not snowball) into the next, plus a random move of up to the tier's volatility.
+// Percentage models round stochastically, so cheap resources still move now and then instead of never.
+// With coupling on, every model's moves are correlated along the production graph: a resource's move carries to the
+// resources made from it (supply shocks, `downstream`) and back to its components (demand shocks, `upstream`),
+// keeping that share again at every further step.
+//
+// type NoiseModel = {
+//     model: 'classic' | 'randomWalk' | 'meanReverting' | 'momentum',
+//     volatility: { [model]: { [tier]: number } },  // largest random move per tick in % (missing tiers = defaultVolatility)
+//     reversion: number,                             // meanReverting: share of the gap to the anchor closed per tick (0-1)
+//     momentum: number,                              // momentum: share of the last change carried into the next (0-1)
+//     coupling?: { downstream: number, upstream: number },   // share of a move carried per step (0-1, 0 = independent)
+// }
+// type ShockPath = { from, to, direction: 'downstream' | 'upstream' }   // from / to: component -> product edge
+
+import { historyValue } from './resources.js'
+
+export const noiseModels = {
+    classic: 'Classic ±1',
+    randomWalk: 'Random walk',
+    meanReverting: 'Mean reverting',
+    momentum: 'Momentum',
+}
+
+// volatility (%) of the tiers a model has no value for; classic moves by fixed steps and has none
+export const defaultVolatility = { randomWalk: 5, meanReverting: 5, momentum: 3 }
+
+export const MAX_VOLATILITY = 50
+
+export const defaultNoiseModel = {
+    model: 'classic',
+    volatility: { randomWalk: {}, meanReverting: {}, momentum: {} },
+    reversion: 0.2,
+    momentum: 0.5,
+    coupling: { downstream: 0, upstream: 0 },
+}
+
+/**
+ * validateNoiseModel
+ * Returns an error message for an invalid model, or null.
+ */
+export function validateNoiseModel(model) {
+    if (model == null || typeof model !== 'object' || Array.isArray(model)) return 'must be an object'
+    if (!noiseModels[model.model]) return `model must be one of ${Object.keys(noiseModels).join(', ')}`
+    if (model.volatility == null || typeof model.volatility !== 'object' || Array.isArray(model.volatility)) return 'volatility must be an object'
+    for (const [name, tiers] of Object.entries(model.volatility)) {
+        if (!(name in defaultVolatility)) return `volatility.${name} is not a model with volatility`
+        if (tiers == null || typeof tiers !== 'object' || Array.isArray(tiers)) return `volatility.${name} must be an object`
+        for (const [tier, v] of Object.entries(tiers)) {
+            if (typeof v !== 'number' || !(v >= 0 && v <= MAX_VOLATILITY)) return `volatility.${name}.${tier} must be between 0 and ${MAX_VOLATILITY}`
+        }
+    }
+    for (const key of ['reversion', 'momentum']) {
+        if (typeof model[key] !== 'number' || !(model[key] >= 0 && model[key] <= 1)) return `${key} must be between 0 and 1`
+    }
+    if (model.coupling !== undefined) {
+        if (model.coupling == null || typeof model.coupling !== 'object') return 'coupling must be an object'
+        for (const key of ['downstream', 'upstream']) {
+            const v = model.coupling[key]
+            if (typeof v !== 'number' || !(v >= 0 && v <= 1)) return `coupling.${key} must be between 0 and 1`
+        }
+    }
+    return null
+}
+
+/**
+ * tierVolatility
+ * Volatility (%) of a tier under a model.
+ */
+export function tierVolatility(model, tier) {
+    return model.volatility?.[model.model]?.[tier] ?? defaultVolatility[model.model] ?? 0
+}
+
+// classic rule: a ±1 step biased toward the min
+function classicAdjustment(resource, { ignoreMin, random }) {
+    const { min, value, name } = resource
+
+    // 40% chance no adjustment
+    if (random() < 0.4) return { name, next: value }
+
+    if (ignoreMin) {
+        // As the value gets farther from the min in either direction, it should be less likely to change further in that direction.
+        // So we use a simple linear probability based on distance from 1 (the absolute minimum).
+        const aboveMinPercentage = Math.abs(value - min) / min // e.g. 0 = at min, 1 = double min, 2 = triple min
+        const pDown = 0.5 + 0.4 * aboveMinPercentage
+        const towardsMin = value > min ? -1 : 1
+        const direction = random() < pDown ? towardsMin : -towardsMin
+
+        let target = value + direction
+        if (target < 1) target = 1
+        if (target === value) return null
+
+        return { name, next: target }
+    }
+
+    const aboveMinPercentage = (value - min) / min // e.g. 0 = at min, 1 = double min, 2 = triple min
+    const pDown = 0.1 + 0.8 * aboveMinPercentage // 10% to 90% chance to go down
+    const direction = random() < pDown ? -1 : 1
+    let target = value + direction
+    if (target < min) target = min
+    if (target === value) return null
+
+    return { name, next: target }
+}
+
+// last relative price change in a history (0 without one)
+function lastChange(history = []) {
+    const prev = historyValue(history[history.length - 2])
+    const last = historyValue(history[history.length - 1])
+    return typeof prev === 'number' && typeof last === 'number' && prev > 0 ? (last - prev) / prev : 0
+}
+
+// percentage rules: a relative drift plus a uniform random move of up to the tier's volatility
+function percentAdjustment(resource, { ignoreMin, random, model }) {
+    const { min, value, name, tier, anchor, history } = resource
+    const volatility = tierVolatility(model, tier) / 100
+    let drift = 0
+    if (model.model === 'meanReverting') {
+        const target = Math.max(anchor ?? min, min)
+        drift = value > 0 ? model.reversion * (target - value) / value : 0
+    } else if (model.model === 'momentum') {
+        drift = model.momentum * Math.max(-volatility, Math.min(volatility, lastChange(history)))
+    }
+    const exact = value * (1 + drift + volatility * (random() * 2 - 1))
+    // stochastic rounding: 4.3 becomes 5 three times in ten
+    let target = Math.floor(exact + random())
+    if (!ignoreMin && target < min) target = min
+    if (target < 1) target = 1
+    if (target === value) return null
+
+    return { name, next: target }
+}
+
+/**
+ * computeNoiseAdjustment
+ * resource: { name, min, value, tier, anchor?, history? } (min already resolved against current values; anchor is the
+ * price mean reversion pulls toward, history the resource's past prices for momentum)
+ * options: { ignoreMin, random, model } where random() returns a number in [0, 1) and model is a NoiseModel
+ * Returns { name, next } (next may equal the current value) or null when the step would not move the value.
+ */
+export function computeNoiseAdjustment(resource, { ignoreMin = false, random, model = defaultNoiseModel }) {
+    return model.model === 'classic' || !noiseModels[model.model]
+        ? classicAdjustment(resource, { ignoreMin, random })
+        : percentAdjustment(resource, { ignoreMin, random, model })
+}
+
+/**
+ * computeNoiseTick
+ * Adjustments for one tick over a snapshot of resources (see computeNoiseAdjustment), in the given order.
+ */
+export function computeNoiseTick(resources, options) {
+    const adjustments = []
+    for (const res of resources) {
+        const adj = computeNoiseAdjustment(res, options)
+        if (adj) adjustments.push(adj)
+    }
+    return adjustments
+}
+
+/**
+ * correlateNoiseTick
+ * Carries a tick's moves along the production graph by model.coupling. resources is the tick's snapshot (with each
+ * resource's components), adjustments what computeNoiseTick made of it; dependentsMap is { component: [product] }.
+ * A move of f (relative) reaches a product as f * downstream, that product's products as f * downstream², and the
+ * same upstream through the components. Carried moves add up, are rounded to whole dollars and respect the mins.
+ * Returns { adjustments, paths } with paths the graph edges a shock moved a price along (ShockPath[]).
+ */
+export function correlateNoiseTick(resources, adjustments, { dependentsMap = {}, ignoreMin = false, model = defaultNoiseModel }) {
+    const downstream = model.coupling?.downstream || 0
+    const upstream = model.coupling?.upstream || 0
+    if (!downstream && !upstream) return { adjustments, paths: [] }
+    const byName = Object.fromEntries(resources.map(r => [r.name, r]))
+    const carried = {}
+    const edges = {}
+
+    // breadth first from the shocked resource, every step keeping `strength` of the one before
+    const spread = (origin, fraction, strength, direction) => {
+        const neighbours = direction === 'downstream' ? (n) => dependentsMap[n] || [] : (n) => byName[n]?.components || []
+        const seen = new Set([origin])
+        let frontier = [[origin, fraction]]
+        while (frontier.length) {
+            const following = []
+            for (const [name, f] of frontier) {
+                for (const target of neighbours(name)) {
+                    if (seen.has(target) || !byName[target]) continue
+                    seen.add(target)
+                    const g = f * strength
+                    carried[target] = (carried[target] || 0) + g
+                    const [from, to] = direction === 'downstream' ? [name, target] : [target, name]
+                    edges[`${from}->${to}`] = { from, to, direction, target }
+                    following.push([target, g])
+                }
+            }
+            frontier = following
+        }
+    }
+    for (const adj of adjustments) {
+        const value = byName[adj.name]?.value
+        if (!value || adj.next === value) continue
+        const fraction = (adj.next - value) / value
+        if (downstream) spread(adj.name, fraction, downstream, 'downstream')
+        if (upstream) spread(adj.name, fraction, upstream, 'upstream')
+    }
+
+    const own = Object.fromEntries(adjustments.map(a => [a.name, a.next]))
+    const moved = new Set()
+    const correlated = []
+    for (const r of resources) {
+        const extra = carried[r.name] ? Math.round(r.value * carried[r.name]) : 0
+        if (extra) moved.add(r.name)
+        if (!(r.name in own) && !extra) continue
+        let next = (own[r.name] ?? r.value) + extra
+        if (!ignoreMin && next < r.min) next = r.min
+        correlated.push({ name: r.name, next: Math.max(1, next) })
+    }
+    const paths = Object.values(edges)
+        .filter(e => moved.has(e.target))
+        .map(({ from, to, direction }) => ({ from, to, direction }))
+    return { adjustments: correlated, paths }
+}
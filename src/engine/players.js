@@ -0,0 +1,76 @@
+// Players (the companies at the table) and their ledgers of fulfilled contracts.
+//
+// type Player = { id: string, name: string }
+// type LedgerEntry = { contractId, label, reward: number, marketValue: number, at: number, partial?: true, penalty?: true, shared?: true }
+//   (partial: a pro-rated payout for a contract that decayed part-filled; penalty: a decayed contract's penalty
+//   clause, a negative reward; neither counts as a contract won. shared: a share of the reward of a contract another
+//   player completed, counted as a shared win)
+// type Ledgers = { [playerId]: LedgerEntry[] }   // oldest first
+
+export const MAX_PLAYER_NAME = 32
+
+/**
+ * createPlayer
+ * New roster entry; the name defaults to "Player N" and is trimmed to MAX_PLAYER_NAME.
+ */
+export function createPlayer(name, players = [], id = `player-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`) {
+    const trimmed = String(name ?? '').trim().slice(0, MAX_PLAYER_NAME)
+    return { id, name: trimmed || `Player ${players.length + 1}` }
+}
+
+/**
+ * recordFulfilment
+ * Appends a fulfilled contract to a player's ledger. Unknown (or missing) players leave the ledgers untouched.
+ * options.reward overrides the contract's reward (the player's share of a split payout, or a penalty charge).
+ */
+export function recordFulfilment(ledgers, playerId, contract, marketValue, at = Date.now(), { reward = contract.reward || 0, partial = false, penalty = false, shared = false } = {}) {
+    if (!playerId) return ledgers
+    const entry = {
+        contractId: contract.id,
+        label: contract.label,
+        reward,
+        marketValue: Math.round(marketValue),
+        at,
+    }
+    if (partial) entry.partial = true
+    if (penalty) entry.penalty = true
+    if (shared) entry.shared = true
+    return { ...ledgers, [playerId]: [...(ledgers[playerId] || []), entry] }
+}
+
+/**
+ * recordPayouts
+ * Records every payout of a settled contract (see settleContract in contracts.js) in its player's ledger.
+ */
+export function recordPayouts(ledgers, contract, payouts, at = Date.now()) {
+    return payouts.reduce((next, p) => recordFulfilment(next, p.playerId, contract, p.marketValue, at, p), ledgers)
+}
+
+/**
+ * ledgerTotals
+ * Running totals of one ledger: { rewards, contracts, shared, marketValue, penalties } (rewards are net of penalties;
+ * contracts: contracts the player completed, shared: completed contracts they only got a share of).
+ */
+export function ledgerTotals(entries = []) {
+    return entries.reduce((t, e) => {
+        const won = !e.partial && !e.penalty
+        return {
+            rewards: t.rewards + e.reward,
+            contracts: t.contracts + (won && !e.shared ? 1 : 0),
+            shared: t.shared + (won && e.shared ? 1 : 0),
+            marketValue: t.marketValue + e.marketValue,
+            penalties: t.penalties + (e.penalty ? -e.reward : 0),
+        }
+    }, { rewards: 0, contracts: 0, shared: 0, marketValue: 0, penalties: 0 })
+}
+
+/**
+ * scoreboard
+ * Players with their totals, ranked by rewards (then contracts won, then roster order).
+ */
+export function scoreboard(players, ledgers) {
+    return players
+        .map(player => ({ ...player, ...ledgerTotals(ledgers[player.id]) }))
+        .sort((a, b) => b.rewards - a.rewards || b.contracts - a.contracts) // stable: ties keep roster order
+        .map((row, i) => ({ ...row, rank: i + 1 }))
+}
@@ -0,0 +1,71 @@
+// Profitability: a contract's reward against the live market value of what is still to deliver.
+// A contract is profitable while its reward covers that value (margin ≥ 0) and underwater once it doesn't;
+// the trend looks at how the required resources' prices moved over their recent history.
+//
+// type Profitability = {
+//     marketValue: number,       // current value of the undelivered resources
+//     margin: number,            // reward - marketValue
+//     roi: number | null,        // margin / marketValue (null when nothing is left to deliver)
+//     profitable: boolean,       // margin ≥ 0 (break-even counts as profitable)
+// }
+
+import { contractMarketValue, remainingResources } from './contracts.js'
+import { historyValues } from './resources.js'
+
+// price changes looked back on for the trend
+export const TREND_WINDOW = 5
+// relative change of the market value below which the trend is flat
+const FLAT_TREND = 0.01
+
+/**
+ * contractProfitability
+ * Margin and ROI of a contract at the given prices.
+ */
+export function contractProfitability(contract, values) {
+    const marketValue = contractMarketValue({ resources: remainingResources(contract) }, values)
+    const margin = (contract.reward || 0) - marketValue
+    return {
+        marketValue,
+        margin,
+        roi: marketValue > 0 ? margin / marketValue : null,
+        profitable: margin >= 0,
+    }
+}
+
+/**
+ * contractTrend
+ * How the margin moved over the last `window` price changes of the undelivered resources (histories is
+ * { [name]: HistoryEntry[] }, oldest first): 'up' when they got cheaper, 'down' when pricier, 'flat' otherwise.
+ * Returns { direction, change } with change the market value difference now vs then.
+ */
+export function contractTrend(contract, histories = {}, window = TREND_WINDOW) {
+    let now = 0
+    let then = 0
+    for (const [name, qty] of Object.entries(remainingResources(contract))) {
+        const history = historyValues(histories[name])
+        if (!history.length) continue
+        now += qty * history[history.length - 1]
+        then += qty * history[Math.max(0, history.length - 1 - window)]
+    }
+    const change = now - then
+    if (!then || Math.abs(change) / then < FLAT_TREND) return { direction: 'flat', change }
+    return { direction: change < 0 ? 'up' : 'down', change }
+}
+
+/**
+ * breakEvenCrossings
+ * Pinned contracts whose profitability flipped since the last check. previous is { [contractId]: profitable }
+ * from the last call; returns { status, crossings: [{ contract, profitable, margin }] } with the status to keep.
+ * Contracts seen for the first time (or just pinned) never count as crossing.
+ */
+export function breakEvenCrossings(previous, contracts, values) {
+    const status = {}
+    const crossings = []
+    for (const contract of contracts) {
+        if (!contract.pinned) continue
+        const { profitable, margin } = contractProfitability(contract, values)
+        status[contract.id] = profitable
+        if (contract.id in previous && previous[contract.id] !== profitable) crossings.push({ contract, profitable, margin })
+    }
+    return { status, crossings }
+}
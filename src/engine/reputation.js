@@ -0,0 +1,59 @@
+// Reputation: the table's standing with the companies handing out contracts (one shared score, 0-100).
+// Completing contracts raises it, letting them decay lowers it (twice as much for contracts with a penalty clause).
+// A good reputation pays better and brings more premium and rush work; a poor one means bulk orders at lower pay.
+//
+// type Reputation = {
+//     score: number,
+//     history: [{ at, delta, score, outcome: 'complete' | 'decay', contractId, label }],   // oldest first
+// }
+
+export const REPUTATION_START = 50
+export const REPUTATION_MAX = 100
+export const REPUTATION_HISTORY_LIMIT = 200
+
+// points per outcome; contracts with a penalty clause put twice as much at stake
+const COMPLETE_GAIN = 2
+const DECAY_LOSS = 4
+
+export const createReputation = () => ({ score: REPUTATION_START, history: [] })
+
+/**
+ * reputationStake
+ * What a contract does to the reputation: { gain, loss } in points.
+ */
+export function reputationStake(contract) {
+    const factor = contract.penalty ? 2 : 1
+    return { gain: COMPLETE_GAIN * factor, loss: DECAY_LOSS * factor }
+}
+
+/**
+ * recordReputation
+ * Applies a contract outcome to the reputation (clamped to 0-100) and appends it to the history.
+ */
+export function recordReputation(reputation, contract, outcome, at = Date.now()) {
+    const stake = reputationStake(contract)
+    const score = Math.min(REPUTATION_MAX, Math.max(0, reputation.score + (outcome === 'complete' ? stake.gain : -stake.loss)))
+    const entry = { at, delta: score - reputation.score, score, outcome, contractId: contract.id, label: contract.label }
+    return { score, history: [...reputation.history, entry].slice(-REPUTATION_HISTORY_LIMIT) }
+}
+
+/**
+ * reputationEffects
+ * How a score shapes new contracts: { rewardMultiplier, tendency } where tendency runs from -1 (0 points)
+ * through 0 (the starting 50) to 1 (100 points). Rewards move by up to ±25%.
+ */
+export function reputationEffects(score) {
+    const tendency = (Math.min(REPUTATION_MAX, Math.max(0, score)) - REPUTATION_START) / REPUTATION_START
+    return { rewardMultiplier: 1 + 0.25 * tendency, tendency }
+}
+
+/**
+ * adjustTypeWeights
+ * Contract type spawn weights shifted by reputation: premium work appears more often the better it is (never
+ * at 0 points), rush a bit more often, bulk less often.
+ */
+export function adjustTypeWeights(weights, score) {
+    const { tendency } = reputationEffects(score)
+    const scale = { premium: 1 + tendency, rush: 1 + tendency / 2, bulk: 1 - tendency / 2 }
+    return Object.fromEntries(Object.entries(weights).map(([type, w]) => [type, w * (scale[type] ?? 1)]))
+}
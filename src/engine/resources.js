@@ -0,0 +1,313 @@
+// Resource rules: dynamic minimums, value changes with the min cascade, history and undo.
+// Pure functions over plain objects (no React, no storage) so they run the same in the browser and in Node.
+//
+// type ResourceChange = { name: string, prevValue: number, nextValue: number, cascading?: boolean }
+// type ChangeCause = { source?: HistorySource, contractId?, at?: number }   // what made a group of changes (default manual, now)
+// type HistoryEntry = {
+//     value: number,
+//     at: number | null,               // null: recorded before changes were timestamped
+//     source: HistorySource | null,    // see historySources (null: recorded before changes were attributed)
+//     contractId?,                     // the contract a delivery, completion or decay belongs to
+//     via?: string,                    // cascades: the resource whose change raised this one's min
+// }
+// type ResourceContext = {
+//     resourceMap: { [name]: resource },       // resolved catalog by name
+//     dependentsMap: { [componentName]: string[] },
+//     ignoreMin: boolean,
+// }
+
+import { buildDependentsMap } from '../constants/resources.js'
+
+export const DEFAULT_BASE_MIN = 5
+
+// what moved a price (HistoryEntry.source)
+export const historySources = {
+    start: 'Start',
+    manual: 'Manual',
+    noise: 'Noise',
+    delivery: 'Delivery',
+    'contract-complete': 'Contract completed',
+    'contract-decay': 'Contract decayed',
+    cascade: 'Cascade',
+    event: 'Market event',
+}
+
+/**
+ * historyValue
+ * The price of a history entry (histories saved before entries were attributed hold bare numbers).
+ */
+export const historyValue = (entry) => typeof entry === 'number' ? entry : entry?.value
+
+/**
+ * historyValues
+ * The prices of a history, oldest first, skipping anything that is not a number.
+ */
+export function historyValues(history = []) {
+    return history.map(historyValue).filter(v => typeof v === 'number' && !Number.isNaN(v))
+}
+
+/**
+ * historyCause
+ * What moved a price, for display: the source's label, the contract's name (contractNames: { [id]: label }) and, for
+ * cascades, the resource that raised it (resourceLabels: { [name]: label }). 'Unknown' for unattributed entries.
+ */
+export function historyCause(entry, { contractNames = {}, resourceLabels = {} } = {}) {
+    if (!entry || typeof entry !== 'object' || !entry.source) return 'Unknown'
+    const parts = [historySources[entry.source] || entry.source]
+    if (entry.via) parts[0] += ` from ${resourceLabels[entry.via] || entry.via}`
+    if (entry.contractId != null) parts.push(contractNames[entry.contractId] || `contract ${entry.contractId}`)
+    return parts.join(' · ')
+}
+
+// one history entry for a change caused by `cause`
+function historyEntry(value, { source = 'manual', contractId = null, at = Date.now() } = {}) {
+    const entry = { value, at, source }
+    if (contractId != null) entry.contractId = contractId
+    return entry
+}
+
+/**
+ * createResourceContext
+ * Lookup tables used by the functions below, built once per catalog.
+ */
+export function createResourceContext(resourceList, ignoreMin = false) {
+    return {
+        resourceMap: Object.fromEntries(resourceList.map(r => [r.name, r])),
+        dependentsMap: buildDependentsMap(resourceList),
+        ignoreMin,
+    }
+}
+
+/**
+ * computeMin
+ * Base resources use their own min (5 when unset); made resources cost at least the sum of their components.
+ */
+export function computeMin(resource, values) {
+    if (!resource.components || resource.components.length === 0) {
+        return resource.min || DEFAULT_BASE_MIN
+    }
+    let sum = 0
+    for (const c of resource.components) {
+        sum += values ? values[c] : 0
+    }
+    return sum
+}
+
+/**
+ * resourceBases
+ * Base price of every resource (what mean reversion pulls toward, see noise.js): the stored base, else the catalog
+ * min (DEFAULT_BASE_MIN without one).
+ */
+export function resourceBases(resourceList, stored = {}) {
+    return Object.fromEntries(resourceList.map(r => [r.name, stored[r.name] ?? (r.min || DEFAULT_BASE_MIN)]))
+}
+
+const byTierOrder = (resourceList) => [...resourceList].sort((a, b) => a.tier - b.tier)
+
+/**
+ * buildInitialValues
+ * Every resource starts at its min, resolved in tier order so made resources see their components.
+ */
+export function buildInitialValues(resourceList) {
+    const values = {}
+    for (const r of byTierOrder(resourceList)) values[r.name] = computeMin(r, values)
+    return values
+}
+
+/**
+ * buildInitialState
+ * Fresh { values, histories, actionLog } for a catalog.
+ */
+export function buildInitialState(resourceList) {
+    const values = buildInitialValues(resourceList)
+    const histories = {}
+    const at = Date.now()
+    for (const r of resourceList) histories[r.name] = [historyEntry(values[r.name], { source: 'start', at })]
+    return { values, histories, actionLog: [] }
+}
+
+/**
+ * syncValues
+ * Adds values for resources new to the catalog and drops removed ones. Returns the same object when nothing changed.
+ */
+export function syncValues(values, resourceList) {
+    const names = new Set(resourceList.map(r => r.name))
+    const complete = resourceList.every(r => typeof values?.[r.name] === 'number')
+    const stale = Object.keys(values || {}).filter(name => !names.has(name))
+    if (complete && stale.length === 0) return values
+    const next = { ...values }
+    for (const name of stale) delete next[name]
+    for (const r of byTierOrder(resourceList)) {
+        if (typeof next[r.name] !== 'number') next[r.name] = computeMin(r, next)
+    }
+    return next
+}
+
+/**
+ * syncHistories
+ * Adds an empty history for resources new to the catalog. Returns the same object when nothing changed.
+ */
+export function syncHistories(histories, resourceList) {
+    const missing = resourceList.filter(r => !histories[r.name])
+    if (missing.length === 0) return histories
+    return { ...histories, ...Object.fromEntries(missing.map(r => [r.name, []])) }
+}
+
+/**
+ * applyResourceValue
+ * Sets one resource (value or updater), clamps it to its min and raises dependents whose min it pushes up.
+ * Returns { values, changes } where changes[0] is the primary change and the rest are cascades.
+ * Invalid input returns the original values and no changes.
+ */
+export function applyResourceValue(values, name, valueOrUpdater, context) {
+    const { resourceMap, dependentsMap, ignoreMin } = context
+    const resource = resourceMap[name]
+    if (!resource) return { values, changes: [] }
+
+    const prevValue = values[name]
+    let nextValue = typeof valueOrUpdater === 'function' ? valueOrUpdater(prevValue) : valueOrUpdater
+    if (typeof nextValue === 'string' && nextValue.trim() !== '') {
+        const parsed = Number(nextValue)
+        if (!Number.isNaN(parsed)) nextValue = parsed
+    }
+    if (typeof nextValue !== 'number' || Number.isNaN(nextValue)) return { values, changes: [] }
+    const min = computeMin(resource, values)
+    if (!ignoreMin && nextValue < min) nextValue = min
+
+    const newVals = { ...values, [name]: nextValue }
+    const changes = [{ name, prevValue, nextValue }]
+
+    // Only cascade if value increased AND we are respecting minimums
+    if (!ignoreMin && nextValue > prevValue) {
+        const queue = [name]
+        const visited = new Set([name])
+        while (queue.length) {
+            const current = queue.shift()
+            for (const depName of dependentsMap[current] || []) {
+                const depResource = resourceMap[depName]
+                if (!depResource) continue
+                const depMin = computeMin(depResource, newVals)
+                const depPrev = newVals[depName]
+                if (depPrev < depMin) {
+                    newVals[depName] = depMin
+                    changes.push({ name: depName, prevValue: depPrev, nextValue: depMin, cascading: true })
+                    if (!visited.has(depName)) {
+                        queue.push(depName)
+                        visited.add(depName)
+                    }
+                }
+            }
+        }
+    }
+    return { values: newVals, changes }
+}
+
+/**
+ * enforceMinimums
+ * Raises every resource below its min (used when min enforcement is switched back on).
+ * Returns { values, changes } with one change per raised resource.
+ */
+export function enforceMinimums(values, resourceList) {
+    const changes = []
+    const next = { ...values }
+    for (const r of resourceList) {
+        const min = computeMin(r, values)
+        const v = values ? values[r.name] : 0
+        if (v < min) {
+            next[r.name] = min
+            changes.push({ name: r.name, prevValue: v, nextValue: min })
+        }
+    }
+    return { values: changes.length ? next : values, changes }
+}
+
+/**
+ * appendHistories
+ * Records the next value of every change in the per-resource histories, attributed to cause (ChangeCause).
+ * Cascades are recorded as such, naming the resource that raised them (the group's primary change).
+ */
+export function appendHistories(histories, changes, cause = {}) {
+    const updated = { ...histories }
+    const at = cause.at ?? Date.now()
+    for (const ch of changes) {
+        const entry = historyEntry(ch.nextValue, { ...cause, at, source: ch.cascading ? 'cascade' : cause.source })
+        if (ch.cascading) entry.via = changes[0].name
+        updated[ch.name] = [...(updated[ch.name] || []), entry]
+    }
+    return updated
+}
+
+/**
+ * actionGroup
+ * An undo step for a group of changes, stamped with its cause.
+ */
+export function actionGroup(changes, { source = 'manual', contractId = null, at = Date.now() } = {}) {
+    const group = { changes, at, source }
+    if (contractId != null) group.contractId = contractId
+    return group
+}
+
+/**
+ * revertValues
+ * Puts back the previous value of every change (dependents first).
+ */
+export function revertValues(values, changes) {
+    const updated = { ...values }
+    for (const ch of [...changes].reverse()) updated[ch.name] = ch.prevValue
+    return updated
+}
+
+/**
+ * revertHistories
+ * Removes the tail entries a group of changes appended.
+ */
+export function revertHistories(histories, changes) {
+    const updated = { ...histories }
+    for (const name of new Set(changes.map(c => c.name))) {
+        const undone = new Set(changes.filter(c => c.name === name).map(c => c.nextValue))
+        let arr = updated[name] || []
+        // Remove tail entries that match any of the nextValues we are undoing (could be multiple if future batching differs)
+        while (arr.length && undone.has(historyValue(arr[arr.length - 1]))) {
+            arr = arr.slice(0, -1)
+        }
+        updated[name] = arr
+    }
+    return updated
+}
+
+/**
+ * undoLastAction
+ * Reverts the last grouped change of { values, histories, actionLog }.
+ */
+export function undoLastAction(state) {
+    const { actionLog } = state
+    if (!actionLog.length) return state
+    const changes = actionLog[actionLog.length - 1].changes || []
+    return {
+        ...state,
+        values: revertValues(state.values, changes),
+        histories: revertHistories(state.histories, changes),
+        actionLog: actionLog.slice(0, -1),
+    }
+}
+
+/**
+ * changeLog
+ * Every recorded price change across the histories, newest first:
+ * [{ name, value, prevValue, at, source, contractId?, via? }] (prevValue null for a history's first entry).
+ * Filters: name (one resource), source (one HistorySource) and contractId; entries without a timestamp sort last.
+ */
+export function changeLog(histories, { name = null, source = null, contractId = null } = {}) {
+    const log = []
+    for (const [resource, history] of Object.entries(histories)) {
+        if (name && resource !== name) continue
+        history.forEach((entry, i) => {
+            const e = typeof entry === 'number' ? { value: entry, at: null, source: null } : entry
+            if (source && e.source !== source) return
+            if (contractId != null && String(e.contractId) !== String(contractId)) return
+            log.push({ ...e, name: resource, prevValue: i ? historyValue(history[i - 1]) ?? null : null })
+        })
+    }
+    // newest first; the same moment keeps the recorded order (reversed), untimed entries go last
+    return log.reverse().sort((a, b) => (b.at ?? -Infinity) - (a.at ?? -Infinity) || 0)
+}
@@ -0,0 +1,197 @@
+// Batch balancing simulator: plays many automated turns with a bot policy and summarises the economy.
+//
+// One turn is one decay window (decayTimeMs): the board is topped up, noise ticks as often as it would in that
+// time (decayTimeMs / noiseIntervalMs, fractions carry over), market events (when switched on) move on by the same
+// time, the bot may complete a contract, and whatever decay clocks run out in that window decay, like a table that plays
+// at that pace. Clocks follow the app's rule: only the last contract on the board has one, or every contract with
+// allContractsDecay (see syncContractClocks in contracts.js).
+
+import { createRng } from '../lib/rng.js'
+import { settingDefaults } from '../constants/settings.js'
+import { computeMin } from './resources.js'
+import { contractMarketValue, dueContracts, syncContractClocks } from './contracts.js'
+import { applyMarketEvents, applyNoiseTick, applyRoundGrowth, completeContract, createGameConfig, createGameState, decayContract, refillContracts } from './game.js'
+
+// a run stops once new contracts would be worth this many times the starting target value: generation cost grows
+// with the target, and an economy inflating that far is the answer anyway
+export const TARGET_VALUE_LIMIT = 200
+
+// the bot plays as the only company at the table: it is paid for what it completes and charged the penalties
+export const SIMULATION_PLAYER = 'bot'
+
+/**
+ * simulationPolicies
+ * Bot policies: choose(state) returns the id of the contract to complete, or null to complete nothing this turn.
+ */
+export const simulationPolicies = {
+    'best-paying': {
+        label: 'Complete best-paying',
+        description: 'Completes the contract with the highest reward every turn.',
+        choose: (state) => state.contracts.reduce((best, c) => (!best || c.reward > best.reward ? c : best), null)?.id ?? null,
+    },
+    'best-margin': {
+        label: 'Complete best margin',
+        description: 'Completes the contract paying most above its market value, nothing when none is profitable.',
+        choose: (state) => {
+            let best = null
+            for (const c of state.contracts) {
+                const margin = c.reward - contractMarketValue(c, state.values)
+                if (margin > 0 && (!best || margin > best.margin)) best = { id: c.id, margin }
+            }
+            return best ? best.id : null
+        },
+    },
+    'let-decay': {
+        label: 'Let contracts decay',
+        description: 'Never completes anything; contracts decay as their clocks run out.',
+        choose: () => null,
+    },
+}
+
+/**
+ * summarize
+ * Summary of a list of numbers: { count, min, p10, median, p90, max, mean }.
+ */
+export function summarize(list) {
+    if (!list.length) return { count: 0, min: 0, p10: 0, median: 0, p90: 0, max: 0, mean: 0 }
+    const sorted = [...list].sort((a, b) => a - b)
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))]
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        p10: at(0.1),
+        median: at(0.5),
+        p90: at(0.9),
+        max: sorted[sorted.length - 1],
+        mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    }
+}
+
+/**
+ * simulate
+ * options: {
+ *   resources: resolved catalog (defaults when omitted),
+ *   settings: setting overrides (see constants/settings.js),
+ *   contractLabels,
+ *   policy: key of simulationPolicies,
+ *   turns: turns per run, runs: independent runs (seeds `${seed}:${run}`),
+ *   seed: text, noise: whether economic noise runs,
+ * }
+ * Returns {
+ *   turns, runs, policy, playedTurns,
+ *   runaway: { runs, turn: summary } runs stopped by TARGET_VALUE_LIMIT and the turn they hit it,
+ *   prices: { [name]: summary of the price at the end of every turn },
+ *   atMin: { [name]: share of turns (0-1) the resource sat at its min },
+ *   contracts: { completed, decayed, penalties, value: summary, reward: summary, rewardRatio: summary },
+ *     (penalties: total penalty charges of decayed contracts, see contractPayouts in contracts.js)
+ *   targetValue: { start, end: summary, growthPerTurn, turnsToDouble },
+ * }
+ */
+export function simulate(options = {}) {
+    const {
+        resources,
+        settings = {},
+        contractLabels,
+        policy = 'best-paying',
+        turns = 1000,
+        runs = 1,
+        seed = 'simulation',
+        noise = true,
+    } = options
+    const s = { ...settingDefaults, ...settings }
+    const config = createGameConfig({ resources, settings: s, contractLabels, playerIds: [SIMULATION_PLAYER] })
+    const bot = simulationPolicies[policy] || simulationPolicies['best-paying']
+    const noisePerTurn = s.decayTimeMs / s.noiseIntervalMs
+
+    const prices = Object.fromEntries(config.resources.map(r => [r.name, []]))
+    const atMinTurns = Object.fromEntries(config.resources.map(r => [r.name, 0]))
+    const completedValues = []
+    const completedRewards = []
+    const rewardRatios = []
+    const endTargets = []
+    const runawayTurns = []
+    let decayed = 0
+    let penalties = 0
+    let playedTurns = 0
+
+    for (let run = 0; run < runs; run++) {
+        const rng = createRng(`${seed}:${run}`)
+        const contractsRandom = () => rng.next('contracts')
+        const noiseRandom = () => rng.next('noise')
+        const eventsRandom = () => rng.next('events')
+        let state = createGameState(config)
+        let noiseDue = 0
+        const clocks = { running: true, allDecay: s.allContractsDecay, decayTimeMs: s.decayTimeMs, scaleWithDifficulty: s.decayScalesWithDifficulty }
+        const syncClocks = (game, now) => ({ ...game, contracts: syncContractClocks(game.contracts, { ...clocks, now }) })
+        for (let turn = 0; turn < turns; turn++) {
+            const windowStart = turn * s.decayTimeMs
+            state = refillContracts(state, config, contractsRandom, turn * 1000)
+            if (noise) {
+                noiseDue += noisePerTurn
+                for (; noiseDue >= 1; noiseDue--) state = applyNoiseTick(state, config, noiseRandom)
+            }
+            state = applyMarketEvents(state, config, eventsRandom, { elapsedMs: s.decayTimeMs, now: turn * 1000 })
+            state = syncClocks(state, windowStart)
+            const chosenId = bot.choose(state, config)
+            const chosen = state.contracts.find(c => c.id === chosenId)
+            if (chosen) {
+                const value = contractMarketValue(chosen, state.values)
+                completedValues.push(value)
+                completedRewards.push(chosen.reward)
+                if (value > 0) rewardRatios.push(chosen.reward / value)
+                state = completeContract(state, config, chosen.id, SIMULATION_PLAYER)
+                // a contract that moved to the decay position starts its clock now
+                state = syncClocks(state, windowStart)
+            }
+            for (const due of dueContracts(state.contracts, windowStart + s.decayTimeMs)) {
+                decayed++
+                state = decayContract(state, config, due.id)
+            }
+            // a turn stands in for a round, so per round growth rules apply once per turn
+            state = applyRoundGrowth(state, config)
+            for (const e of state.ledgers[SIMULATION_PLAYER] || []) if (e.penalty) penalties -= e.reward
+            // only the current values and the last change (momentum noise) matter here; drop the rest of the
+            // undo/history bookkeeping so long runs stay fast
+            const histories = Object.fromEntries(Object.entries(state.histories).map(([name, h]) => [name, h.slice(-2)]))
+            state = { ...state, histories, actionLog: [], archive: [], ledgers: {} }
+            for (const r of config.resources) {
+                const value = state.values[r.name]
+                prices[r.name].push(value)
+                if (value <= computeMin(r, state.values)) atMinTurns[r.name]++
+            }
+            playedTurns++
+            if (state.currentTargetValue > config.startValue * TARGET_VALUE_LIMIT) {
+                runawayTurns.push(turn + 1)
+                break
+            }
+        }
+        endTargets.push(state.currentTargetValue)
+    }
+
+    const meanEnd = endTargets.reduce((a, b) => a + b, 0) / (endTargets.length || 1)
+    const turnsPerRun = playedTurns / (runs || 1)
+    const growthPerTurn = turnsPerRun > 0 ? Math.pow(meanEnd / config.startValue, 1 / turnsPerRun) - 1 : 0
+    return {
+        turns,
+        runs,
+        policy: bot.label,
+        playedTurns,
+        runaway: { runs: runawayTurns.length, turn: summarize(runawayTurns) },
+        prices: Object.fromEntries(Object.entries(prices).map(([name, list]) => [name, summarize(list)])),
+        atMin: Object.fromEntries(Object.entries(atMinTurns).map(([name, n]) => [name, playedTurns ? n / playedTurns : 0])),
+        contracts: {
+            completed: completedValues.length,
+            decayed,
+            penalties: Math.round(penalties),
+            value: summarize(completedValues),
+            reward: summarize(completedRewards),
+            rewardRatio: summarize(rewardRatios),
+        },
+        targetValue: {
+            start: config.startValue,
+            end: summarize(endTargets),
+            growthPerTurn,
+            turnsToDouble: growthPerTurn > 0 ? Math.log(2) / Math.log(1 + growthPerTurn) : null,
+        },
+    }
+}
@@ -0,0 +1,74 @@
+// Target value growth: how the value of new contracts (the difficulty curve) rises as the game goes on.
+// The rule is the `targetGrowth` setting; the target value's past is kept as a history for the chart.
+//
+// type TargetGrowth = {
+//     mode: 'percent' | 'linear' | 'capped' | 'perRound',
+//     percent: number,   // percent, capped and perRound: growth per step in %
+//     step: number,      // linear: value added per completed contract
+//     cap: number,       // capped: the target value never grows past this
+// }
+// type TargetHistoryEntry = { at: number, value: number, cause: 'complete' | 'round' | 'manual' | 'reset' }
+
+export const targetGrowthModes = {
+    percent: 'Fixed %',
+    linear: 'Linear',
+    capped: 'Capped %',
+    perRound: 'Per round',
+}
+
+export const defaultTargetGrowth = { mode: 'percent', percent: 10, step: 5, cap: 500 }
+
+export const TARGET_HISTORY_LIMIT = 200
+export const MAX_TARGET_VALUE = 1e6
+
+/**
+ * validateTargetGrowth
+ * Returns an error message for an invalid rule, or null.
+ */
+export function validateTargetGrowth(rule) {
+    if (rule == null || typeof rule !== 'object' || Array.isArray(rule)) return 'must be an object'
+    if (!targetGrowthModes[rule.mode]) return `mode must be one of ${Object.keys(targetGrowthModes).join(', ')}`
+    if (typeof rule.percent !== 'number' || !(rule.percent >= 0 && rule.percent <= 100)) return 'percent must be between 0 and 100'
+    if (typeof rule.step !== 'number' || !(rule.step >= 0 && rule.step <= 1000)) return 'step must be between 0 and 1000'
+    if (typeof rule.cap !== 'number' || !(rule.cap > 0 && rule.cap <= MAX_TARGET_VALUE)) return `cap must be between 0 and ${MAX_TARGET_VALUE}`
+    return null
+}
+
+/**
+ * growTargetValue
+ * The target value after a completed contract (trigger 'complete') or an ended round (trigger 'round').
+ * Per round rules only grow on rounds, every other rule only on completions.
+ */
+export function growTargetValue(value, rule = defaultTargetGrowth, trigger = 'complete') {
+    if ((rule.mode === 'perRound') !== (trigger === 'round')) return value
+    switch (rule.mode) {
+        case 'linear':
+            return Math.min(MAX_TARGET_VALUE, value + rule.step)
+        case 'capped':
+            return value >= rule.cap ? value : Math.min(rule.cap, value * (1 + rule.percent / 100))
+        default:
+            return Math.min(MAX_TARGET_VALUE, value * (1 + rule.percent / 100))
+    }
+}
+
+/**
+ * projectTargetValues
+ * The next `steps` target values under a rule (per round rules project rounds, the others completions).
+ */
+export function projectTargetValues(value, rule, steps) {
+    const trigger = rule.mode === 'perRound' ? 'round' : 'complete'
+    const out = []
+    for (let i = 0; i < steps; i++) {
+        value = growTargetValue(value, rule, trigger)
+        out.push(value)
+    }
+    return out
+}
+
+/**
+ * appendTargetHistory
+ * Adds a change to the history, keeping the last TARGET_HISTORY_LIMIT entries.
+ */
+export function appendTargetHistory(history, value, cause, at = Date.now()) {
+    return [...history, { at, value, cause }].slice(-TARGET_HISTORY_LIMIT)
+}
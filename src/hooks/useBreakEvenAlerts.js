@@ -0,0 +1,54 @@
+// This hook watches pinned contracts and raises an alert when one crosses break-even (its reward stops or starts
+// covering the live market value of what is left to deliver). Alerts are not saved; they expire on their own.
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { breakEvenCrossings } from '../engine/profitability.js'
+
+const MAX_ALERTS = 3
+const ALERT_MS = 10000
+
+/**
+ * useBreakEvenAlerts
+ * Options:
+ *   enabled: raise alerts (the `breakEvenAlerts` setting); crossings are still tracked while off
+ *   contracts: the board (only pinned contracts are watched)
+ *   values: current resource prices
+ * Returned shape:
+ * {
+ *   alerts: [{ id, contractId, label, profitable, margin, at }],   // newest last, at most 3
+ *   dismissAlert: (id) => void,
+ * }
+ */
+export function useBreakEvenAlerts({ enabled, contracts, values }) {
+  const [alerts, setAlerts] = useState([])
+  const statusRef = useRef({})
+
+  useEffect(() => {
+    const { status, crossings } = breakEvenCrossings(statusRef.current, contracts, values)
+    statusRef.current = status
+    if (!enabled || !crossings.length) return
+    const at = Date.now()
+    const raised = crossings.map(({ contract, profitable, margin }) => ({
+      id: `${contract.id}-${at}`,
+      contractId: contract.id,
+      label: contract.label,
+      profitable,
+      margin,
+      at,
+    }))
+    setAlerts(prev => [...prev, ...raised].slice(-MAX_ALERTS))
+  }, [enabled, contracts, values])
+
+  // the oldest alert expires first
+  useEffect(() => {
+    if (!alerts.length) return
+    const timer = setTimeout(() => setAlerts(prev => prev.slice(1)), Math.max(0, alerts[0].at + ALERT_MS - Date.now()))
+    return () => clearTimeout(timer)
+  }, [alerts])
+
+  const dismissAlert = useCallback((id) => setAlerts(prev => prev.filter(a => a.id !== id)), [])
+
+  return { alerts: enabled ? alerts : [], dismissAlert }
+}
+
+export default useBreakEvenAlerts
@@ -0,0 +1,30 @@
+// This hook keeps the archive of contracts that left the board (see engine/archive.js) with the game, so it is
+// part of session exports and survives reloads.
+
+import { useCallback } from 'react'
+import { useLocalStorage } from './useWebStorage.js'
+import { archiveContract } from '../engine/archive.js'
+
+/**
+ * useContractArchive
+ * Returned shape:
+ * {
+ *   archive: ArchiveEntry[],     // oldest first, the last 500 contracts
+ *   recordContract: (contract, payouts, outcome, { values, effect, at }) => void,   // useContracts' onSettle arguments
+ *   resetArchive: () => void,
+ * }
+ */
+export function useContractArchive() {
+  const [archive, setArchive] = useLocalStorage('contractArchive', [])
+
+  const recordContract = useCallback((contract, payouts, outcome, details = {}) => {
+    if (!contract) return
+    setArchive(prev => archiveContract(prev, contract, outcome, { payouts, ...details }))
+  }, [setArchive])
+
+  const resetArchive = useCallback(() => setArchive([]), [setArchive])
+
+  return { archive, recordContract, resetArchive }
+}
+
+export default useContractArchive
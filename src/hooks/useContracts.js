@@ -1,6 +1,13 @@
-import {useCallback, useEffect, useState} from "react";
+import {useCallback, useEffect, useMemo, useRef, useState} from "react";
 import { ContractLabels } from "../constants/contract-labels.js";
 import { useLocalStorage } from "./useWebStorage.ts";
+import { resources as defaultResources, buildDependentsMap } from "../constants/resources.js";
+import { resourceTiers } from "../engine/contractTypes.js";
+import { addContractEffect, priceEffect } from "../engine/archive.js";
+import { applyResourceValue } from "../engine/resources.js";
+import { appendTargetHistory, defaultTargetGrowth, growTargetValue, MAX_TARGET_VALUE } from "../engine/targetGrowth.js";
+import { defaultMarketImpact } from "../lib/marketImpact.js";
+import { contractOutcomeChanges, dropUnknownContracts, dueContracts, filterCatalogValues, generateContracts, isFullyDelivered, recordDelivery, setPinned, settleContract, syncContractClocks, trimContracts } from "../engine/contracts.js";
 
 // Contracts are generated from the following json schema:
 
@@ -12,152 +19,262 @@ import { useLocalStorage } from "./useWebStorage.ts";
 //     resourceEvenness: number // how evenly distributed the resource quantities are (0-1, where 0 is all one resource, 1 is perfectly even)
 // }
 
-// The reward for a contract is based on the total value of the resources it requires, with bonuses for higher-tier resources and for fulfilling specialist components.
+// The reward for a contract is based on the total value of the resources it requires, scaled by its type.
 //
-// const generateContractTemplate = (targetValue) => {
-//     return {
-//         value: targetValue,
-//         reward: Math.floor(targetValue * (.8 + Math.random() * 0.7)), // base reward is 80-150% of value
-//         includedTiers: Math.floor(20 + Math.random() * 80), // include 20-100% of tiers
-//         resourceDiversityPerTier: Math.floor(20 + Math.random() * 80), // include 20-100% of resources per tier
-//         resourceEvenness: parseFloat((Math.random()).toFixed(2)) // evenness between 0 and 1
-//     }
-// }
+// The template fields are drawn by createContractTemplate for the "Spread" type; the other types (specialist,
+// mixed, tier-locked, rush, bulk, premium) pick their resources their own way. See engine/contractTypes.js.
+
+/**
+ * useContracts
+ * Manages the contract lifecycle (generate, deliver, decay, complete) relative to current resource values.
+ * Generation and outcome rules live in engine/contracts.js; this hook keeps the board in storage-backed state.
+ * Options:
+ *   startValue: initial target value of generated contracts
+ *   contractCount: number of concurrent contracts to maintain
+ *   rewardMinMultiplier / rewardMaxMultiplier: payout range relative to contract value
+ *   paused: stops generation
+ *   driving: false mirrors the board without generating, decaying or touching clocks (shared session viewer)
+ *   clocksRunning: false stops every decay clock, keeping the remaining time (paused, round mode)
+ *   decayTimeMs: lifetime of a contract's decay clock
+ *   allDecay: every contract has a running clock (default: only the last one on the board)
+ *   scaleDecayWithDifficulty: lifetime multiplied by the contract's difficulty
+ *   autoRefill: top the board up as soon as a contract leaves (default); when false it is only topped up on
+ *     requestRefill() (round mode refills at the end of a round) and on reset
+ *   maxResources: cap on distinct resources per contract
+ *   contractTypeWeights: spawn weight per contract type (see engine/contractTypes.js)
+ *   targetGrowth: how the target value grows (see engine/targetGrowth.js); per round rules grow on growTargetForRound()
+ *   resourceList: live resource catalog (contracts only request catalog resources)
+ *   contractLabels: company names to pick contract labels from
+ *   proRateDecayReward: a contract decaying part-filled pays the delivered share of its reward
+ *   rewardMultiplier: scales the reward of new contracts (reputation)
+ *   penaltyChance: share of new contracts (0-1) with a penalty clause
+ *   playerIds: the roster, who share the penalty of a decaying contract nobody delivered to
+ *   onSettle(contract, payouts, outcome, details): called for every contract leaving the board ('complete' | 'decay')
+ *     with its payouts ([{ playerId, reward, marketValue, partial?, penalty?, shared? }], see settleContract in engine/contracts.js)
+ *     and details { values, effect, at }: the prices before its market impact and that impact (see engine/archive.js)
+ *   marketImpact: market impact model applied per delivery and on completion / decay (see lib/marketImpact.js)
+ *   dependentsMap: componentName -> dependent resource names (for market impact spillover)
+ *   ignoreMin: whether resource minimums are ignored (only used to record the price effects that apply)
+ *   random: () => number in [0, 1), the game's seeded 'contracts' stream (every random decision goes through it)
+ */
+export const useContracts = (values, setResourceValue, options = {}) => {
+    const {
+        startValue = 50,
+        contractCount,
+        rewardMinMultiplier = 1,
+        rewardMaxMultiplier = 1.4,
+        paused = false,
+        driving = true,
+        clocksRunning = true,
+        decayTimeMs = 15000,
+        allDecay = false,
+        scaleDecayWithDifficulty = false,
+        autoRefill = true,
+        maxResources = Infinity,
+        contractTypeWeights,
+        targetGrowth = defaultTargetGrowth,
+        resourceList = null,
+        contractLabels = ContractLabels,
+        proRateDecayReward = false,
+        rewardMultiplier = 1,
+        penaltyChance = 0,
+        playerIds,
+        onSettle,
+        marketImpact = defaultMarketImpact,
+        dependentsMap: dependentsMapOption,
+        ignoreMin = false,
+        random = Math.random,
+    } = options;
+    const impactResources = resourceList || defaultResources;
+    const dependentsMap = useMemo(() => dependentsMapOption || buildDependentsMap(impactResources), [dependentsMapOption, impactResources]);
+    const tiers = useMemo(() => resourceTiers(impactResources), [impactResources]);
+    const resourceMap = useMemo(() => Object.fromEntries(impactResources.map(r => [r.name, r])), [impactResources]);
 
-export const useContracts = (
-    values,
-    setResourceValue,
-    startValue = 50,
-    contractCount,
-    rewardMinMultiplier = 1,
-    rewardMaxMultiplier = 1.4,
-    paused = false,
-    maxResources = Infinity
-) => {
+    // Move prices according to the market impact model ('complete' lowers, 'decay' raises);
+    // several contracts resolved at once compound on each other's prices. Returns each one's price effect,
+    // replayed with the resource minimums so it records the prices that actually apply. The resource histories
+    // record each change with the contract that made it (the last one, for a resource several contracts moved).
+    const applyMarketImpact = useCallback((resolved, outcome, { cause = outcome, at = Date.now() } = {}) => {
+        let next = values;
+        const changes = {};
+        const movedBy = {};
+        const effects = resolved.map(contract => {
+            const contractChanges = contractOutcomeChanges(contract, outcome, {
+                values: next,
+                resourceList: impactResources,
+                dependentsMap,
+                marketImpact,
+            });
+            const applied = Object.entries(contractChanges).reduce(
+                (vals, [name, value]) => applyResourceValue(vals, name, value, { resourceMap, dependentsMap, ignoreMin }).values,
+                next,
+            );
+            const effect = priceEffect(next, applied, cause, at);
+            next = { ...next, ...contractChanges };
+            Object.assign(changes, contractChanges);
+            for (const name of Object.keys(contractChanges)) movedBy[name] = contract.id;
+            return effect;
+        });
+        const source = cause === 'delivery' ? 'delivery' : `contract-${outcome}`;
+        Object.entries(changes).forEach(([name, value]) => setResourceValue(name, value, { source, contractId: movedBy[name], at }));
+        return effects;
+    }, [values, impactResources, resourceMap, dependentsMap, ignoreMin, marketImpact, setResourceValue]);
     const [contracts, setContracts] = useLocalStorage('contracts', []);
     const [startTargetValue, _] = useState(startValue);
     const [currentTargetValue, setCurrentTargetValue] = useLocalStorage('currentContractTargetValue', startTargetValue); // Adjusts overall contract difficulty and rewards
-    const [contractDifficulty, setContractDifficulty] = useLocalStorage('contractDifficulty', 1); // Multiplier for contract difficulty (1 = normal, >1 harder, <1 easier)
+    const [targetHistory, setTargetHistory] = useLocalStorage('targetValueHistory', []); // every change of the target value, for the chart
 
-    const generateRandomContract = useCallback((targetValue, id) => {
-        const scaledTarget = targetValue * contractDifficulty; // apply difficulty multiplier
-        let currentValue = 0;
-        const selectedResources = {};
-
-        // Determine if this is a specialist contract (50% chance)
-        const isSpecialist = Math.random() < 0.5;
-        let specialistResource = null;
-        if (isSpecialist) {
-            // 50% for 1 resource, 50% for 2
-            const numSpecialists = Math.random() < 0.5 ? 1 : 2;
-            const allResources = Object.keys(values);
-            const shuffled = allResources.sort(() => 0.5 - Math.random());
-            specialistResource = shuffled.slice(0, Math.min(numSpecialists, maxResources)); // clamp to maxResources
-
-            // Randomly add any of the specialist resources until we hit the target value
-            while (currentValue < scaledTarget) {
-                const resName = specialistResource[Math.floor(Math.random() * specialistResource.length)];
-                const resValue = values[resName];
-                if (resValue + currentValue > scaledTarget) break; // stop if would exceed target
-                selectedResources[resName] = (selectedResources[resName] || 0) + 1;
-                currentValue += resValue;
-            }
-        } else {
-            while (currentValue < scaledTarget) {
-                // Filter resources that would not exceed target AND (if distinct limit reached) are already selected
-                const resourceEntries = Object.entries(values).filter(([name, val]) => val + currentValue <= scaledTarget && (Object.keys(selectedResources).length < maxResources || selectedResources[name] != null));
-                if (resourceEntries.length === 0) break; // No valid resources left to add
-
-                const [resourceName, resourceValue] = resourceEntries[Math.floor(Math.random() * resourceEntries.length)];
-                selectedResources[resourceName] = (selectedResources[resourceName] || 0) + 1;
-                currentValue += resourceValue;
-            }
-        }
-
-        // pick a label not currently in use
-        const existingLabels = new Set(contracts.map(c => c.label));
-        let label;
-        // pick a random label from ContractLabels
-        const availableLabels = ContractLabels.filter(l => !existingLabels.has(l));
-        if (availableLabels.length === 0) {
-            label = `Contract ${id + 1}`;
-        }
-        else {
-            const randLabelIndex = Math.floor(Math.random() * availableLabels.length);
-            label = availableLabels[randLabelIndex];
-        }
-        const minMult = Math.max(0.1, Math.min(rewardMinMultiplier, rewardMaxMultiplier));
-        const maxMult = Math.max(minMult, rewardMaxMultiplier);
-        const reward = Math.floor(currentValue * (minMult + Math.random() * (maxMult - minMult)));
-        return {
-            value: currentValue,
-            reward,
-            resources: selectedResources,
-            id,
-            label,
-            difficulty: contractDifficulty,
-            rewardRange: { min: minMult, max: maxMult },
-            maxResources
-        };
+    // Change the target value and record why (completion, round, manual edit or reset)
+    const changeTargetValue = useCallback((next, cause) => {
+        if (!Number.isFinite(next) || next <= 0 || next === currentTargetValue) return;
+        setCurrentTargetValue(next);
+        setTargetHistory(h => appendTargetHistory(h.length ? h : [{ at: Date.now(), value: currentTargetValue, cause: 'reset' }], next, cause));
+    }, [currentTargetValue, setCurrentTargetValue, setTargetHistory]);
+    const growTargetForRound = useCallback(() => {
+        changeTargetValue(growTargetValue(currentTargetValue, targetGrowth, 'round'), 'round');
+    }, [changeTargetValue, currentTargetValue, targetGrowth]);
+    const [contractDifficulty, setContractDifficulty] = useLocalStorage('contractDifficulty', 1); // Multiplier for contract difficulty (1 = normal, >1 harder, <1 easier)
 
-    }, [values, contracts, contractDifficulty, rewardMinMultiplier, rewardMaxMultiplier, maxResources])
+    // Only resources in the live catalog (with a known value) may be requested
+    const catalogValues = useMemo(() => filterCatalogValues(values, resourceList), [values, resourceList]);
 
     const addNewContract = useCallback((targetValue, repeat = 1) => {
-        const newContracts = [];
-        for (let i = 0; i < repeat; i++) {
-            // Generate uuid
-            const id = Date.now() + Math.floor(Math.random() * 1000) + i;
-            newContracts.push(generateRandomContract(targetValue, id));
-        }
+        const newContracts = generateContracts(targetValue, repeat, {
+            values: catalogValues,
+            tiers,
+            typeWeights: contractTypeWeights,
+            rewardMultiplier,
+            penaltyChance,
+            existing: contracts,
+            difficulty: contractDifficulty,
+            rewardMinMultiplier,
+            rewardMaxMultiplier,
+            maxResources,
+            contractLabels,
+            random,
+        });
         setContracts(prev => [...newContracts, ...prev]);
-    }, [setContracts, generateRandomContract]);
+    }, [setContracts, catalogValues, tiers, contractTypeWeights, rewardMultiplier, penaltyChance, contracts, contractDifficulty, rewardMinMultiplier, rewardMaxMultiplier, maxResources, contractLabels, random]);
+
+    // Pay out contracts leaving the board and move the prices of whatever was never delivered
+    const settle = useCallback((resolved, outcome, playerId = null) => {
+        const at = Date.now();
+        const settled = resolved.map(contract => ({ contract, ...settleContract(contract, outcome, { values, playerId, proRate: proRateDecayReward, playerIds, at }) }));
+        const effects = applyMarketImpact(settled.map(s => s.impacted), outcome, { at });
+        if (onSettle) settled.forEach(({ contract, payouts }, i) => onSettle(contract, payouts, outcome, { values, effect: effects[i], at }));
+    }, [values, proRateDecayReward, playerIds, onSettle, applyMarketImpact]);
 
-    const completeContract = useCallback((contractId) => {
+    // Remaining resources are delivered on behalf of playerId
+    const completeContract = useCallback((contractId, playerId = null) => {
         const contract = contracts.find(c => c.id === contractId);
         setContracts(prev => prev.filter(c => c.id !== contractId));
         // Increase difficulty first
-        setCurrentTargetValue(prev => prev * 1.1);
+        changeTargetValue(growTargetValue(currentTargetValue, targetGrowth, 'complete'), 'complete');
         // Apply resource value decrease
-        if (contract) {
-            Object.entries(contract.resources).forEach(([name, qty]) => {
-                setResourceValue(name, Math.max(2, Math.floor(values[name] * (1 - 0.05 * qty))));
-            });
+        if (contract) settle([contract], 'complete', playerId);
+    }, [contracts, setContracts, settle, changeTargetValue, currentTargetValue, targetGrowth]);
+
+    // Partial fulfilment: the delivered units move prices right away; the last unit completes the contract
+    const deliverResource = useCallback((contractId, name, qty, playerId = null) => {
+        const contract = contracts.find(c => c.id === contractId);
+        if (!contract) return;
+        const at = Date.now();
+        const delivery = recordDelivery(contract, name, qty, { playerId, values, at });
+        if (!delivery.qty) return;
+        const [effect] = applyMarketImpact([{ id: contractId, resources: { [name]: delivery.qty } }], 'complete', { cause: 'delivery', at });
+        const delivered = addContractEffect(delivery.contract, effect);
+        if (isFullyDelivered(delivered)) {
+            setContracts(prev => prev.filter(c => c.id !== contractId));
+            changeTargetValue(growTargetValue(currentTargetValue, targetGrowth, 'complete'), 'complete');
+            // settles like completeContract; nothing is left undelivered, so no further price moves
+            settle([delivered], 'complete', playerId);
+        } else {
+            setContracts(prev => prev.map(c => c.id === contractId ? { ...c, deliveries: delivered.deliveries, effects: delivered.effects } : c));
         }
-    }, [contracts, setContracts, setResourceValue, values]);
+    }, [contracts, values, setContracts, changeTargetValue, currentTargetValue, targetGrowth, applyMarketImpact, settle]);
 
     // Maintain desired contract count whenever dependencies change
+    const [refillRequests, setRefillRequests] = useState(0);
+    const requestRefill = useCallback(() => setRefillRequests(n => n + 1), []);
+    const handledRefillsRef = useRef(refillRequests);
     useEffect(() => {
-        if (paused) return; // do not generate while paused
+        if (paused || !driving) return; // do not generate while paused
         if (contractCount == null) return; // guard
+        const refillRequested = handledRefillsRef.current !== refillRequests;
+        handledRefillsRef.current = refillRequests;
         if (contracts.length < contractCount) {
+            if (!autoRefill && !refillRequested) return; // wait for the next refill request
             const missing = contractCount - contracts.length;
             addNewContract(currentTargetValue, missing);
         } else if (contracts.length > contractCount) {
-            setContracts(prev => prev.slice(0, contractCount));
+            setContracts(prev => trimContracts(prev, contractCount)); // pinned contracts stay
         }
-    }, [paused, contractCount, contracts.length, currentTargetValue, addNewContract, setContracts, contractDifficulty]);
+    }, [paused, contractCount, contracts.length, currentTargetValue, addNewContract, setContracts, contractDifficulty, autoRefill, refillRequests, driving]);
+
+    // Drop contracts that require resources no longer in the catalog (the count effect above refills them)
+    useEffect(() => {
+        if (!resourceList) return;
+        setContracts(prev => dropUnknownContracts(prev, resourceList));
+    }, [resourceList, setContracts]);
 
     // If difficulty changes and there are no contracts yet, seed immediately
     useEffect(() => {
-        if (paused) return;
+        if (paused || !driving) return;
         if (contracts.length === 0 && contractCount) addNewContract(startTargetValue, contractCount);
-    }, [contractDifficulty, paused]);
+    }, [contractDifficulty, paused, driving]);
 
-    const onContractDecay = useCallback((contractId) => {
-        const contract = contracts.find(c => c.id === contractId);
-        setContracts(prev => prev.filter(c => c.id !== contractId));
-        if (contract) {
-            Object.entries(contract.resources).forEach(([name, qty]) => {
-                setResourceValue(name, Math.ceil(values[name] * (1 + 0.05 * qty)));
-            });
-        }
-    }, [contracts, setContracts, setResourceValue, values]);
+    // Lets one or more contracts expire together (their market impact is applied as one batch)
+    const onContractDecay = useCallback((...contractIds) => {
+        const ids = new Set(contractIds);
+        const expired = contracts.filter(c => ids.has(c.id));
+        setContracts(prev => prev.filter(c => !ids.has(c.id)));
+        if (expired.length) settle(expired, 'decay');
+    }, [contracts, setContracts, settle]);
+
+    // Decay clocks: every contract that should tick carries a persisted deadline (or its remaining time while
+    // stopped), so countdowns survive reloads and pauses
+    useEffect(() => {
+        if (!driving) return;
+        setContracts(prev => syncContractClocks(prev, {
+            now: Date.now(),
+            running: clocksRunning,
+            allDecay,
+            decayTimeMs,
+            scaleWithDifficulty: scaleDecayWithDifficulty,
+        }));
+    }, [contracts, driving, clocksRunning, allDecay, decayTimeMs, scaleDecayWithDifficulty, setContracts]);
 
+    // Expire every contract whose deadline has passed (all at once after a reload)
+    const decayDueRef = useRef(null);
+    decayDueRef.current = (now) => {
+        const due = dueContracts(contracts, now);
+        if (!due.length) return;
+        const ids = new Set(due.map(c => c.id));
+        setContracts(prev => prev.filter(c => !ids.has(c.id)));
+        settle(due, 'decay');
+    };
+    useEffect(() => {
+        if (!driving || !clocksRunning) return;
+        const deadlines = contracts.map(c => c.deadline).filter(d => d != null);
+        if (!deadlines.length) return;
+        const timer = setTimeout(() => decayDueRef.current(Date.now()), Math.max(0, Math.min(...deadlines) - Date.now()));
+        return () => clearTimeout(timer);
+    }, [contracts, driving, clocksRunning]);
+
+    // Clearing is enough: the count effect refills from the (possibly re-seeded) values on the next render
     const reset = useCallback(() => {
         setContracts([]);
         setCurrentTargetValue(startTargetValue);
-        if (!paused && contractCount) addNewContract(startTargetValue, contractCount);
-    }, [addNewContract, startTargetValue, contractCount, setContracts, paused]);
+        setTargetHistory([{ at: Date.now(), value: startTargetValue, cause: 'reset' }]);
+        requestRefill();
+    }, [startTargetValue, setContracts, setCurrentTargetValue, setTargetHistory, requestRefill]);
+
+    const setTargetValue = useCallback((v) => changeTargetValue(Math.min(MAX_TARGET_VALUE, Math.round(v * 100) / 100), 'manual'), [changeTargetValue]);
+
+    // Pinned contracts survive the board shrinking (and the row shows them first)
+    const pinContract = useCallback((id, pinned) => {
+        setContracts(prev => prev.map(c => c.id === id ? setPinned(c, pinned) : c));
+    }, [setContracts]);
 
-    return { contracts, completeContract, resetContracts: reset, onContractDecay, contractDifficulty, setContractDifficulty };
+    return { contracts, completeContract, pinContract, deliverResource, resetContracts: reset, onContractDecay, requestRefill, contractDifficulty, setContractDifficulty, targetValue: currentTargetValue, setTargetValue, targetHistory, growTargetForRound };
 }
\ No newline at end of file
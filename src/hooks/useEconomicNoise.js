@@ -1,69 +1,55 @@
-import { useEffect, useRef, useCallback } from 'react'
+import { useEffect, useRef, useCallback, useState } from 'react'
 import {useLocalStorage} from "./useWebStorage.js";
+import { computeNoiseTick, correlateNoiseTick, defaultNoiseModel } from '../engine/noise.js'
 
 /**
  * useEconomicNoise
  * Introduces periodic random perturbations to resource values.
- * - Resources farther above their minimum are more likely to decrease.
- * - Resources near their minimum are more likely to increase.
- * - Small percentage step (2% of current value, min 1) applied per tick.
- * - Each tick only a subset (50%) of resources is considered to reduce churn.
+ * The per-resource rules (noise models) live in engine/noise.js; this hook owns the timer and the on/off state.
  *
- * Signature: useEconomicNoise(byTier, values, histories, setResourceValue) -> toggleFn
- * Calling the returned function toggles the noise on/off.
+ * Signature: useEconomicNoise(byTier, values, histories, setResourceValue, ignoreMin, noiseInterval, paused, random, model, anchors, dependentsMap) -> { toggle, active, tick, shock }
+ * toggle() switches the noise on/off; tick() applies one tick right away (round mode drives noise this way).
+ * random: () => number in [0, 1), the game's seeded 'noise' stream (see hooks/useSeededRandom.js)
+ * model: the active NoiseModel; anchors: { [resourceName]: price } mean reversion pulls toward (resourceBases)
+ * dependentsMap: { [component]: string[] } the graph model.coupling correlates moves along
+ * shock: { paths: ShockPath[], at } edges the last correlated tick carried a move along, or null once it has faded
  */
-const useEconomicNoise = (byTier, values, histories, setResourceValue, ignoreMin, noiseInterval = 5000, paused = false) => {
+const SHOCK_MS = 1500
+
+const useEconomicNoise = (byTier, values, histories, setResourceValue, ignoreMin, noiseInterval = 5000, paused = false, random = Math.random, model = defaultNoiseModel, anchors = {}, dependentsMap = {}) => {
   const [active, setActive] = useLocalStorage('noiseActive', false)
+  const [shock, setShock] = useState(null)
   const intervalRef = useRef(null)
-  const dataRef = useRef({ byTier, values })
-  dataRef.current = { byTier, values }
-
-  const computeAdjustment = useCallback((res) => {
-    const { min, value, name } = res
-
-    // 40% chance no adjustment
-    const rand = Math.random()
-    if (rand < 0.4) return { name, next: value }
-
-    if (ignoreMin) {
-      // As the value gets farther from the min in either direction, it should be less likely to change further in that direction.
-      // So we use a simple linear probability based on distance from 1 (the absolute minimum).
-      const aboveMinPercentage = Math.abs(value - min) / min // e.g. 0 = at min, 1 = double min, 2 = triple min
-      const pDown = 0.5 + 0.4 * aboveMinPercentage
-      const rand = Math.random()
-      const towardsMin = value > min ? -1 : 1
-      const direction = rand < pDown ? towardsMin : -towardsMin
-
-      let target = value + direction
-      if (target < 1) target = 1
-      if (target === value) return null
-
-      return { name, next: target }
-    } else {
-      const aboveMinPercentage = (value - min) / min // e.g. 0 = at min, 1 = double min, 2 = triple min
-      const pDown = 0.1 + 0.8 * aboveMinPercentage // 10% to 90% chance to go down
-      const rand = Math.random()
-      const direction = rand < pDown ? -1 : 1
-      let target = value + direction
-      if (target < min) target = min
-      if (target === value) return null
-
-      return {name, next: target}
-    }
-  }, [ignoreMin])
+  const dataRef = useRef({ byTier, values, histories, anchors })
+  dataRef.current = { byTier, values, histories, anchors }
 
   const tick = useCallback(() => {
-    const { byTier } = dataRef.current
+    const { byTier, histories, anchors } = dataRef.current
     if (!byTier) return
-    const resources = Object.values(byTier).flatMap(t => t.resources || [])
+    const resources = Object.values(byTier)
+      .flatMap(t => t.resources || [])
+      .map(r => ({ name: r.name, tier: r.tier, components: r.components, min: r.min, value: r.value, anchor: anchors[r.name], history: histories[r.name] }))
     if (!resources.length) return
-    for (const res of resources) {
-      const adj = computeAdjustment(res)
-      if (adj) {
-        setResourceValue(adj.name, adj.next)
-      }
+    const options = { ignoreMin, random, model }
+    const { adjustments, paths } = correlateNoiseTick(resources, computeNoiseTick(resources, options), { ...options, dependentsMap })
+    const cause = { source: 'noise', at: Date.now() }
+    for (const adj of adjustments) {
+      setResourceValue(adj.name, adj.next, cause)
     }
-  }, [computeAdjustment])
+    if (paths.length) setShock({ paths, at: Date.now() })
+  }, [ignoreMin, random, model, dependentsMap])
+
+  // the highlighted shock paths fade after a moment
+  useEffect(() => {
+    if (!shock) return
+    const id = setTimeout(() => setShock(null), SHOCK_MS)
+    return () => clearTimeout(id)
+  }, [shock])
+
+  // the timer calls the latest tick, so new settings (model, random stream, ...) don't restart it or tick out of turn;
+  // it only (re)starts, with an immediate tick, when noise is switched on, resumed or its interval changes
+  const tickRef = useRef(tick)
+  tickRef.current = tick
 
   useEffect(() => {
     // Always clear any existing interval before (re)starting
@@ -72,21 +58,19 @@ const useEconomicNoise = (byTier, values, histories, setResourceValue, ignoreMin
       intervalRef.current = null
     }
     if (!active || paused) return
-    intervalRef.current = setInterval(tick, noiseInterval)
-    tick() // immediate tick
+    intervalRef.current = setInterval(() => tickRef.current(), noiseInterval)
+    tickRef.current() // immediate tick
     return () => {
       if (intervalRef.current) {
         clearInterval(intervalRef.current)
         intervalRef.current = null
       }
     }
-  }, [active, tick, noiseInterval, paused])
+  }, [active, noiseInterval, paused])
 
   const toggle = useCallback(() => setActive(a => !a), [])
 
-  return { toggle, active }
+  return { toggle, active, tick, shock }
 }
 
-// Notes:
-// - histories parameter is currently unused, but kept in signature for future enhancements (e.g., volatility tracking).
 export default useEconomicNoise
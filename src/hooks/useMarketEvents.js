@@ -0,0 +1,88 @@
+// This hook runs the market events of the active game (the rules live in engine/marketEvents.js).
+// A one second timer moves them on while the market clock runs; in round mode ending a round does (advanceRound).
+// Price changes go through setResourceValue as relative updates, so they add up with noise and market impact
+// applied in the same moment. The events' state is stored with the game.
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useLocalStorage } from './useWebStorage.js'
+import { computeMin } from '../engine/resources.js'
+import { advanceMarketEvents, createMarketEvents, defaultMarketEvents, marketClock, syncMarketClock } from '../engine/marketEvents.js'
+
+const TICK_MS = 1000
+const INITIAL_EVENTS = createMarketEvents()
+
+/**
+ * useMarketEvents
+ * Options:
+ *   settings: MarketEventSettings (the `marketEvents` setting)
+ *   running: the market clock runs (not paused and not in round mode)
+ *   roundMode: events last rounds instead of play time
+ *   driving: false mirrors the events without running them (shared session viewer)
+ *   values: current prices; resources: the catalog (for mins); ignoreMin: boolean
+ *   setResourceValue(name, valueOrUpdater, cause)
+ *   random: () => number in [0, 1), the game's seeded 'events' stream
+ * Returned shape:
+ * {
+ *   events: ActiveEvent[],              // running and fading events
+ *   clockMs: number, round: number,     // market clock (for countdowns)
+ *   log: [{ id, cardId, title, at, endedAt }],
+ *   advanceRound: () => void,           // one ended round (round mode)
+ *   triggerEvent: (cardId) => void,     // start a card of the deck now
+ *   resetEvents: () => void,            // clock back to 0, no events (prices are left alone)
+ * }
+ */
+export function useMarketEvents({ settings = defaultMarketEvents, running, roundMode = false, driving = true, values, resources = [], ignoreMin = false, setResourceValue, random = Math.random }) {
+  const [state, setState] = useLocalStorage('marketEvents', INITIAL_EVENTS)
+  const [now, setNow] = useState(() => Date.now())
+  const dataRef = useRef({ state, values })
+  dataRef.current = { state, values }
+
+  const advance = useCallback((options = {}) => {
+    const { state, values } = dataRef.current
+    const at = Date.now()
+    const mins = Object.fromEntries(resources.map(r => [r.name, computeMin(r, values)]))
+    const result = advanceMarketEvents(state, settings, { now: at, values, mins, ignoreMin, random, roundMode, ...options })
+    setNow(at)
+    if (result.state === state) return
+    dataRef.current = { ...dataRef.current, state: result.state }
+    setState(result.state)
+    for (const [name, delta] of Object.entries(result.deltas)) setResourceValue(name, v => v + delta, { source: 'event', at })
+  }, [settings, resources, ignoreMin, random, roundMode, setState, setResourceValue])
+
+  // start / stop the market clock with the game
+  const clockRunning = state.runningSince != null
+  useEffect(() => {
+    if (!driving || running === clockRunning) return
+    setState(s => syncMarketClock(s, running))
+  }, [driving, running, clockRunning, setState])
+
+  // real time: check every second while events can happen or are still running
+  const idle = !settings.enabled && !state.active.length
+  useEffect(() => {
+    if (!driving || !running || idle) return
+    const id = setInterval(() => advance(), TICK_MS)
+    return () => clearInterval(id)
+  }, [driving, running, idle, advance])
+
+  const advanceRound = useCallback(() => {
+    if (driving) advance({ rounds: 1 })
+  }, [driving, advance])
+
+  const triggerEvent = useCallback((cardId) => {
+    if (driving) advance({ trigger: cardId })
+  }, [driving, advance])
+
+  const resetEvents = useCallback(() => setState(createMarketEvents(settings)), [settings, setState])
+
+  return {
+    events: state.active,
+    clockMs: marketClock(state, now),
+    round: state.round,
+    log: state.log,
+    advanceRound,
+    triggerEvent,
+    resetEvents,
+  }
+}
+
+export default useMarketEvents
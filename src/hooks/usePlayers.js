@@ -0,0 +1,63 @@
+// This hook manages the player roster and every player's ledger of fulfilled contracts.
+// Both are stored with the game (the active save slot); the ledger rules live in engine/players.js.
+
+import { useCallback, useMemo } from 'react'
+import { useLocalStorage } from './useWebStorage.js'
+import { createPlayer, recordFulfilment, recordPayouts, scoreboard, MAX_PLAYER_NAME } from '../engine/players.js'
+
+/**
+ * usePlayers
+ * Returned shape:
+ * {
+ *   players: [{ id, name }],
+ *   ledgers: { [playerId]: LedgerEntry[] } (see engine/players.js),
+ *   standings: [{ id, name, rank, rewards, contracts, marketValue }],   // ranked by rewards
+ *   addPlayer: (name) => void,
+ *   renamePlayer: (id, name) => void,
+ *   removePlayer: (id) => void,             // drops the player's ledger too
+ *   recordFulfilment: (playerId, contract, marketValue) => void,
+ *   recordPayouts: (contract, payouts) => void,   // a settled contract's payouts (useContracts onSettle)
+ *   resetLedgers: () => void,               // keeps the roster
+ * }
+ */
+export function usePlayers() {
+  const [players, setPlayers] = useLocalStorage('players', [])
+  const [ledgers, setLedgers] = useLocalStorage('playerLedgers', {})
+
+  const standings = useMemo(() => scoreboard(players, ledgers), [players, ledgers])
+
+  const addPlayer = useCallback((name) => {
+    setPlayers(prev => [...prev, createPlayer(name, prev)])
+  }, [setPlayers])
+
+  const renamePlayer = useCallback((id, name) => {
+    const trimmed = name?.trim().slice(0, MAX_PLAYER_NAME)
+    if (!trimmed) return
+    setPlayers(prev => prev.map(p => p.id === id ? { ...p, name: trimmed } : p))
+  }, [setPlayers])
+
+  const removePlayer = useCallback((id) => {
+    setPlayers(prev => prev.filter(p => p.id !== id))
+    setLedgers(prev => {
+      if (!(id in prev)) return prev
+      const { [id]: _removed, ...rest } = prev
+      return rest
+    })
+  }, [setPlayers, setLedgers])
+
+  const record = useCallback((playerId, contract, marketValue) => {
+    if (!playerId || !contract) return
+    setLedgers(prev => recordFulfilment(prev, playerId, contract, marketValue))
+  }, [setLedgers])
+
+  const payouts = useCallback((contract, contractPayouts) => {
+    if (!contract || !contractPayouts?.length) return
+    setLedgers(prev => recordPayouts(prev, contract, contractPayouts))
+  }, [setLedgers])
+
+  const resetLedgers = useCallback(() => setLedgers({}), [setLedgers])
+
+  return { players, ledgers, standings, addPlayer, renamePlayer, removePlayer, recordFulfilment: record, recordPayouts: payouts, resetLedgers }
+}
+
+export default usePlayers
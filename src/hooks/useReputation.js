@@ -0,0 +1,49 @@
+// This hook keeps the table's reputation (the `reputationEnabled` setting) and its history with the game.
+// Scoring and its effect on new contracts live in engine/reputation.js.
+
+import { useCallback, useMemo } from 'react'
+import { useLocalStorage } from './useWebStorage.js'
+import { adjustTypeWeights, createReputation, recordReputation, reputationEffects } from '../engine/reputation.js'
+
+/**
+ * useReputation
+ * Options:
+ *   enabled: reputation moves and shapes new contracts
+ *   typeWeights: the contract type spawn weights setting
+ * Returned shape:
+ * {
+ *   score: number,                         // 0-100, starts at 50
+ *   history: [{ at, delta, score, outcome, contractId, label }],   // oldest first
+ *   rewardMultiplier: number,              // for new contracts (1 when disabled)
+ *   typeWeights: { [type]: number },       // spawn weights shifted by the score (unchanged when disabled)
+ *   recordOutcome: (contract, outcome) => void,   // 'complete' | 'decay'; ignored when disabled
+ *   resetReputation: () => void,
+ * }
+ */
+export function useReputation({ enabled, typeWeights }) {
+  const [reputation, setReputation] = useLocalStorage('reputation', createReputation())
+
+  const rewardMultiplier = enabled ? reputationEffects(reputation.score).rewardMultiplier : 1
+  const adjustedWeights = useMemo(
+    () => enabled ? adjustTypeWeights(typeWeights, reputation.score) : typeWeights,
+    [enabled, typeWeights, reputation.score],
+  )
+
+  const recordOutcome = useCallback((contract, outcome) => {
+    if (!enabled || !contract) return
+    setReputation(prev => recordReputation(prev, contract, outcome))
+  }, [enabled, setReputation])
+
+  const resetReputation = useCallback(() => setReputation(createReputation()), [setReputation])
+
+  return {
+    score: reputation.score,
+    history: reputation.history,
+    rewardMultiplier,
+    typeWeights: adjustedWeights,
+    recordOutcome,
+    resetReputation,
+  }
+}
+
+export default useReputation
@@ -0,0 +1,43 @@
+// This hook owns the user-editable resource catalog (the list of resources, their components and base mins).
+// The raw list is persisted; tiers are inferred on every change through the same cycle detection as the defaults.
+
+import { useCallback, useMemo } from 'react'
+import { defaultResources, resolveResources, resources as defaultResolved, resourceTiers } from '../constants/resources'
+import { useLocalStorage } from './useWebStorage.js'
+
+/**
+ * useResourceCatalog
+ * Returned shape:
+ * {
+ *   catalog: rawResource[],           // persisted raw declarations (no tier)
+ *   resources: resource[],            // resolved resources with tier (defaults if the stored catalog is invalid)
+ *   errors: string[],                 // problems with the stored catalog, empty when valid
+ *   tierLabels: { [tier]: string },   // display names per tier
+ *   setTierLabels: (labels) => void,
+ *   saveCatalog: (raw) => string[],   // validates then persists; returns errors (nothing saved when non-empty)
+ *   resetCatalog: () => void,
+ * }
+ */
+export function useResourceCatalog() {
+  const [catalog, setCatalog] = useLocalStorage('resourceCatalog', defaultResources)
+  const [tierLabels, setTierLabels] = useLocalStorage('tierLabels', resourceTiers)
+
+  const { resources, errors } = useMemo(() => {
+    const resolved = resolveResources(catalog)
+    // never break the board on a bad stored catalog, fall back to the defaults and surface the errors
+    return { resources: resolved.resources || defaultResolved, errors: resolved.errors }
+  }, [catalog])
+
+  const saveCatalog = useCallback((nextCatalog) => {
+    const { errors: nextErrors } = resolveResources(nextCatalog)
+    if (nextErrors.length) return nextErrors
+    setCatalog(nextCatalog)
+    return []
+  }, [setCatalog])
+
+  const resetCatalog = useCallback(() => setCatalog(defaultResources), [setCatalog])
+
+  return { catalog, resources, errors, tierLabels, setTierLabels, saveCatalog, resetCatalog }
+}
+
+export default useResourceCatalog
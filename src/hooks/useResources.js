@@ -3,29 +3,36 @@
 // It also exposes the max/min for a resource based on its tier
 
 // the output of this hook is by tier, and will be used to render the resources in columns
-
-import {useMemo, useState, useCallback, useEffect} from 'react'
-import { resources as resourceData, resourceTiers } from '../constants/resources'
+// The rules themselves (mins, cascade, undo) live in engine/resources.js; this hook keeps them in storage-backed state.
+
+import {useMemo, useCallback, useEffect} from 'react'
+import { resources as defaultResources, getTierLabel } from '../constants/resources'
+import {
+  actionGroup,
+  appendHistories,
+  applyResourceValue,
+  buildInitialState,
+  computeMin,
+  createResourceContext,
+  enforceMinimums,
+  revertHistories,
+  revertValues,
+  historyValue,
+  resourceBases as resolveResourceBases,
+  syncHistories,
+  syncValues,
+} from '../engine/resources.js'
 import useEconomicNoise from "./useEconomicNoise.js";
 import {useLocalStorage} from "./useWebStorage.js";
 
-// Build dependency lookup: componentName -> array of resources that depend on it
-const resourceMap = Object.fromEntries(resourceData.map(r => [r.name, r]))
-const dependentsMap = {}
-for (const r of resourceData) {
-  if (r.components) {
-    for (const c of r.components) {
-      if (!dependentsMap[c]) dependentsMap[c] = []
-      dependentsMap[c].push(r.name)
-    }
-  }
-}
-
 /**
  * useResources
  * Manages resource values and exposes structured data grouped by tier.
  * min = doubled sum of current (or building) values of its components (2 * Σ component.value); if no components, min = 5.
  * Initial value defaults to min.
+ * The resource list comes from config.resources (the live catalog), so edits to the catalog are picked up on the fly.
+ * config.random is the seeded random function used by the economic noise, config.noiseModel its active model
+ * (see engine/noise.js; mean reversion pulls toward resourceBases, coupling correlates along dependentsMap).
  *
  * Returned shape:
  * {
@@ -39,208 +46,82 @@ for (const r of resourceData) {
  *     }
  *   },
  *   values: { [resourceName]: number },
- *   histories: { [resourceName]: number[] },
- *   setResourceValue: (name, valueOrUpdater) => void,
- *   undoResourceValue: (name) => void
+ *   histories: { [resourceName]: HistoryEntry[] },   // every price with its time and cause (see engine/resources.js)
+ *   dependentsMap: { [componentName]: string[] },
+ *   setResourceValue: (name, valueOrUpdater, cause?) => void,   // cause: { source, contractId?, at? } (default manual, now)
+ *   undoResourceValue: (name) => void,
+ *   tickNoise: () => void,   // one economic noise tick right away (round mode)
+ *   noiseShock: { paths: [{ from, to, direction }], at } | null,   // graph edges the last correlated tick moved along (briefly)
  * }
  */
 export function useResources(config = {}) {
-  const { noiseIntervalMs = 5000, paused = false } = config;
+  const { noiseIntervalMs = 5000, paused = false, resources: resourceData = defaultResources, tierLabels, random, noiseModel } = config;
+  const { resourceMap, dependentsMap } = useMemo(() => createResourceContext(resourceData), [resourceData])
   const [ignoreMin, setIgnoreMin] = useLocalStorage('ignoreMin',false);
-  const [resourceBases, setResourceBases] = useLocalStorage('resourceBases', () => { {
-    // All resources have a base of 5, or what's been set in ResourceData
-    const init = {}
-    for (const r of resourceData) {
-        init[r.name] = r.min || 5
-    }
-    return init
-    }})
-
-  // helper to compute dynamic min based on current (or building) values map
-  const computeMin = useCallback((resource, currentValues) => {
-    if (!resource.components || resource.components.length === 0) {
-      return resource.min || 5
-    }
-    let sum = 0
-    for (const c of resource.components) {
-      sum += currentValues ? currentValues[c] : 0
-    }
-    return sum
-  }, [])
+  const [storedBases] = useLocalStorage('resourceBases', {})
+  // All resources have a base of 5, or what's been set in the catalog
+  const resourceBases = useMemo(() => resolveResourceBases(resourceData, storedBases), [resourceData, storedBases])
 
   // map resource name -> value (initial = min)
   const [values, setValues] = useLocalStorage('resourceValues',{});
 
-  // Setup inital resource values if not already present
+  // history: past values (including initial) of each resource, each with its time and cause
+  const [histories, setHistories] = useLocalStorage('resourceHistory',() => buildInitialState(resourceData).histories)
+
+  // Setup inital resource values if not already present, and drop values of resources removed from the catalog
     useEffect(() => {
-        setValues(prevVals => {
-            if (prevVals && Object.keys(prevVals).length === resourceData.length) return prevVals
-            const newVals = { ...prevVals }
-            for (const r of resourceData) {
-            if (typeof newVals[r.name] !== 'number') {
-                newVals[r.name] = computeMin(r, newVals)
-            }
-            }
-            return newVals
-        })
-    }, [setValues, computeMin])
+        setValues(prevVals => syncValues(prevVals, resourceData))
+        setHistories(prevHist => syncHistories(prevHist, resourceData))
+    }, [setValues, setHistories, resourceData])
 
-  // history: array of past values (including initial) for each resource
-  const [histories, setHistories] = useLocalStorage('resourceHistory',() => {
-    const init = {}
-    const tempVals = {}
-    for (const r of resourceData) {
-      const v = computeMin(r, tempVals)
-      tempVals[r.name] = v
-      init[r.name] = [v]
-    }
-    return init
-  })
-  // stack of grouped change actions for global undo (each entry = { changes: [{name, prevValue, nextValue, cascading?}] })
+  // stack of grouped change actions for global undo (each entry = { changes: [{name, prevValue, nextValue, cascading?}], at, source, contractId? })
   const [actionLog, setActionLog] = useLocalStorage('actionLog',[])
 
-  // builder for fresh initial state (kept inside to use current computeMin impl)
-  const buildInitial = useCallback(() => {
-    const initVals = {}
-    for (const r of resourceData) initVals[r.name] = computeMin(r, initVals)
-    const initHist = {}
-    for (const r of resourceData) initHist[r.name] = [initVals[r.name]]
-    return { initVals, initHist }
-  }, [computeMin])
-
   const getBounds = useCallback((resource) => ({
     min: computeMin(resource, values),
     // max removed
-  }), [computeMin, values])
-
-  const setResourceValue = useCallback((name, valueOrUpdater) => {
-    const resource = resourceMap[name]
-    if (!resource) return
-    const { min } = getBounds(resource)
-
-    const cascadeAdjustments = [] // {name, prevValue, nextValue}
-    let primaryChange = null
+  }), [values])
 
+  const setResourceValue = useCallback((name, valueOrUpdater, cause = {}) => {
+    const stamped = { source: 'manual', ...cause, at: cause.at ?? Date.now() }
     setValues(prevVals => {
-      const prevValue = prevVals[name]
-      let nextValue = typeof valueOrUpdater === 'function' ? valueOrUpdater(prevValue) : valueOrUpdater
-      if (typeof nextValue === 'string' && nextValue.trim() !== '') {
-        const parsed = Number(nextValue)
-        if (!Number.isNaN(parsed)) nextValue = parsed
-      }
-      if (typeof nextValue !== 'number' || Number.isNaN(nextValue)) return prevVals
-      if (!ignoreMin && nextValue < min) nextValue = min
-      // if (nextValue === prevValue) return prevVals
-
-      // Apply primary change
-      const newVals = { ...prevVals, [name]: nextValue }
-      primaryChange = { name, prevValue, nextValue }
-
-      // Only cascade if value increased AND we are respecting minimums
-      if (!ignoreMin && nextValue > prevValue) {
-        const queue = [name]
-        const visited = new Set([name])
-        while (queue.length) {
-          const current = queue.shift()
-          const dependents = dependentsMap[current] || []
-          for (const depName of dependents) {
-            const depResource = resourceMap[depName]
-            if (!depResource) continue
-            const depMin = computeMin(depResource, newVals)
-            const depPrev = newVals[depName]
-            if (depPrev < depMin) {
-              newVals[depName] = depMin
-              cascadeAdjustments.push({ name: depName, prevValue: depPrev, nextValue: depMin })
-              if (!visited.has(depName)) {
-                queue.push(depName)
-                visited.add(depName)
-              }
-            }
-          }
-        }
-      }
+      const { values: newVals, changes } = applyResourceValue(prevVals, name, valueOrUpdater, { resourceMap, dependentsMap, ignoreMin })
+      if (!changes.length) return prevVals
       // Update histories & action log after state mutation
-      if (primaryChange) {
-        const grouped = [primaryChange, ...cascadeAdjustments.map(a => ({ ...a, cascading: true }))]
-        setHistories(prevHist => {
-          const updated = { ...prevHist }
-          for (const ch of grouped) {
-            const arr = updated[ch.name] || []
-            updated[ch.name] = [...arr, ch.nextValue]
-          }
-          return updated
-        })
-        setActionLog(prev => [...prev, { changes: grouped }])
-      }
-
+      setHistories(prevHist => appendHistories(prevHist, changes, stamped))
+      setActionLog(prev => [...prev, actionGroup(changes, stamped)])
       return newVals
     })
-  }, [getBounds, setActionLog, setValues, setHistories, computeMin, ignoreMin])
+  }, [setActionLog, setValues, setHistories, ignoreMin, resourceMap, dependentsMap])
 
   useEffect(() => {
     // if ignore min is turned off, ensure all resources meet min
     if (ignoreMin) return
+    const cause = { source: 'cascade', at: Date.now() }
     setValues(prevVals => {
-      let changed = false
-      const newVals = { ...prevVals }
-      for (const r of resourceData) {
-        const { min } = getBounds(r)
-        const v = prevVals ? prevVals[r.name] : 0
-        if (v < min) {
-          newVals[r.name] = min
-          changed = true
-          // Also update history
-          setHistories(prevHist => {
-            const arr = prevHist[r.name] || []
-            if (arr[arr.length - 1] !== min) {
-              return { ...prevHist, [r.name]: [...arr, min] }
-            }
-            return prevHist
-          })
-          // Log action
-          setActionLog(prev => [...prev, { changes: [{ name: r.name, prevValue: v, nextValue: min }] }])
-        }
+      const { values: newVals, changes } = enforceMinimums(prevVals, resourceData)
+      for (const change of changes) {
+        // Also update history
+        setHistories(prevHist => {
+          const arr = prevHist[change.name] || []
+          return historyValue(arr[arr.length - 1]) !== change.nextValue ? appendHistories(prevHist, [change], cause) : prevHist
+        })
+        // Log action
+        setActionLog(prev => [...prev, actionGroup([change], cause)])
       }
-      return changed ? newVals : prevVals
+      return newVals
     })
-  }, [ignoreMin]);
+  }, [ignoreMin, resourceData, setValues, setHistories, setActionLog]);
 
   const undoLastChange = useCallback(() => {
     setActionLog(prev => {
       if (!prev.length) return prev
-      const newLog = prev.slice(0, -1)
-      const lastGroup = prev[prev.length - 1]
-      const changes = (lastGroup.changes || []).slice().reverse() // reverse to revert dependents first
-
-      // Revert values
-      setValues(vals => {
-        const updated = { ...vals }
-        for (const ch of changes) {
-          updated[ch.name] = ch.prevValue
-        }
-        return updated
-      })
-
-      // Update histories robustly
-      setHistories(hPrev => {
-        const updated = { ...hPrev }
-        // Track resources touched to avoid duplicate work
-        const touched = new Set(changes.map(c => c.name))
-        for (const name of touched) {
-          const relevant = changes.filter(c => c.name === name)
-          const lastAppliedNextValues = new Set(relevant.map(r => r.nextValue))
-          let arr = updated[name] || []
-          // Remove tail entries that match any of the nextValues we are undoing (could be multiple if future batching differs)
-          while (arr.length && lastAppliedNextValues.has(arr[arr.length - 1])) {
-            arr = arr.slice(0, -1)
-          }
-          updated[name] = arr
-        }
-        return updated
-      })
-      return newLog
+      const changes = prev[prev.length - 1].changes || []
+      setValues(vals => revertValues(vals, changes))
+      setHistories(hPrev => revertHistories(hPrev, changes))
+      return prev.slice(0, -1)
     })
-  }, [])
+  }, [setActionLog, setValues, setHistories])
 
   const byTier = useMemo(() => {
     const tiers = {}
@@ -249,7 +130,7 @@ export function useResources(config = {}) {
       if (!tiers[r.tier]) {
         tiers[r.tier] = {
           tier: r.tier,
-          label: resourceTiers[r.tier],
+          label: getTierLabel(r.tier, tierLabels),
           resources: [],
         }
       }
@@ -263,31 +144,30 @@ export function useResources(config = {}) {
       })
     }
     return tiers
-  }, [values, histories, setResourceValue, getBounds])
+  }, [values, histories, setResourceValue, getBounds, resourceData, tierLabels])
 
-  const { toggle, active} = useEconomicNoise(byTier, values, histories, setResourceValue, ignoreMin, noiseIntervalMs, paused);
+  const { toggle, active, tick, shock } = useEconomicNoise(byTier, values, histories, setResourceValue, ignoreMin, noiseIntervalMs, paused, random, noiseModel, resourceBases, dependentsMap);
 
   const resetResources = useCallback(() => {
-    const { initVals, initHist } = buildInitial()
-    setValues(initVals)
-    setHistories(initHist)
-    setActionLog([])
-  }, [buildInitial])
-
-  const increaseBase = useCallback((resource, baseValue) => {
-
-  })
+    const initial = buildInitialState(resourceData)
+    setValues(initial.values)
+    setHistories(initial.histories)
+    setActionLog(initial.actionLog)
+  }, [resourceData, setValues, setHistories, setActionLog])
 
   return {
     byTier,
     values,
     histories,
+    dependentsMap,
     setResourceValue,
     undoLastChange,
     canUndoLastChange: actionLog.length > 0,
     resetResources,
     toggleNoise: toggle,
     isNoiseActive: active,
+    tickNoise: tick,
+    noiseShock: shock,
     ignoringMin: ignoreMin,
     toggleIgnoreMin: () => setIgnoreMin(i => !i),
     resourceBases,
@@ -0,0 +1,80 @@
+// This hook drives the game in rounds instead of wall-clock time (the `roundMode` setting).
+// Ending a round runs one economic noise tick, moves the market events on by a round, ages the contract at the decay position by one round (it decays
+// once it has waited `roundsBeforeDecay` rounds; with `allDecay` every contract on the board ages), applies a per
+// round target growth rule and asks useContracts to top the board up. The round state is stored with the game.
+
+import { useCallback, useEffect } from 'react'
+import { useLocalStorage } from './useWebStorage.js'
+import { contractRounds } from '../engine/contracts.js'
+
+// decay: { [contractId]: rounds } rounds each aging contract has waited
+const INITIAL_ROUND = { round: 1, decay: {}, pending: false }
+
+// contracts that age when a round ends
+const aging = (contracts, allDecay) => allDecay ? contracts : contracts.slice(-1)
+
+/**
+ * useRounds
+ * Options:
+ *   enabled: round mode on
+ *   roundsBeforeDecay: rounds the contract at the decay position survives (times its type's lifetime factor)
+ *   allDecay: every contract ages (default: only the one at the decay position)
+ *   contracts: the board (the last one is at the decay position)
+ *   onDecay(...contractIds): lets contracts expire
+ *   requestRefill(): tops the board up (useContracts with autoRefill off)
+ *   growTarget(): applies a per round target value growth rule (useContracts' growTargetForRound)
+ *   tickNoise(): one economic noise tick (skipped when noiseActive is false)
+ *   advanceEvents(): moves the market events on by one round (useMarketEvents' advanceRound)
+ *   noiseActive: boolean
+ * Returned shape:
+ * {
+ *   round: number,                      // current round, starts at 1
+ *   endRound: () => void,
+ *   roundsLeft: (contractId) => number | null,   // rounds until the contract decays, null when it is not decaying
+ *   resetRounds: () => void,            // back to round 1
+ * }
+ */
+export function useRounds({ enabled, roundsBeforeDecay, allDecay = false, contracts, onDecay, requestRefill, growTarget, tickNoise, noiseActive, advanceEvents }) {
+  const [state, setState] = useLocalStorage('round', INITIAL_ROUND)
+
+  // Phase 1: noise and market events move prices now; decay and refill follow once the new prices have rendered
+  const endRound = useCallback(() => {
+    if (!enabled || state.pending) return
+    if (noiseActive) tickNoise()
+    if (advanceEvents) advanceEvents()
+    setState(s => ({ ...s, pending: true }))
+  }, [enabled, state.pending, noiseActive, tickNoise, advanceEvents, setState])
+
+  // Phase 2 (also completes a round interrupted by a reload)
+  useEffect(() => {
+    if (!enabled || !state.pending) return
+    const decay = {}
+    const expired = []
+    for (const contract of aging(contracts, allDecay)) {
+      const rounds = (state.decay[contract.id] || 0) + 1
+      if (rounds >= contractRounds(contract, roundsBeforeDecay)) expired.push(contract.id)
+      else decay[contract.id] = rounds
+    }
+    if (expired.length) onDecay(...expired)
+    if (growTarget) growTarget()
+    requestRefill()
+    setState(s => ({ ...s, round: s.round + 1, decay, pending: false }))
+  }, [enabled, state, contracts, roundsBeforeDecay, allDecay, onDecay, growTarget, requestRefill, setState])
+
+  const roundsLeft = useCallback((contractId) => {
+    const contract = aging(contracts, allDecay).find(c => c.id === contractId)
+    if (!contract) return null
+    return Math.max(1, contractRounds(contract, roundsBeforeDecay) - (state.decay[contractId] || 0))
+  }, [contracts, allDecay, state.decay, roundsBeforeDecay])
+
+  const resetRounds = useCallback(() => setState(INITIAL_ROUND), [setState])
+
+  return {
+    round: state.round,
+    endRound,
+    roundsLeft,
+    resetRounds,
+  }
+}
+
+export default useRounds
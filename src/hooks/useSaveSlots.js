@@ -0,0 +1,76 @@
+// This hook manages named save slots (concurrent games).
+// Every slot is a storage primary key: App is rendered inside a StorageScopeContext for the active slot,
+// so all of its useLocalStorage keys (resources, histories, contracts, settings...) are isolated per game.
+
+import { useCallback, useMemo } from 'react'
+import {
+  clearStorageEntries,
+  DEFAULT_PRIMARY_KEY,
+  readStorageEntries,
+  replaceStorageEntries,
+  useLocalStorage,
+} from './useWebStorage.js'
+
+// The slot registry itself lives outside of any slot
+export const SLOTS_PRIMARY_KEY = 'saveSlots'
+
+const slotStorage = { primaryKey: SLOTS_PRIMARY_KEY }
+// the pre-existing game keeps the historical primary key so nothing has to be moved
+const INITIAL_SLOTS = [{ id: DEFAULT_PRIMARY_KEY, name: 'Game 1', createdAt: null }]
+const newSlotId = () => `slot-${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`
+
+/**
+ * useSaveSlots
+ * Returned shape:
+ * {
+ *   slots: [{ id, name, createdAt }],   // createdAt is null for the original game
+ *   activeSlot: { id, name, createdAt },
+ *   createSlot: (name) => void,           // new empty game, becomes active
+ *   renameSlot: (id, name) => void,
+ *   duplicateSlot: (id, name) => void,    // copies every stored key, the copy becomes active
+ *   switchSlot: (id) => void,
+ *   deleteSlot: (id) => void,             // the last remaining slot cannot be deleted
+ * }
+ */
+export function useSaveSlots() {
+  const [slots, setSlots] = useLocalStorage('slots', INITIAL_SLOTS, slotStorage)
+  const [activeId, setActiveId] = useLocalStorage('activeSlot', DEFAULT_PRIMARY_KEY, slotStorage)
+
+  const activeSlot = useMemo(() => slots.find(s => s.id === activeId) || slots[0], [slots, activeId])
+
+  const createSlot = useCallback((name) => {
+    const slot = { id: newSlotId(), name: name?.trim() || `Game ${slots.length + 1}`, createdAt: Date.now() }
+    setSlots(prev => [...prev, slot])
+    setActiveId(slot.id)
+  }, [slots.length, setSlots, setActiveId])
+
+  const renameSlot = useCallback((id, name) => {
+    if (!name?.trim()) return
+    setSlots(prev => prev.map(s => s.id === id ? { ...s, name: name.trim() } : s))
+  }, [setSlots])
+
+  const duplicateSlot = useCallback((id, name) => {
+    const source = slots.find(s => s.id === id)
+    if (!source) return
+    const slot = { id: newSlotId(), name: name?.trim() || `${source.name} (copy)`, createdAt: Date.now() }
+    replaceStorageEntries(localStorage, readStorageEntries(localStorage, id), slot.id)
+    setSlots(prev => [...prev, slot])
+    setActiveId(slot.id)
+  }, [slots, setSlots, setActiveId])
+
+  const switchSlot = useCallback((id) => {
+    if (slots.some(s => s.id === id)) setActiveId(id)
+  }, [slots, setActiveId])
+
+  const deleteSlot = useCallback((id) => {
+    if (slots.length <= 1) return
+    const remaining = slots.filter(s => s.id !== id)
+    clearStorageEntries(localStorage, id)
+    setSlots(remaining)
+    if (activeSlot.id === id) setActiveId(remaining[0].id)
+  }, [slots, activeSlot, setSlots, setActiveId])
+
+  return { slots, activeSlot, createSlot, renameSlot, duplicateSlot, switchSlot, deleteSlot }
+}
+
+export default useSaveSlots
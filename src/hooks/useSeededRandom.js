@@ -0,0 +1,74 @@
+// This hook owns the game's seeded random number generator (see lib/rng.js).
+// The seed and the position of every stream are persisted, so reloading a game continues the same sequence.
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createRng, createSeed, normalizeSeed } from '../lib/rng.js'
+import { useLocalStorage } from './useWebStorage.js'
+
+/**
+ * useSeededRandom
+ * Returned shape:
+ * {
+ *   seed: string,
+ *   setSeed: (seed) => void,             // restarts every stream from the new seed
+ *   stream: (name) => () => number,      // stable random function for a named stream
+ * }
+ */
+export function useSeededRandom() {
+  // a fresh game gets a random seed; it is only written once something is drawn or the seed is set
+  const [initialSeed] = useState(createSeed)
+  const [seed, setStoredSeed] = useLocalStorage('rngSeed', initialSeed)
+  const [streamState, setStreamState] = useLocalStorage('rngState', {})
+
+  const rngRef = useRef(null)
+  if (rngRef.current === null) rngRef.current = createRng(seed, streamState)
+
+  // the state we last wrote; anything else arriving from storage (import, other tab) replaces the generator
+  const writtenRef = useRef(streamState)
+  useEffect(() => {
+    if (rngRef.current.seed === seed && streamState === writtenRef.current) return
+    rngRef.current = createRng(seed, streamState)
+    writtenRef.current = streamState
+  }, [seed, streamState])
+
+  // draws advance the generator right away; its state is written once per batch of draws (a noise tick, a refill),
+  // so a batch makes one storage write (and one shared session commit) instead of one per number
+  const flushPendingRef = useRef(false)
+  const persist = useCallback(() => {
+    flushPendingRef.current = false
+    const rng = rngRef.current
+    const nextState = rng.getState()
+    writtenRef.current = nextState
+    setStoredSeed(rng.seed)
+    setStreamState(nextState)
+  }, [setStoredSeed, setStreamState])
+
+  const draw = useCallback((name) => {
+    const value = rngRef.current.next(name)
+    if (!flushPendingRef.current) {
+      flushPendingRef.current = true
+      queueMicrotask(persist)
+    }
+    return value
+  }, [persist])
+
+  // one function per stream name, so consumers can use them as hook dependencies
+  const streamsRef = useRef({})
+  const stream = useCallback((name) => {
+    if (!streamsRef.current[name]) streamsRef.current[name] = () => draw(name)
+    return streamsRef.current[name]
+  }, [draw])
+
+  const setSeed = useCallback((next) => {
+    const nextSeed = normalizeSeed(next) || createSeed()
+    const nextState = {}
+    rngRef.current = createRng(nextSeed, nextState)
+    writtenRef.current = nextState
+    setStoredSeed(nextSeed)
+    setStreamState(nextState)
+  }, [setStoredSeed, setStreamState])
+
+  return { seed, setSeed, stream }
+}
+
+export default useSeededRandom
@@ -0,0 +1,76 @@
+// This hook connects the active game to a shared session on a relay (server/relay.js), so several devices at
+// the same table see and edit one game. The connection settings are per device (stored outside of any slot);
+// the synced data is the active slot's storage (see lib/sharedSession.js).
+
+import { useCallback, useEffect, useState } from 'react'
+import { useLocalStorage, useStorageScope } from './useWebStorage.js'
+import { createSharedSession } from '../lib/sharedSession.js'
+import { DEFAULT_RELAY_PORT } from '../lib/syncProtocol.js'
+
+// Device-level settings live under their own primary key
+export const DEVICE_PRIMARY_KEY = 'device'
+
+const deviceStorage = { primaryKey: DEVICE_PRIMARY_KEY }
+const DEFAULT_CONFIG = {
+  url: `ws://${typeof location !== 'undefined' && location.hostname ? location.hostname : 'localhost'}:${DEFAULT_RELAY_PORT}`,
+  room: 'table',
+  name: '',
+  role: 'host',
+  active: false,
+}
+const IDLE_STATE = { status: 'idle', error: null, id: null, peers: [], hostId: null, synced: false, conflicts: [] }
+
+/**
+ * useSharedSession
+ * Returned shape:
+ * {
+ *   config: { url, room, name, role: 'host' | 'viewer', active },
+ *   setConfig: (patch) => void,   // connection fields only change while disconnected
+ *   state: { status: 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed' | 'error', error, id, peers, hostId, synced, conflicts },
+ *   connect: () => void,          // a viewer's slot is replaced by the host's game once synced
+ *   disconnect: () => void,
+ *   isDriver: boolean,            // false for a connected viewer: the host runs timers and generation
+ * }
+ */
+export function useSharedSession() {
+  const primaryKey = useStorageScope()
+  const [config, setStoredConfig] = useLocalStorage('sharedSession', DEFAULT_CONFIG, deviceStorage)
+  const [state, setState] = useState(IDLE_STATE)
+  const { url, room, name, role, active } = config
+
+  // (re)connect whenever the connection settings or the active slot change; an active session survives reloads
+  useEffect(() => {
+    if (!active) {
+      setState(IDLE_STATE)
+      return
+    }
+    const session = createSharedSession({
+      url,
+      room,
+      role,
+      name: name || role,
+      storage: localStorage,
+      primaryKey,
+      onChange: setState,
+    })
+    setState(session.getState())
+    return () => session.close()
+  }, [active, url, room, role, name, primaryKey])
+
+  const setConfig = useCallback((patch) => {
+    setStoredConfig(prev => prev.active ? prev : { ...prev, ...patch })
+  }, [setStoredConfig])
+  const connect = useCallback(() => setStoredConfig(prev => ({ ...prev, active: true })), [setStoredConfig])
+  const disconnect = useCallback(() => setStoredConfig(prev => ({ ...prev, active: false })), [setStoredConfig])
+
+  return {
+    config,
+    setConfig,
+    state,
+    connect,
+    disconnect,
+    isDriver: !active || role !== 'viewer',
+  }
+}
+
+export default useSharedSession
@@ -1,6 +1,213 @@
-import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    createContext,
+    useCallback,
+    useContext,
+    useEffect,
+    useMemo,
+    useState,
+    useSyncExternalStore,
+} from 'react';
 import { isFunction } from 'lodash';
 
+export const DEFAULT_PRIMARY_KEY = 'defaultKey';
+export const DEFAULT_VERSION = '1.0.0';
+
+// Primary key used by hooks that don't pass one explicitly (the active save slot)
+export const StorageScopeContext = createContext<string>(DEFAULT_PRIMARY_KEY);
+
+export function useStorageScope() {
+    return useContext(StorageScopeContext);
+}
+
+/**
+ * Schema registry
+ * Keys declare their current schema version and an ordered list of upgrade functions:
+ * migrations[0] upgrades version 1 to 2, migrations[1] upgrades 2 to 3, and so on.
+ * Version N is stored under the `N.0.0` storage key version, so version 1 matches the original '1.0.0' keys.
+ * On load, an entry at an older version is upgraded and rewritten; entries that fail to parse, upgrade
+ * or validate are moved to a `quarantine:<entryKey>` key and reported through useStorageWarnings().
+ */
+export type Migration = (data: unknown) => unknown;
+export type StorageSchema = {
+    version: number;
+    migrations?: Migration[];
+    validate?: (data: unknown) => boolean;
+};
+
+export class StorageSchemaError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'StorageSchemaError';
+    }
+}
+
+const storageSchemas = new Map<string, StorageSchema>();
+
+export function registerStorageSchema(entryKey: string, schema: StorageSchema) {
+    if ((schema.migrations?.length ?? 0) !== schema.version - 1) {
+        throw new Error(
+            `Schema for ${entryKey} is version ${schema.version} but declares ${schema.migrations?.length ?? 0} migrations (expected ${schema.version - 1}).`,
+        );
+    }
+    storageSchemas.set(entryKey, schema);
+}
+
+export function getStorageSchema(entryKey: string) {
+    return storageSchemas.get(entryKey);
+}
+
+export function schemaVersionString(version: number) {
+    return `${version}.0.0`;
+}
+
+function parseSchemaVersion(version: string) {
+    const match = /^(\d+)\.0\.0$/.exec(version);
+    return match ? Number(match[1]) : null;
+}
+
+// JSON only: unlike defaultDeserializer, unparsable data is an error rather than a raw string
+function strictDeserialize(raw: string): unknown {
+    if (raw === 'undefined') return undefined;
+    return JSON.parse(raw);
+}
+
+/**
+ * Parses a stored value written at `fromVersion` and upgrades it to the schema's current version.
+ * Throws StorageSchemaError when it cannot be parsed, upgraded or validated.
+ */
+export function upgradeStoredValue(
+    entryKey: string,
+    schema: StorageSchema,
+    raw: string,
+    fromVersion: number,
+): unknown {
+    if (fromVersion > schema.version) {
+        throw new StorageSchemaError(
+            `${entryKey} was saved by a newer version of the app (schema ${fromVersion}, this app reads up to ${schema.version})`,
+        );
+    }
+    let data: unknown;
+    try {
+        data = strictDeserialize(raw);
+    } catch {
+        throw new StorageSchemaError(`${entryKey} is not valid JSON`);
+    }
+    for (let v = fromVersion; v < schema.version; v++) {
+        try {
+            data = schema.migrations![v - 1](data);
+        } catch (error: unknown) {
+            throw new StorageSchemaError(
+                `${entryKey} could not be upgraded from schema ${v} to ${v + 1}: ${error instanceof Error ? error.message : String(error)}`,
+            );
+        }
+    }
+    if (schema.validate && !schema.validate(data)) {
+        throw new StorageSchemaError(`${entryKey} does not match schema ${schema.version}`);
+    }
+    return data;
+}
+
+/**
+ * Brings a single storage entry (e.g. from an imported session file) to the current schema version.
+ * Entries for keys without a registered schema are returned unchanged.
+ */
+export function migrateStorageEntry(entry: StorageEntry): StorageEntry {
+    const schema = storageSchemas.get(entry.entryKey);
+    if (!schema) return entry;
+    const fromVersion = parseSchemaVersion(entry.version);
+    if (fromVersion === null) {
+        throw new StorageSchemaError(`${entry.entryKey} has an unknown version "${entry.version}"`);
+    }
+    const value = upgradeStoredValue(entry.entryKey, schema, entry.raw, fromVersion);
+    return {
+        entryKey: entry.entryKey,
+        version: schemaVersionString(schema.version),
+        raw: defaultSerializer(value),
+    };
+}
+
+export type StorageWarning = {
+    id: number;
+    message: string;
+    quarantineKey: string;
+};
+
+let storageWarnings: StorageWarning[] = [];
+let nextWarningId = 1;
+const warningListeners = new Set<() => void>();
+
+function pushStorageWarning(message: string, quarantineKey: string) {
+    console.warn(`${message} (moved to ${quarantineKey})`);
+    storageWarnings = [...storageWarnings, { id: nextWarningId++, message, quarantineKey }];
+    // entries are read while rendering, notify subscribers afterwards
+    queueMicrotask(() => warningListeners.forEach((l) => l()));
+}
+
+export function dismissStorageWarning(id: number) {
+    storageWarnings = storageWarnings.filter((w) => w.id !== id);
+    warningListeners.forEach((l) => l());
+}
+
+function subscribeStorageWarnings(listener: () => void) {
+    warningListeners.add(listener);
+    return () => {
+        warningListeners.delete(listener);
+    };
+}
+
+export function useStorageWarnings(): StorageWarning[] {
+    return useSyncExternalStore(subscribeStorageWarnings, () => storageWarnings);
+}
+
+function quarantineEntry(
+    storage: Storage,
+    primaryKey: string,
+    entryKey: string,
+    version: string,
+    raw: string,
+    reason: string,
+) {
+    const quarantineKey = createStorageKey(primaryKey, `quarantine:${entryKey}`, version);
+    storage.setItem(quarantineKey, raw);
+    storage.removeItem(createStorageKey(primaryKey, entryKey, version));
+    pushStorageWarning(`${reason}; the default value is used instead`, quarantineKey);
+}
+
+type LoadedEntry = { found: false } | { found: true; value: unknown };
+
+/**
+ * Reads a schema-managed entry: current version first, otherwise the newest older version (upgraded and
+ * rewritten under the current key). Bad entries are quarantined and reported as missing.
+ */
+function loadSchemaEntry(
+    storage: Storage,
+    primaryKey: string,
+    entryKey: string,
+    schema: StorageSchema,
+): LoadedEntry {
+    const currentVersion = schemaVersionString(schema.version);
+    const candidates = readStorageEntries(storage, primaryKey)
+        .filter((e) => e.entryKey === entryKey)
+        .map((e) => ({ ...e, schemaVersion: parseSchemaVersion(e.version) }))
+        .filter((e) => e.schemaVersion !== null && e.schemaVersion <= schema.version)
+        .sort((a, b) => b.schemaVersion! - a.schemaVersion!);
+    const entry = candidates[0];
+    if (!entry) return { found: false };
+
+    try {
+        const value = upgradeStoredValue(entryKey, schema, entry.raw, entry.schemaVersion!);
+        if (entry.version !== currentVersion) {
+            storage.setItem(createStorageKey(primaryKey, entryKey, currentVersion), defaultSerializer(value));
+            storage.removeItem(createStorageKey(primaryKey, entryKey, entry.version));
+        }
+        return { found: true, value };
+    } catch (error: unknown) {
+        if (!(error instanceof StorageSchemaError)) throw error;
+        quarantineEntry(storage, primaryKey, entryKey, entry.version, entry.raw, error.message);
+        return { found: false };
+    }
+}
+
 type Serializer<S> = (data: S) => string;
 type Deserializer<S> = (data: string) => S;
 
@@ -26,6 +233,7 @@ function useWebStorage<S>(
     storage: Storage,
     config: WebStorageConfigOptional<S> = {},
 ): UseWebStorage<S> {
+    const scopedPrimaryKey = useStorageScope();
     if (
         (config.serializer === undefined) !==
         (config.deserializer === undefined)
@@ -35,16 +243,32 @@ function useWebStorage<S>(
         );
     }
 
+    // registered schemas only apply to the default (JSON) serialization at the schema's own version
+    const schema =
+        config.deserializer === undefined && config.version === undefined
+            ? storageSchemas.get(entryKey)
+            : undefined;
+
     const { version, primaryKey, serializer, deserializer }: WebStorageConfig<S> =
         {
-            version: config.version ?? '1.0.0',
-            primaryKey: config.primaryKey ?? 'defaultKey',
+            version: config.version ?? (schema ? schemaVersionString(schema.version) : DEFAULT_VERSION),
+            primaryKey: config.primaryKey ?? scopedPrimaryKey,
             serializer: config.serializer ?? defaultSerializer,
-            deserializer: config.deserializer ?? defaultDeserializer,
+            deserializer:
+                config.deserializer ??
+                (schema ? createSchemaDeserializer<S>(entryKey, schema) : defaultDeserializer),
         };
     const storageKey = createStorageKey(primaryKey, entryKey, version);
 
     const [state, setState] = useState<StorageState<S>>(() => {
+        if (schema) {
+            const loaded = loadSchemaEntry(storage, primaryKey, entryKey, schema);
+            return {
+                value: loaded.found ? (loaded.value as S) : defaultValue,
+                propagateToStorage: false,
+            };
+        }
+
         const storedValue = storage.getItem(storageKey);
 
         // When the storedValue is null, there was no entry for it -- however a null value will be saved
@@ -91,6 +315,7 @@ function useWebStorage<S>(
         (value: S) => {
             const serializedValue = serializer(value);
             storage.setItem(storageKey, serializedValue);
+            notifyStorageWrite({ storage, storageKey, raw: serializedValue });
         },
         [serializer, storage, storageKey],
     );
@@ -153,7 +378,12 @@ export function createStorageEventHandler<S>(
 
                     updateState(defaultValue);
                 } else {
-                    updateState(deserializer(event.newValue));
+                    try {
+                        updateState(deserializer(event.newValue));
+                    } catch (error: unknown) {
+                        if (!(error instanceof StorageSchemaError)) throw error;
+                        console.warn(`Ignoring invalid update of ${storageKey}: ${error.message}`);
+                    }
                 }
             }
         }
@@ -168,6 +398,138 @@ export function createStorageKey(
     return `${primaryKey}:${entryKey}:${version}`;
 }
 
+export type StorageEntry = {
+    entryKey: string;
+    version: string;
+    raw: string;
+};
+
+/**
+ * Splits a storage key of the given primary key into { entryKey, version }, or null for other keys.
+ */
+export function parseStorageKey(
+    key: string,
+    primaryKey: string = DEFAULT_PRIMARY_KEY,
+): { entryKey: string; version: string } | null {
+    const prefix = `${primaryKey}:`;
+    if (!key.startsWith(prefix)) return null;
+    const rest = key.slice(prefix.length);
+    const split = rest.lastIndexOf(':');
+    if (split <= 0) return null;
+    return { entryKey: rest.slice(0, split), version: rest.slice(split + 1) };
+}
+
+/**
+ * Lists every entry stored under a primary key, e.g. `defaultKey:setting:paused:1.0.0`
+ * becomes { entryKey: 'setting:paused', version: '1.0.0', raw: 'true' }.
+ */
+export function readStorageEntries(
+    storage: Storage,
+    primaryKey: string = DEFAULT_PRIMARY_KEY,
+): StorageEntry[] {
+    const entries: StorageEntry[] = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        const parsed = key ? parseStorageKey(key, primaryKey) : null;
+        if (!key || !parsed) continue;
+        const raw = storage.getItem(key);
+        if (raw === null) continue;
+        entries.push({ ...parsed, raw });
+    }
+    return entries;
+}
+
+/**
+ * Write notifications
+ * Every value a storage hook persists is reported to subscribers (e.g. the shared session sync layer).
+ * Writes made through writeStorageEntry / replaceStorageEntries are not reported, so applying remote
+ * changes does not echo them back.
+ */
+export type StorageWrite = {
+    storage: Storage;
+    storageKey: string;
+    raw: string;
+};
+
+const writeListeners = new Set<(write: StorageWrite) => void>();
+
+function notifyStorageWrite(write: StorageWrite) {
+    for (const listener of writeListeners) listener(write);
+}
+
+export function subscribeStorageWrites(listener: (write: StorageWrite) => void) {
+    writeListeners.add(listener);
+    return () => {
+        writeListeners.delete(listener);
+    };
+}
+
+/**
+ * Sets (or removes, when raw is null) one entry and notifies mounted hooks, like replaceStorageEntries does.
+ */
+export function writeStorageEntry(
+    storage: Storage,
+    entry: { entryKey: string; version: string; raw: string | null },
+    primaryKey: string = DEFAULT_PRIMARY_KEY,
+) {
+    const key = createStorageKey(primaryKey, entry.entryKey, entry.version);
+    if (storage.getItem(key) === entry.raw) return;
+    if (entry.raw === null) storage.removeItem(key);
+    else storage.setItem(key, entry.raw);
+    window.dispatchEvent(
+        new StorageEvent('storage', { key, newValue: entry.raw, storageArea: storage }),
+    );
+}
+
+/**
+ * Replaces every entry under a primary key with the given ones and notifies mounted hooks
+ * (through the same `storage` event other tabs would receive), so state updates without a reload.
+ */
+export function replaceStorageEntries(
+    storage: Storage,
+    entries: StorageEntry[],
+    primaryKey: string = DEFAULT_PRIMARY_KEY,
+) {
+    const next = new Map(
+        entries.map((e) => [
+            createStorageKey(primaryKey, e.entryKey, e.version),
+            e.raw,
+        ]),
+    );
+    const changed: [string, string | null][] = [];
+    for (const e of readStorageEntries(storage, primaryKey)) {
+        const key = createStorageKey(primaryKey, e.entryKey, e.version);
+        if (!next.has(key)) {
+            storage.removeItem(key);
+            changed.push([key, null]);
+        }
+    }
+    for (const [key, raw] of next) {
+        if (storage.getItem(key) === raw) continue;
+        storage.setItem(key, raw);
+        changed.push([key, raw]);
+    }
+    for (const [key, newValue] of changed) {
+        window.dispatchEvent(
+            new StorageEvent('storage', { key, newValue, storageArea: storage }),
+        );
+    }
+}
+
+/**
+ * Removes every entry stored under a primary key (does not notify mounted hooks).
+ */
+export function clearStorageEntries(storage: Storage, primaryKey: string) {
+    for (const e of readStorageEntries(storage, primaryKey)) {
+        storage.removeItem(createStorageKey(primaryKey, e.entryKey, e.version));
+    }
+}
+
+// Deserializer for schema-managed keys: values arriving at the current version must still parse and validate
+function createSchemaDeserializer<S>(entryKey: string, schema: StorageSchema): Deserializer<S> {
+    return (data: string) => upgradeStoredValue(entryKey, schema, data, schema.version) as S;
+}
+
 export function defaultSerializer<S>(data: S) {
     // undefined is not a part of the JSON standard so we have to handle it separately
     if (data === undefined) {
@@ -0,0 +1,99 @@
+// Market impact model: how resource prices react when a contract is fulfilled (prices drop) or expires (prices rise).
+//
+// type MarketImpactModel = {
+//     curve: 'linear' | 'exponential' | 'diminishing', // how the change grows with the required quantity
+//     completeRate: number,     // fractional price drop per unit delivered (0.05 = 5%)
+//     decayRate: number,        // fractional price rise per unit of an expired contract
+//     tierElasticity: { [tier]: number }, // rate multiplier per tier (missing tiers = 1)
+//     spillover: { components: number, dependents: number }, // share of a change passed one step along the production graph
+//     floor: number,            // lowest price a completion can push a resource to
+// }
+//
+// With the defaults this reproduces the original rules: value * (1 - 0.05 * qty) floored at 2 on completion,
+// value * (1 + 0.05 * qty) on decay.
+
+export const marketImpactCurves = {
+    // r * q
+    linear: (rate, qty) => rate * qty,
+    // compounding per unit: 1 - (1 - r)^q when falling, (1 + r)^q - 1 when rising
+    exponential: (rate, qty, direction) => direction < 0 ? 1 - Math.pow(1 - Math.min(rate, 0.99), qty) : Math.pow(1 + rate, qty) - 1,
+    // r * log2(1 + q): equal to linear for one unit, flattens out for bulk quantities
+    diminishing: (rate, qty) => rate * Math.log2(1 + qty),
+}
+
+export const defaultMarketImpact = {
+    curve: 'linear',
+    completeRate: 0.05,
+    decayRate: 0.05,
+    tierElasticity: {},
+    spillover: { components: 0, dependents: 0 },
+    floor: 2,
+}
+
+// a completion never wipes out more than this share of a price in one go
+const MAX_DROP = 0.95
+
+/**
+ * validateMarketImpact
+ * Returns an error message for an invalid model, or null.
+ */
+export function validateMarketImpact(model) {
+    if (model == null || typeof model !== 'object' || Array.isArray(model)) return 'must be an object'
+    if (!marketImpactCurves[model.curve]) return `curve must be one of ${Object.keys(marketImpactCurves).join(', ')}`
+    for (const key of ['completeRate', 'decayRate']) {
+        if (typeof model[key] !== 'number' || model[key] < 0 || model[key] > 1) return `${key} must be between 0 and 1`
+    }
+    if (model.tierElasticity == null || typeof model.tierElasticity !== 'object') return 'tierElasticity must be an object'
+    for (const [tier, e] of Object.entries(model.tierElasticity)) {
+        if (typeof e !== 'number' || e < 0 || e > 5) return `tierElasticity.${tier} must be between 0 and 5`
+    }
+    for (const key of ['components', 'dependents']) {
+        const v = model.spillover?.[key]
+        if (typeof v !== 'number' || v < 0 || v > 1) return `spillover.${key} must be between 0 and 1`
+    }
+    if (typeof model.floor !== 'number' || model.floor < 0) return 'floor must be a number ≥ 0'
+    return null
+}
+
+/**
+ * computeMarketImpact
+ * Works out the new price of every resource touched by a contract outcome.
+ *  - outcome: 'complete' (prices fall) | 'decay' (prices rise)
+ *  - quantities: { resourceName: qty } of the contract
+ *  - values: current prices
+ *  - resourceList: catalog (for tiers and components)
+ *  - dependentsMap: { componentName: [dependentName] }
+ * Returns { resourceName: nextValue } (only resources whose price changes).
+ */
+export function computeMarketImpact({ outcome, quantities, values, resourceList, dependentsMap, model = defaultMarketImpact }) {
+    const direction = outcome === 'complete' ? -1 : 1
+    const rate = outcome === 'complete' ? model.completeRate : model.decayRate
+    const curve = marketImpactCurves[model.curve] || marketImpactCurves.linear
+    const resourceMap = Object.fromEntries(resourceList.map(r => [r.name, r]))
+
+    // fractional change per resource, spillover contributions add up
+    const fractions = {}
+    const add = (name, f) => {
+        if (!resourceMap[name] || typeof values[name] !== 'number' || f === 0) return
+        fractions[name] = (fractions[name] || 0) + f
+    }
+    for (const [name, qty] of Object.entries(quantities)) {
+        const res = resourceMap[name]
+        if (!res || qty <= 0) continue
+        const elasticity = model.tierElasticity?.[res.tier] ?? 1
+        const f = curve(rate * elasticity, qty, direction)
+        add(name, f)
+        for (const comp of res.components || []) add(comp, f * (model.spillover?.components || 0))
+        for (const dep of dependentsMap[name] || []) add(dep, f * (model.spillover?.dependents || 0))
+    }
+
+    const next = {}
+    for (const [name, f] of Object.entries(fractions)) {
+        const value = values[name]
+        const target = direction < 0
+            ? Math.max(model.floor, Math.floor(value * (1 - Math.min(MAX_DROP, f))))
+            : Math.ceil(value * (1 + f))
+        if (target !== value) next[name] = target
+    }
+    return next
+}
@@ -0,0 +1,87 @@
+// Seeded pseudo random numbers: every random decision in a game (contract generation, noise) goes through here
+// so that two tables entering the same seed see the same contracts and market moves.
+//
+// A game has one seed (any text) and independent named streams ('contracts', 'noise', ...). Each stream starts
+// from hash(`${seed}:${name}`) and only advances when that stream is drawn from, so toggling noise never changes
+// which contracts come up next. Stream positions are plain uint32s and are saved with the game.
+
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'
+
+/**
+ * hashSeed
+ * FNV-1a hash of a seed text to a uint32 stream state.
+ */
+export function hashSeed(text) {
+  let h = 0x811c9dc5
+  const s = String(text)
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * nextRandom
+ * One mulberry32 step: returns [value in [0, 1), nextState].
+ */
+export function nextRandom(state) {
+  const next = (state + 0x6d2b79f5) >>> 0
+  let t = next
+  t = Math.imul(t ^ (t >>> 15), t | 1)
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next]
+}
+
+/**
+ * createRng
+ * Seeded generator with named streams, resuming from saved stream positions.
+ * Returned shape:
+ * {
+ *   seed: string,
+ *   next: (streamName) => number,   // [0, 1), advances only that stream
+ *   getState: () => { [streamName]: number },
+ * }
+ */
+export function createRng(seed, state = {}) {
+  const states = { ...state }
+  return {
+    seed,
+    next(stream) {
+      const current = states[stream] ?? hashSeed(`${seed}:${stream}`)
+      const [value, nextState] = nextRandom(current)
+      states[stream] = nextState
+      return value
+    },
+    getState: () => ({ ...states }),
+  }
+}
+
+/**
+ * createSeed
+ * Short, readable seed for a new game (the seed itself is the one thing that is not reproducible).
+ */
+export function createSeed(length = 6) {
+  let seed = ''
+  for (let i = 0; i < length; i++) seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)]
+  return seed
+}
+
+export const normalizeSeed = (text) => String(text ?? '').trim().slice(0, 64)
+
+// Helpers taking a `random` function (() => number in [0, 1))
+export const randomInt = (random, n) => Math.floor(random() * n)
+export const pickRandom = (random, list) => list[randomInt(random, list.length)]
+
+/**
+ * shuffle
+ * Unbiased Fisher-Yates shuffle of a copy of list.
+ */
+export function shuffle(random, list) {
+  const out = [...list]
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1)
+    ;[out[i], out[j]] = [out[j], out[i]]
+  }
+  return out
+}
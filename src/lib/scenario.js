@@ -0,0 +1,101 @@
+// Scenario packs: a JSON document bundling a complete game configuration.
+//
+// type Scenario = {
+//     name: string,                               // shown in the scenario picker
+//     description?: string,
+//     resources: RawResource[],                   // same shape as defaultResources in constants/resources.js
+//     resourceTiers?: { [tier: number]: string }, // tier labels, missing tiers fall back to "Tier N"
+//     contractLabels?: string[],                  // company names used for generated contracts
+//     settings?: { [key in keyof settingsSchema]?: number | boolean | object } // object settings may be partial
+// }
+
+import { validateResources, resourceTiers as defaultTierLabels } from '../constants/resources.js'
+import { ContractLabels as defaultContractLabels } from '../constants/contract-labels.js'
+import { normalizeSetting, settingDefaults, validateSetting } from '../constants/settings.js'
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+
+/**
+ * validateScenario
+ * Checks a parsed scenario document and fills in defaults for the optional sections.
+ * Returns { scenario, errors }: scenario is null when errors is non-empty.
+ * Error messages are prefixed with the path of the offending field (e.g. `settings.contractCount`).
+ */
+export function validateScenario(doc) {
+    if (!isPlainObject(doc)) return { scenario: null, errors: ['scenario: must be a JSON object'] }
+    const errors = []
+
+    if (typeof doc.name !== 'string' || !doc.name.trim()) errors.push('name: must be a non-empty string')
+    if (doc.description != null && typeof doc.description !== 'string') errors.push('description: must be a string')
+
+    if (doc.resources == null) {
+        errors.push('resources: missing')
+    } else {
+        errors.push(...validateResources(doc.resources).map(e => `resources: ${e}`))
+    }
+
+    if (doc.resourceTiers != null) {
+        if (!isPlainObject(doc.resourceTiers)) {
+            errors.push('resourceTiers: must be an object of tier number to label')
+        } else {
+            for (const [tier, label] of Object.entries(doc.resourceTiers)) {
+                if (!/^[1-9]\d*$/.test(tier)) errors.push(`resourceTiers.${tier}: tier must be a positive whole number`)
+                if (typeof label !== 'string' || !label.trim()) errors.push(`resourceTiers.${tier}: label must be a non-empty string`)
+            }
+        }
+    }
+
+    if (doc.contractLabels != null) {
+        if (!Array.isArray(doc.contractLabels)) {
+            errors.push('contractLabels: must be a list of strings')
+        } else {
+            doc.contractLabels.forEach((l, i) => {
+                if (typeof l !== 'string' || !l.trim()) errors.push(`contractLabels[${i}]: must be a non-empty string`)
+            })
+        }
+    }
+
+    const settings = { ...settingDefaults }
+    if (doc.settings != null) {
+        if (!isPlainObject(doc.settings)) {
+            errors.push('settings: must be an object')
+        } else {
+            for (const [key, raw] of Object.entries(doc.settings)) {
+                const value = normalizeSetting(key, raw)
+                const err = validateSetting(key, value)
+                if (err) errors.push(`settings.${key}: ${err}`)
+                else settings[key] = value
+            }
+            if (settings.contractRewardMin > settings.contractRewardMax) {
+                errors.push('settings.contractRewardMin: must not exceed settings.contractRewardMax')
+            }
+        }
+    }
+
+    if (errors.length) return { scenario: null, errors }
+    return {
+        scenario: {
+            name: doc.name.trim(),
+            description: doc.description || '',
+            resources: doc.resources,
+            resourceTiers: { ...defaultTierLabels, ...(doc.resourceTiers || {}) },
+            contractLabels: doc.contractLabels?.length ? doc.contractLabels : defaultContractLabels,
+            settings,
+        },
+        errors,
+    }
+}
+
+/**
+ * parseScenario
+ * Parses scenario JSON text then validates it, never throws.
+ */
+export function parseScenario(text) {
+    let doc
+    try {
+        doc = JSON.parse(text)
+    } catch (e) {
+        return { scenario: null, errors: [`scenario: invalid JSON (${e.message})`] }
+    }
+    return validateScenario(doc)
+}
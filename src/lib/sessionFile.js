@@ -0,0 +1,112 @@
+// Session files: every persisted key of a game bundled into one versioned JSON document.
+//
+// type SessionFile = {
+//     app: 'cutthroat-companies-companion',
+//     format: number,          // SESSION_FORMAT, bumped whenever the file layout changes incompatibly
+//     appVersion: string,      // package.json version that wrote the file (informational)
+//     exportedAt: string,      // ISO timestamp
+//     entries: [{ key: string, version: string, value: any }]  // one per storage entry (e.g. 'resourceValues', 'setting:paused')
+// }
+
+import { defaultDeserializer, defaultSerializer, migrateStorageEntry, StorageSchemaError } from '../hooks/useWebStorage.js'
+
+export const SESSION_APP_ID = 'cutthroat-companies-companion'
+export const SESSION_FORMAT = 1
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+
+/**
+ * buildSessionFile
+ * Turns raw storage entries (see readStorageEntries) into a session document.
+ */
+export function buildSessionFile(storageEntries, appVersion) {
+    return {
+        app: SESSION_APP_ID,
+        format: SESSION_FORMAT,
+        appVersion,
+        exportedAt: new Date().toISOString(),
+        entries: storageEntries
+            .map(e => ({ key: e.entryKey, version: e.version, value: defaultDeserializer(e.raw) }))
+            .sort((a, b) => a.key.localeCompare(b.key)),
+    }
+}
+
+/**
+ * parseSessionFile
+ * Parses and checks a session document, never throws.
+ * Returns { session, storageEntries, errors }: files from another app or an incompatible format are rejected.
+ * Entries saved at an older schema version are upgraded; entries that are newer or invalid reject the file.
+ */
+export function parseSessionFile(text) {
+    let doc
+    try {
+        doc = JSON.parse(text)
+    } catch (e) {
+        return { session: null, storageEntries: [], errors: [`Not a valid JSON file (${e.message})`] }
+    }
+    if (!isPlainObject(doc) || doc.app !== SESSION_APP_ID) {
+        return { session: null, storageEntries: [], errors: ['Not a Cutthroat Companies session file'] }
+    }
+    if (doc.format !== SESSION_FORMAT) {
+        return {
+            session: null,
+            storageEntries: [],
+            errors: [`Incompatible session format ${doc.format} (this app reads format ${SESSION_FORMAT})${doc.appVersion ? `, written by version ${doc.appVersion}` : ''}`],
+        }
+    }
+    if (!Array.isArray(doc.entries)) {
+        return { session: null, storageEntries: [], errors: ['entries: must be a list'] }
+    }
+    const errors = []
+    const seen = new Set()
+    doc.entries.forEach((e, i) => {
+        if (!isPlainObject(e) || typeof e.key !== 'string' || !e.key || typeof e.version !== 'string' || !e.version) {
+            errors.push(`entries[${i}]: needs a key and a version`)
+            return
+        }
+        if (!('value' in e)) errors.push(`entries[${i}] (${e.key}): missing value`)
+        if (seen.has(e.key)) errors.push(`entries[${i}] (${e.key}): duplicate key`)
+        seen.add(e.key)
+    })
+    if (errors.length) return { session: null, storageEntries: [], errors }
+    const storageEntries = []
+    doc.entries.forEach((e, i) => {
+        try {
+            storageEntries.push(migrateStorageEntry({ entryKey: e.key, version: e.version, raw: defaultSerializer(e.value) }))
+        } catch (err) {
+            if (!(err instanceof StorageSchemaError)) throw err
+            errors.push(`entries[${i}]: ${err.message}`)
+        }
+    })
+    if (errors.length) return { session: null, storageEntries: [], errors }
+    return { session: doc, storageEntries, errors }
+}
+
+// Short human readable description of a stored value for the import preview
+const describe = (value) => {
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`
+    if (isPlainObject(value)) return `${Object.keys(value).length} field${Object.keys(value).length === 1 ? '' : 's'}`
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100)
+    return JSON.stringify(value)
+}
+
+/**
+ * diffSessionEntries
+ * Compares current storage entries with the ones an import would write.
+ * Returns [{ key, status: 'added' | 'changed' | 'removed', from?, to? }] sorted by key (unchanged keys are omitted).
+ */
+export function diffSessionEntries(currentEntries, nextEntries) {
+    const id = (e) => `${e.entryKey}:${e.version}`
+    const current = new Map(currentEntries.map(e => [id(e), e]))
+    const next = new Map(nextEntries.map(e => [id(e), e]))
+    const changes = []
+    for (const [key, e] of next) {
+        const prev = current.get(key)
+        if (!prev) changes.push({ key: e.entryKey, status: 'added', to: describe(defaultDeserializer(e.raw)) })
+        else if (prev.raw !== e.raw) changes.push({ key: e.entryKey, status: 'changed', from: describe(defaultDeserializer(prev.raw)), to: describe(defaultDeserializer(e.raw)) })
+    }
+    for (const [key, e] of current) {
+        if (!next.has(key)) changes.push({ key: e.entryKey, status: 'removed', from: describe(defaultDeserializer(e.raw)) })
+    }
+    return changes.sort((a, b) => a.key.localeCompare(b.key))
+}
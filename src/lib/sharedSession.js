@@ -0,0 +1,202 @@
+// Shared session client: keeps one save slot's storage in sync with other devices through a relay (server/relay.js).
+//
+// Sync happens at the storage layer, so resource changes, contract lifecycle and settings all travel the same way:
+// every value a storage hook persists is sent to the room, and values arriving from the room are written back with
+// writeStorageEntry / replaceStorageEntries, which update mounted hooks without echoing the write.
+//
+// Roles (see lib/syncProtocol.js):
+//  - host: owns the game, runs the timers, commits its own writes and decides on viewer proposals.
+//  - viewer: mirrors the host; its own edits are proposals that the host accepts, merges or rejects.
+//    A rejected (or partly rejected) edit is rolled back to the host's value and reported as a conflict.
+
+import {
+    parseStorageKey,
+    readStorageEntries,
+    replaceStorageEntries,
+    subscribeStorageWrites,
+    writeStorageEntry,
+} from '../hooks/useWebStorage.js'
+import { SYNC_PROTOCOL, decodeMessage, encodeMessage, entryId, mergeEntry } from './syncProtocol.js'
+
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000]
+const MAX_CONFLICTS = 5
+
+/**
+ * createSharedSession
+ * options: { url, room, role, name, storage, primaryKey, onChange(state), WebSocketImpl }
+ * Returns { close(), getState() } where state is
+ * {
+ *   status: 'connecting' | 'open' | 'reconnecting' | 'closed' | 'error',
+ *   error: string | null,
+ *   id: string | null,            // id the relay gave this device
+ *   peers: [{ id, name, role }],
+ *   hostId: string | null,        // null while no host is connected
+ *   synced: boolean,              // viewer: received the host's snapshot
+ *   conflicts: [{ entryKey, fields, at }], newest first
+ * }
+ */
+export function createSharedSession(options) {
+    const { url, room, role, name, storage, primaryKey, onChange, WebSocketImpl = WebSocket } = options
+    const isHost = role === 'host'
+    const revs = new Map()      // entry id -> last committed revision
+    const committed = new Map() // entry id -> last committed raw value (the base of viewer proposals)
+    let state = { status: 'connecting', error: null, id: null, peers: [], hostId: null, synced: isHost, conflicts: [] }
+    let socket = null
+    let closed = false
+    let attempt = 0
+    let reconnectTimer = null
+
+    const update = (patch) => {
+        state = { ...state, ...patch }
+        onChange && onChange(state)
+    }
+    const send = (message) => {
+        if (socket && socket.readyState === 1) socket.send(encodeMessage(message))
+    }
+    const remember = (entryKey, version, raw, rev) => {
+        const id = entryId(entryKey, version)
+        committed.set(id, raw)
+        revs.set(id, rev)
+    }
+    const addConflict = (entryKey, fields) => update({
+        conflicts: [{ entryKey, fields, at: Date.now() }, ...state.conflicts].slice(0, MAX_CONFLICTS),
+    })
+
+    // the host's current storage as a snapshot (revisions start at 0 for keys nobody has written yet)
+    const snapshot = () => {
+        const entries = readStorageEntries(storage, primaryKey)
+        for (const e of entries) {
+            const id = entryId(e.entryKey, e.version)
+            if (!revs.has(id)) remember(e.entryKey, e.version, e.raw, 0)
+        }
+        return { entries, revs: Object.fromEntries(revs) }
+    }
+
+    // Local writes
+    const unsubscribe = subscribeStorageWrites(({ storage: target, storageKey, raw }) => {
+        if (target !== storage || closed) return
+        const parsed = parseStorageKey(storageKey, primaryKey)
+        if (!parsed) return
+        const id = entryId(parsed.entryKey, parsed.version)
+        if (committed.get(id) === raw) return // re-persisting a known value
+        if (isHost) {
+            const rev = (revs.get(id) || 0) + 1
+            remember(parsed.entryKey, parsed.version, raw, rev)
+            send({ type: 'commit', ...parsed, raw, rev, origin: state.id })
+        } else if (state.synced) {
+            send({ type: 'propose', ...parsed, raw, baseRaw: committed.get(id) ?? null, baseRev: revs.get(id) || 0 })
+        }
+    })
+
+    // Host: accept, merge or reject a viewer proposal
+    const handleProposal = (message) => {
+        const { entryKey, version, raw, baseRaw, baseRev, from } = message
+        if (typeof entryKey !== 'string' || typeof version !== 'string' || typeof raw !== 'string') return
+        const id = entryId(entryKey, version)
+        const currentRev = revs.get(id) || 0
+        const currentRaw = storage.getItem(`${primaryKey}:${id}`)
+        const result = baseRev === currentRev ? { raw, conflicts: [] } : mergeEntry(baseRaw, raw, currentRaw)
+        if (result.conflicts.length) {
+            send({ type: 'conflict', entryKey, version, fields: result.conflicts, to: from })
+        }
+        if (result.raw === currentRaw) {
+            // nothing to apply: bring the proposer back to the host's value
+            send({ type: 'commit', entryKey, version, raw: currentRaw, rev: currentRev, origin: state.id, to: from })
+            return
+        }
+        const rev = currentRev + 1
+        remember(entryKey, version, result.raw, rev)
+        writeStorageEntry(storage, { entryKey, version, raw: result.raw }, primaryKey)
+        send({ type: 'commit', entryKey, version, raw: result.raw, rev, origin: from })
+    }
+
+    // Viewer: adopt the host's state
+    const applySnapshot = (message) => {
+        if (!Array.isArray(message.entries)) return
+        const entries = message.entries.filter(e => typeof e?.entryKey === 'string' && typeof e?.version === 'string' && typeof e?.raw === 'string')
+        revs.clear()
+        committed.clear()
+        for (const e of entries) remember(e.entryKey, e.version, e.raw, message.revs?.[entryId(e.entryKey, e.version)] || 0)
+        replaceStorageEntries(storage, entries, primaryKey)
+        update({ synced: true })
+    }
+
+    const applyCommit = (message) => {
+        const { entryKey, version, raw, rev } = message
+        if (typeof entryKey !== 'string' || typeof version !== 'string') return
+        remember(entryKey, version, raw ?? null, rev || 0)
+        writeStorageEntry(storage, { entryKey, version, raw: raw ?? null }, primaryKey)
+    }
+
+    const handleMessage = (message) => {
+        switch (message.type) {
+            case 'welcome':
+                attempt = 0
+                update({ status: 'open', error: null, id: message.id, peers: message.peers || [] })
+                if (isHost) send({ type: 'snapshot', ...snapshot() })
+                else send({ type: 'sync-request' })
+                break
+            case 'peers':
+                update({ peers: message.peers || [], hostId: message.hostId ?? null })
+                break
+            case 'sync-request':
+                if (isHost) send({ type: 'snapshot', ...snapshot(), to: message.from })
+                break
+            case 'propose':
+                if (isHost) handleProposal(message)
+                break
+            case 'snapshot':
+                if (!isHost) applySnapshot(message)
+                break
+            case 'commit':
+                if (!isHost) applyCommit(message)
+                break
+            case 'conflict':
+                if (!isHost) addConflict(message.entryKey, message.fields || ['*'])
+                break
+            case 'error':
+                // fatal for this connection (e.g. the room already has a host): don't retry
+                closed = true
+                update({ status: 'error', error: message.message || message.code || 'Relay error' })
+                socket && socket.close()
+                break
+            default:
+                break
+        }
+    }
+
+    const connect = () => {
+        update({ status: attempt ? 'reconnecting' : 'connecting' })
+        try {
+            socket = new WebSocketImpl(url)
+        } catch (err) {
+            update({ status: 'error', error: err.message })
+            return
+        }
+        socket.onopen = () => send({ type: 'join', protocol: SYNC_PROTOCOL, room, role, name })
+        socket.onmessage = (event) => {
+            const message = decodeMessage(event.data)
+            if (message) handleMessage(message)
+        }
+        socket.onclose = () => {
+            if (closed) return
+            // keep the last known state and retry with a growing delay
+            const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)]
+            attempt++
+            update({ status: 'reconnecting', hostId: null, synced: isHost })
+            reconnectTimer = setTimeout(connect, delay)
+        }
+    }
+    connect()
+
+    return {
+        close() {
+            closed = true
+            clearTimeout(reconnectTimer)
+            unsubscribe()
+            if (socket) socket.close()
+            update({ status: 'closed', peers: [], hostId: null })
+        },
+        getState: () => state,
+    }
+}
@@ -0,0 +1,108 @@
+// Shared session wire protocol, used by the browser client (lib/sharedSession.js) and the relay (server/relay.js).
+// Messages are JSON objects with a `type`:
+//
+//   client -> relay   join      { protocol, room, role: 'host' | 'viewer', name }
+//   relay  -> client  welcome   { id, role, peers }          peers  { peers, hostId }
+//                     error     { code, message }
+//   host   -> viewers snapshot  { entries: [{ entryKey, version, raw }], revs: { key: rev }, to? }
+//                     commit    { entryKey, version, raw, rev, origin, to? }
+//                     conflict  { entryKey, version, fields, to }
+//   viewer -> host    propose   { entryKey, version, raw, baseRaw, baseRev }
+//                     sync-request {}
+//
+// The relay only routes: host messages go to every viewer (or just `to`), viewer messages go to the host, and it
+// stamps `from` on everything it forwards. The host owns the game: it commits its own writes, and accepts, merges
+// or rejects viewer proposals (see mergeEntry), so every device converges on the host's storage.
+
+export const SYNC_PROTOCOL = 1
+export const DEFAULT_RELAY_PORT = 8787
+export const syncRoles = ['host', 'viewer']
+
+export const isValidRoom = (room) => typeof room === 'string' && /^[a-z0-9_-]{1,32}$/i.test(room)
+
+export const entryId = (entryKey, version) => `${entryKey}:${version}`
+
+export const encodeMessage = (message) => JSON.stringify(message)
+
+/**
+ * decodeMessage
+ * Parses a wire message; returns null for anything that is not a JSON object with a string type.
+ */
+export function decodeMessage(text) {
+    try {
+        const message = JSON.parse(text)
+        return message && typeof message === 'object' && typeof message.type === 'string' ? message : null
+    } catch {
+        return null
+    }
+}
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+const isIdList = (v) => Array.isArray(v) && v.every(item => isPlainObject(item) && item.id != null)
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+const parse = (raw) => {
+    try { return { ok: true, value: JSON.parse(raw) } } catch { return { ok: false } }
+}
+
+// objects merge per field: fields the proposal changed win unless the host changed the same field meanwhile
+function mergeObjects(base, proposed, current) {
+    const merged = { ...current }
+    const conflicts = []
+    for (const key of new Set([...Object.keys(base), ...Object.keys(proposed)])) {
+        if (same(base[key], proposed[key])) continue
+        if (!same(base[key], current[key]) && !same(proposed[key], current[key])) {
+            conflicts.push(key)
+            continue
+        }
+        if (key in proposed) merged[key] = proposed[key]
+        else delete merged[key]
+    }
+    return { value: merged, conflicts }
+}
+
+// lists of { id } items (contracts) merge per item: additions, removals and edits of untouched items apply
+function mergeIdLists(base, proposed, current) {
+    const byId = (list) => new Map(list.map(item => [item.id, item]))
+    const baseMap = byId(base)
+    const proposedMap = byId(proposed)
+    const currentMap = byId(current)
+    const conflicts = []
+    let merged = [...current]
+    for (const [id, item] of baseMap) {
+        const next = proposedMap.get(id)
+        if (next && same(next, item)) continue
+        if (currentMap.has(id) && !same(currentMap.get(id), item)) {
+            conflicts.push(String(id))
+            continue
+        }
+        merged = next ? merged.map(c => c.id === id ? next : c) : merged.filter(c => c.id !== id)
+    }
+    const added = proposed.filter(item => !baseMap.has(item.id) && !currentMap.has(item.id))
+    return { value: [...added, ...merged], conflicts }
+}
+
+/**
+ * mergeEntry
+ * Three-way merge of a viewer proposal against the host's current value.
+ *  - baseRaw: the value the viewer had when it made the change
+ *  - proposedRaw: the viewer's new value
+ *  - currentRaw: the host's value now (null when unset)
+ * Returns { raw, conflicts } where conflicts lists the fields / item ids the host kept (['*'] for whole values).
+ */
+export function mergeEntry(baseRaw, proposedRaw, currentRaw) {
+    if (currentRaw === baseRaw || currentRaw === proposedRaw) return { raw: proposedRaw, conflicts: [] }
+    const base = parse(baseRaw)
+    const proposed = parse(proposedRaw)
+    const current = parse(currentRaw)
+    if (base.ok && proposed.ok && current.ok) {
+        let result = null
+        if (isPlainObject(base.value) && isPlainObject(proposed.value) && isPlainObject(current.value)) {
+            result = mergeObjects(base.value, proposed.value, current.value)
+        } else if (isIdList(base.value) && isIdList(proposed.value) && isIdList(current.value)) {
+            result = mergeIdLists(base.value, proposed.value, current.value)
+        }
+        if (result) return { raw: JSON.stringify(result.value), conflicts: result.conflicts }
+    }
+    // anything else changed on both sides: the host's value stands
+    return { raw: currentRaw, conflicts: ['*'] }
+}
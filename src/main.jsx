@@ -1,7 +1,8 @@
 import { createRoot } from 'react-dom/client'
-import App from './App.jsx'
+import './constants/storageSchemas.js'
+import SlottedApp from './SlottedApp.jsx'
 import './styles.css'
 
 createRoot(document.getElementById('root')).render(
-    <App />
+    <SlottedApp />
 )
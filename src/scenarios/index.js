@@ -0,0 +1,17 @@
+// Bundled scenario packs shown in the settings scenario picker.
+// Add a JSON file next to this one (see lib/scenario.js for the schema) and list it below.
+import { defaultResources, resourceTiers } from '../constants/resources.js'
+import { ContractLabels } from '../constants/contract-labels.js'
+import { settingDefaults } from '../constants/settings.js'
+import houseRules from './house-rules.json'
+
+export const classicScenario = {
+    name: 'Classic',
+    description: 'The standard six resources and default settings.',
+    resources: defaultResources,
+    resourceTiers,
+    contractLabels: ContractLabels,
+    settings: settingDefaults,
+}
+
+export const bundledScenarios = [classicScenario, houseRules]